@@ -0,0 +1,13 @@
+/**
+ * Quote currencies users can see prices in
+ * Codes are upper case here and lower-cased for CoinGecko's vs_currencies
+ */
+
+const SUPPORTED_QUOTE_CURRENCIES = ['USD', 'EUR', 'ILS', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'BTC', 'ETH'];
+
+const DEFAULT_QUOTE_CURRENCY = 'USD';
+
+module.exports = {
+  SUPPORTED_QUOTE_CURRENCIES,
+  DEFAULT_QUOTE_CURRENCY,
+};
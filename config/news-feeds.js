@@ -0,0 +1,22 @@
+/**
+ * RSS / Atom news feed configuration
+ *
+ * NEWS_FEEDS is a comma-separated list of feed URLs or local files
+ * (absolute paths, paths relative to the working directory, or file: URLs -
+ * handy for tests). Feed ingestion is opt-in: unset or empty, no feeds are polled.
+ */
+
+/**
+ * Get the configured feeds
+ * @returns {string[]} Feed URLs and file paths
+ */
+function getNewsFeeds() {
+  return (process.env.NEWS_FEEDS || '')
+    .split(',')
+    .map((feed) => feed.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  getNewsFeeds,
+};
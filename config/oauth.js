@@ -0,0 +1,71 @@
+/**
+ * OAuth2 / OpenID Connect provider configuration
+ *
+ * A provider is enabled when its client ID is set:
+ * - google: OAUTH_GOOGLE_CLIENT_ID / OAUTH_GOOGLE_CLIENT_SECRET (OIDC discovery)
+ * - github: OAUTH_GITHUB_CLIENT_ID / OAUTH_GITHUB_CLIENT_SECRET (plain OAuth2 + GitHub API)
+ * - generic OIDC: OIDC_ISSUER / OIDC_CLIENT_ID / OIDC_CLIENT_SECRET, named by
+ *   OIDC_PROVIDER_NAME (default 'oidc'). Point OIDC_ISSUER at a local mock IdP in tests.
+ *
+ * Endpoints are discovered from `${issuer}/.well-known/openid-configuration`
+ * unless given explicitly.
+ */
+
+/**
+ * Get enabled providers
+ * @returns {Object} Map of provider name -> provider config
+ */
+function getOAuthProviders() {
+  const providers = {};
+
+  if (process.env.OAUTH_GOOGLE_CLIENT_ID) {
+    providers.google = {
+      name: 'google',
+      displayName: 'Google',
+      type: 'oidc',
+      issuer: 'https://accounts.google.com',
+      clientId: process.env.OAUTH_GOOGLE_CLIENT_ID,
+      clientSecret: process.env.OAUTH_GOOGLE_CLIENT_SECRET,
+      scopes: ['openid', 'email', 'profile'],
+    };
+  }
+
+  if (process.env.OAUTH_GITHUB_CLIENT_ID) {
+    providers.github = {
+      name: 'github',
+      displayName: 'GitHub',
+      type: 'github', // Not OIDC: profile comes from the GitHub API
+      clientId: process.env.OAUTH_GITHUB_CLIENT_ID,
+      clientSecret: process.env.OAUTH_GITHUB_CLIENT_SECRET,
+      scopes: ['read:user', 'user:email'],
+      authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+      tokenEndpoint: 'https://github.com/login/oauth/access_token',
+      userinfoEndpoint: 'https://api.github.com/user',
+      emailsEndpoint: 'https://api.github.com/user/emails',
+    };
+  }
+
+  if (process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID) {
+    const name = process.env.OIDC_PROVIDER_NAME || 'oidc';
+    providers[name] = {
+      name,
+      displayName: process.env.OIDC_DISPLAY_NAME || 'Single Sign-On',
+      type: 'oidc',
+      issuer: process.env.OIDC_ISSUER,
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      scopes: (process.env.OIDC_SCOPES || 'openid email profile').split(' '),
+      // Optional overrides (skip discovery)
+      authorizationEndpoint: process.env.OIDC_AUTHORIZATION_ENDPOINT,
+      tokenEndpoint: process.env.OIDC_TOKEN_ENDPOINT,
+      userinfoEndpoint: process.env.OIDC_USERINFO_ENDPOINT,
+      jwksUri: process.env.OIDC_JWKS_URI,
+    };
+  }
+
+  return providers;
+}
+
+module.exports = {
+  getOAuthProviders,
+};
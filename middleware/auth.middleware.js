@@ -1,11 +1,14 @@
 const { verifyToken } = require('../utils/jwt.utils');
+const tokenService = require('../services/token.service');
+const apiKeyService = require('../services/api-key.service');
 
 /**
  * JWT Authentication Middleware
  * Extracts token from Authorization header and verifies it
+ * Rejects tokens whose session has been revoked (logout, logout-all)
  * Attaches decoded user info to req.user
  */
-const verifyTokenMiddleware = (req, res, next) => {
+const verifyTokenMiddleware = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -28,10 +31,9 @@ const verifyTokenMiddleware = (req, res, next) => {
     }
 
     // Verify token
+    let decoded;
     try {
-      const decoded = verifyToken(token);
-      req.user = decoded;
-      next();
+      decoded = verifyToken(token);
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         return res.status(401).json({ message: 'Token expired' });
@@ -41,12 +43,61 @@ const verifyTokenMiddleware = (req, res, next) => {
       }
       return res.status(401).json({ message: 'Token verification failed' });
     }
+
+    // Check the token's session hasn't been revoked
+    const isActive = await tokenService.isSessionActive(decoded.sid);
+    if (!isActive) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    // Update the session's last-seen time (not awaited)
+    tokenService.touchSession(decoded.sid, { ip: req.ip });
+
+    req.user = decoded;
+    next();
   } catch (error) {
     return res.status(401).json({ message: 'Authentication failed' });
   }
 };
 
+/**
+ * JWT or API Key Authentication Middleware factory
+ * Requests with an X-API-Key header are authenticated by the key, which must
+ * carry the given scope; all other requests fall through to verifyTokenMiddleware
+ * Keys are for scripted access, so only routes that opt in accept them
+ * @param {string} scope - Required API key scope (e.g. 'dashboard:read')
+ * @returns {Function} Express middleware
+ */
+function verifyTokenOrApiKey(scope) {
+  return async (req, res, next) => {
+    const key = req.get('X-API-Key');
+    if (!key) {
+      return verifyTokenMiddleware(req, res, next);
+    }
+
+    try {
+      const apiKey = await apiKeyService.verifyApiKey(key, { ip: req.ip });
+      if (!apiKey) {
+        return res.status(401).json({ message: 'Invalid or expired API key' });
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ message: `API key is missing the ${scope} scope` });
+      }
+
+      req.user = {
+        userId: String(apiKey.userId),
+        apiKeyId: String(apiKey._id),
+        scopes: apiKey.scopes,
+      };
+      next();
+    } catch (error) {
+      return res.status(401).json({ message: 'Authentication failed' });
+    }
+  };
+}
+
 module.exports = {
   verifyTokenMiddleware,
+  verifyTokenOrApiKey,
 };
-
@@ -0,0 +1,169 @@
+const userStore = require('../services/user.store');
+const loginThrottle = require('../services/login-throttle.service');
+
+/**
+ * Permission Middleware
+ * Route-level authorization policies, used after verifyTokenMiddleware:
+ *
+ *   router.get('/', verifyTokenMiddleware, authorize(POLICIES.ADMIN), handler)
+ *
+ * Loads the current user from the database (roles are not stored in the JWT,
+ * so role changes apply immediately) and attaches it to req.authUser
+ */
+
+const POLICIES = {
+  ADMIN: 'admin', // Only admins
+  OWNER_OR_ADMIN: 'ownerOrAdmin', // The user in :id, or an admin
+};
+
+/**
+ * Check whether a user has admin rights
+ * @param {Object} user - User document
+ * @returns {boolean} True if user is an admin
+ */
+function isAdminUser(user) {
+  return !!user && (user.role === 'admin' || user.isAdmin === true);
+}
+
+/**
+ * Create an authorization middleware for a policy
+ * @param {string} policy - One of POLICIES
+ * @param {Object} options - Options
+ * @param {string} options.param - Route param holding the target user ID (default: 'id')
+ * @returns {Function} Express middleware
+ */
+function authorize(policy, options = {}) {
+  if (!Object.values(POLICIES).includes(policy)) {
+    throw new Error(`Unknown authorization policy: ${policy}`);
+  }
+
+  const param = options.param || 'id';
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !req.user.userId) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      const user = await userStore.findById(req.user.userId);
+      if (!user) {
+        return res.status(401).json({ message: 'User not found' });
+      }
+
+      req.authUser = user;
+
+      const isAdmin = isAdminUser(user);
+      const isOwner = String(user._id) === String(req.params[param]);
+
+      let allowed = false;
+      switch (policy) {
+        case POLICIES.ADMIN:
+          allowed = isAdmin;
+          break;
+        case POLICIES.OWNER_OR_ADMIN:
+          allowed = isOwner || isAdmin;
+          break;
+      }
+
+      if (!allowed) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Require a verified email address
+ * Used after verifyTokenMiddleware on routes that need a confirmed account.
+ * Can be disabled with REQUIRE_EMAIL_VERIFICATION=false (e.g., local development)
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+      return next();
+    }
+
+    const user = req.authUser || (await userStore.findById(req.user.userId));
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    req.authUser = user;
+
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        message: 'Email address not verified',
+        code: 'EMAIL_NOT_VERIFIED',
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require the current password in the request body (re-authentication)
+ * Used after verifyTokenMiddleware on sensitive self-service routes, so a
+ * stolen access token alone can't change the password/email or delete the account.
+ * Wrong passwords count towards the login lockout
+ */
+const requireCurrentPassword = async (req, res, next) => {
+  try {
+    const { currentPassword } = req.body;
+
+    if (!currentPassword) {
+      return res.status(400).json({ message: 'Current password is required' });
+    }
+
+    const user = req.authUser || (await userStore.findById(req.user.userId));
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    req.authUser = user;
+
+    if (!user.password) {
+      return res.status(400).json({
+        message: 'This account has no password yet. Use forgot-password to set one first.',
+      });
+    }
+
+    const throttle = await loginThrottle.check({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      res.setHeader('Retry-After', throttle.retryAfter);
+      return res.status(429).json({
+        message: 'Too many attempts. Please try again later.',
+        retryAfter: throttle.retryAfter,
+      });
+    }
+
+    const isValidPassword = await userStore.verifyPassword(user, currentPassword);
+    if (!isValidPassword) {
+      await loginThrottle.recordFailure({
+        email: user.email,
+        ip: req.ip,
+        userId: user._id,
+        userAgent: req.get('user-agent'),
+      });
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  POLICIES,
+  authorize,
+  isAdminUser,
+  requireVerifiedEmail,
+  requireCurrentPassword,
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * AlertTrigger Schema
+ * History of triggered price alerts
+ * Keeps a copy of the alert's condition so history survives alert edits and deletion
+ */
+const alertTriggerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    alertId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceAlert',
+      required: true,
+      index: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    condition: {
+      type: String,
+      enum: ['above', 'below', 'percent_change'],
+      required: true,
+    },
+    targetPrice: {
+      type: Number,
+      default: null,
+    },
+    percentChange: {
+      type: Number,
+      default: null,
+    },
+    windowMinutes: {
+      type: Number,
+      default: null,
+    },
+    price: {
+      type: Number,
+      required: true, // Price when the alert triggered
+    },
+    observedChange: {
+      type: Number,
+      default: null, // percent_change: actual change over the window
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+alertTriggerSchema.index({ userId: 1, createdAt: -1 });
+
+const AlertTrigger = mongoose.model('AlertTrigger', alertTriggerSchema);
+
+module.exports = AlertTrigger;
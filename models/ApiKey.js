@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scopes an API key can be granted
+ */
+const API_KEY_SCOPES = ['dashboard:read', 'news:read', 'feedback:read', 'feedback:write'];
+
+/**
+ * ApiKey Schema
+ * Personal API keys for scripted access (X-API-Key header)
+ * Only the SHA-256 hash is stored; the plain key is shown once at creation
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    prefix: {
+      type: String,
+      required: true, // First characters of the key, to recognize it in lists
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [String],
+      enum: API_KEY_SCOPES,
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * Article Schema
+ * News articles shown to users, kept so feedback and analytics can refer back to them
+ * One document per (provider, sourceId); near-identical stories from different
+ * sources point at the first one seen through duplicateOf
+ */
+const articleSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ['cryptopanic', 'rss', 'fallback'], // 'fallback': older documents only
+      required: true, // Where the article came from
+    },
+    sourceId: {
+      type: String,
+      required: true, // The provider's ID for the article
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    normalizedTitle: {
+      type: String,
+      required: true, // For duplicate detection
+    },
+    url: {
+      type: String,
+      default: null,
+    },
+    sourceName: {
+      type: String,
+      default: null, // Publisher (e.g., CoinDesk)
+    },
+    publishedAt: {
+      type: Date,
+      required: true,
+    },
+    currencies: {
+      type: [String],
+      default: [],
+    },
+    contentTypes: {
+      type: [String],
+      default: [], // Content type tags (see news-classifier.service.js)
+    },
+    classifiedBy: {
+      type: String,
+      enum: ['rules', 'model', null],
+      default: null,
+    },
+    votes: {
+      positive: { type: Number, default: 0 },
+      negative: { type: Number, default: 0 },
+      important: { type: Number, default: 0 },
+    },
+    sentiment: {
+      label: {
+        type: String,
+        enum: ['bullish', 'bearish', 'neutral'],
+        default: 'neutral',
+      },
+      score: {
+        type: Number,
+        default: 0, // -1 (bearish) to 1 (bullish)
+      },
+      method: {
+        type: String,
+        enum: ['votes', 'lexicon'],
+        default: 'lexicon', // Community votes, or the word lexicon when there are too few
+      },
+    },
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      default: null, // Canonical article for near-duplicates
+    },
+    firstSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now, // Last time the provider returned it
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+articleSchema.index({ provider: 1, sourceId: 1 }, { unique: true });
+articleSchema.index({ normalizedTitle: 1 });
+articleSchema.index({ duplicateOf: 1, publishedAt: -1 }); // Duplicate candidates and listings
+articleSchema.index({ contentTypes: 1 });
+articleSchema.index({ currencies: 1, publishedAt: -1 }); // Per-coin sentiment
+
+const Article = mongoose.model('Article', articleSchema);
+
+module.exports = Article;
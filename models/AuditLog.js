@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema
+ * Security-relevant events (lockouts, unlocks, etc.) for admin review
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['account_locked', 'account_unlocked', 'ip_locked', 'ip_unlocked'],
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Affected user (null if the email has no account)
+      index: true,
+    },
+    email: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Admin who performed the action (null for automatic events)
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ type: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
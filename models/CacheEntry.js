@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * CacheEntry Schema
+ * Cached upstream responses for the Mongo cache backend
+ * One document per cache key (e.g., "coingecko:prices:usd:bitcoin,ethereum")
+ */
+const cacheEntrySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    fetchedAt: {
+      type: Date,
+      required: true, // When the value was fetched upstream
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // End of the stale window - removed after this
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+// Remove entries once they are too old to serve, even stale
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CacheEntry = mongoose.model('CacheEntry', cacheEntrySchema);
+
+module.exports = CacheEntry;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coin Schema
+ * Coin registry: maps ticker symbols to price/news provider IDs
+ * Synced from CoinGecko's coin list; several coins can share a symbol
+ */
+const coinSchema = new mongoose.Schema(
+  {
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    providerIds: {
+      coingecko: {
+        type: String,
+        required: true,
+      },
+    },
+    marketCapRank: {
+      type: Number,
+      default: null, // Set for coins in the top market cap pages at the last sync
+    },
+    pinned: {
+      type: Boolean,
+      default: false, // Built-in coins: always win when their symbol is shared
+    },
+    syncedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+coinSchema.index({ 'providerIds.coingecko': 1 }, { unique: true });
+coinSchema.index({ name: 1 });
+
+const Coin = mongoose.model('Coin', coinSchema);
+
+module.exports = Coin;
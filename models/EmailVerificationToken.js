@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * EmailVerificationToken Schema
+ * Single-use, expiring tokens proving ownership of an email address (stored hashed)
+ */
+const emailVerificationTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true, // Address the token was sent to
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+// Remove expired tokens automatically
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmailVerificationToken = mongoose.model(
+  'EmailVerificationToken',
+  emailVerificationTokenSchema
+);
+
+module.exports = EmailVerificationToken;
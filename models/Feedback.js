@@ -27,6 +27,11 @@ const feedbackSchema = new mongoose.Schema(
       type: String,
       default: null, // ID of specific content item (e.g., news article ID, meme ID)
     },
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      default: null, // Set when a marketNews contentId is a stored article
+    },
     comment: {
       type: String,
       default: null, // Optional user comment
@@ -41,6 +46,7 @@ const feedbackSchema = new mongoose.Schema(
 // Compound index for faster queries (user + section)
 feedbackSchema.index({ userId: 1, section: 1 });
 feedbackSchema.index({ createdAt: -1 }); // For sorting by date
+feedbackSchema.index({ articleId: 1 }, { sparse: true }); // Votes per article
 
 const Feedback = mongoose.model('Feedback', feedbackSchema);
 
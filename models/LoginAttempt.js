@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * LoginAttempt Schema
+ * Failed login counters for the Mongo login throttle backend
+ * One document per throttled key (e.g., "email:alice@example.com", "ip:203.0.113.7")
+ */
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    firstFailureAt: {
+      type: Date,
+      default: null,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null, // Progressive delay: attempts before this time are rejected
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+// Remove stale counters automatically
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ lockedUntil: 1 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
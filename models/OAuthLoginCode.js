@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuthLoginCode Schema
+ * Single-use code handed to the frontend after a successful OAuth callback.
+ * The frontend exchanges it for tokens, so tokens never appear in a URL
+ */
+const oauthLoginCodeSchema = new mongoose.Schema(
+  {
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+// Remove unused codes automatically
+oauthLoginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthLoginCode = mongoose.model('OAuthLoginCode', oauthLoginCodeSchema);
+
+module.exports = OAuthLoginCode;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuthState Schema
+ * Pending authorization-code flows: state, PKCE verifier and nonce
+ * Consumed on callback, expires after a few minutes
+ */
+const oauthStateSchema = new mongoose.Schema(
+  {
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true, // PKCE verifier (sent to the token endpoint only)
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    linkUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // Set when a logged-in user links a provider to their account
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+// Remove abandoned flows automatically
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+module.exports = OAuthState;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_QUOTE_CURRENCIES } = require('../config/currencies');
+
+/**
+ * PortfolioTransaction Schema
+ * Ledger of a user's buys, sells and transfers; holdings are computed from it
+ */
+const portfolioTransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    coinId: {
+      type: String,
+      required: true, // Registry coin ID (CoinGecko ID)
+    },
+    type: {
+      type: String,
+      enum: ['buy', 'sell', 'transfer_in', 'transfer_out'],
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    price: {
+      type: Number,
+      default: null, // Unit price; required for buy/sell, optional cost basis for transfer_in
+    },
+    fee: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_QUOTE_CURRENCIES,
+      required: true,
+    },
+    executedAt: {
+      type: Date,
+      required: true,
+    },
+    note: {
+      type: String,
+      default: '',
+      maxlength: 200,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+portfolioTransactionSchema.index({ userId: 1, executedAt: 1 });
+
+const PortfolioTransaction = mongoose.model('PortfolioTransaction', portfolioTransactionSchema);
+
+module.exports = PortfolioTransaction;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_QUOTE_CURRENCIES } = require('../config/currencies');
+
+/**
+ * PriceAlert Schema
+ * A user's price condition on one coin, checked by the alert evaluator
+ *
+ * Conditions:
+ * - above / below: price crosses targetPrice
+ * - percent_change: price moved by percentChange (negative = drop) over the last windowMinutes
+ */
+const priceAlertSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    coinId: {
+      type: String,
+      required: true, // Registry coin ID (CoinGecko ID)
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_QUOTE_CURRENCIES,
+      required: true,
+    },
+    condition: {
+      type: String,
+      enum: ['above', 'below', 'percent_change'],
+      required: true,
+    },
+    targetPrice: {
+      type: Number,
+      default: null, // above / below
+    },
+    percentChange: {
+      type: Number,
+      default: null, // percent_change
+    },
+    windowMinutes: {
+      type: Number,
+      default: null, // percent_change
+    },
+    mode: {
+      type: String,
+      enum: ['once', 'recurring'],
+      default: 'once', // 'once' deactivates the alert after it triggers
+    },
+    cooldownMinutes: {
+      type: Number,
+      default: 60, // recurring: minimum time between triggers
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    cooldownUntil: {
+      type: Date,
+      default: null,
+    },
+    lastTriggeredAt: {
+      type: Date,
+      default: null,
+    },
+    triggerCount: {
+      type: Number,
+      default: 0,
+    },
+    lastEvaluatedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+// Evaluator query: active alerts out of their cooldown
+priceAlertSchema.index({ active: 1, cooldownUntil: 1 });
+
+const PriceAlert = mongoose.model('PriceAlert', priceAlertSchema);
+
+module.exports = PriceAlert;
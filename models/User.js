@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { SUPPORTED_QUOTE_CURRENCIES, DEFAULT_QUOTE_CURRENCY } = require('../config/currencies');
 
 /**
  * User Schema
@@ -14,9 +15,32 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
     password: {
       type: String,
-      required: true,
+      // External-only accounts (OAuth/OIDC) have no local password
+      required: function () {
+        return !this.identities || this.identities.length === 0;
+      },
+    },
+    identities: {
+      type: [
+        {
+          provider: { type: String, required: true }, // e.g., 'google', 'github'
+          subject: { type: String, required: true }, // Provider's user ID
+          email: { type: String, default: null },
+          linkedAt: { type: Date, default: Date.now },
+          _id: false,
+        },
+      ],
+      default: [],
     },
     firstName: {
       type: String,
@@ -50,6 +74,32 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'admin'],
       default: 'user',
     },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null, // Encrypted TOTP secret
+      },
+      pendingSecret: {
+        type: String,
+        default: null, // Encrypted secret awaiting confirmation
+      },
+      recoveryCodes: {
+        type: [String],
+        default: [], // Hashed one-time recovery codes
+      },
+      lastUsedStep: {
+        type: Number,
+        default: null, // Last accepted TOTP time step (prevents code replay)
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
     preferences: {
       interestedAssets: {
         type: [String],
@@ -64,6 +114,11 @@ const userSchema = new mongoose.Schema(
         type: [String],
         default: [],
       },
+      quoteCurrency: {
+        type: String,
+        enum: SUPPORTED_QUOTE_CURRENCIES,
+        default: DEFAULT_QUOTE_CURRENCY,
+      },
       completedOnboarding: {
         type: Boolean,
         default: false,
@@ -99,23 +154,36 @@ userSchema.pre('save', async function (next) {
 
 /**
  * Compare password method
+ * Always false for accounts without a local password
  */
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
 /**
- * Remove password from JSON output
+ * Remove password and 2FA secrets from JSON output
+ * Exposes hasPassword instead (false for external-only accounts)
  */
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
+  if (this.isSelected('password')) {
+    userObject.hasPassword = !!userObject.password;
+  }
   delete userObject.password;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = { enabled: userObject.twoFactor.enabled };
+  }
   return userObject;
 };
 
 // Create indexes for better query performance
 // Note: email index is already created by unique: true above
 userSchema.index({ createdAt: -1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 const User = mongoose.model('User', userSchema);
 
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Watchlist Schema
+ * A user's named list of coins; item order is the array order
+ */
+const watchlistItemSchema = new mongoose.Schema(
+  {
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    coinId: {
+      type: String,
+      required: true, // Registry coin ID (CoinGecko ID)
+    },
+    note: {
+      type: String,
+      default: '',
+      maxlength: 200,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const watchlistSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    position: {
+      type: Number,
+      default: 0, // Order among the user's watchlists
+    },
+    items: {
+      type: [watchlistItemSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+// Names are unique per user, ignoring case
+watchlistSchema.index(
+  { userId: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+const Watchlist = mongoose.model('Watchlist', watchlistSchema);
+
+module.exports = Watchlist;
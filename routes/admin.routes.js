@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const userStore = require('../services/user.store');
+const loginThrottle = require('../services/login-throttle.service');
+const auditService = require('../services/audit.service');
+const coinRegistry = require('../services/coin-registry.service');
+const priceService = require('../services/price.service');
+const priceStream = require('../services/price-stream.service');
+const newsFeedService = require('../services/news-feed.service');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+const { POLICIES, authorize } = require('../middleware/permission.middleware');
+
+/**
+ * Admin routes - all require an admin account
+ */
+router.use(verifyTokenMiddleware, authorize(POLICIES.ADMIN));
+
+// GET /api/admin/lockouts - List currently locked emails and IPs
+router.get('/lockouts', async (req, res, next) => {
+  try {
+    const lockouts = await loginThrottle.listLocked();
+    res.status(200).json({ lockouts, count: lockouts.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/lockouts/unlock - Unlock an account and/or IP
+ *
+ * Request body (at least one):
+ * {
+ *   "userId": "user-id",
+ *   "email": "user@example.com",
+ *   "ip": "203.0.113.7"
+ * }
+ */
+router.post('/lockouts/unlock', async (req, res, next) => {
+  try {
+    const { userId, ip } = req.body;
+    let { email } = req.body;
+    let user = null;
+
+    if ([userId, email, ip].some((value) => value != null && typeof value !== 'string')) {
+      return res.status(400).json({ message: 'userId, email and ip must be strings' });
+    }
+
+    if (userId) {
+      user = await userStore.findById(userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      email = user.email;
+    } else if (email) {
+      user = await userStore.findByEmail(email);
+    }
+
+    if (!email && !ip) {
+      return res.status(400).json({ message: 'userId, email or ip is required' });
+    }
+
+    const unlocked = await loginThrottle.unlock({
+      email,
+      ip,
+      userId: user?._id || null,
+      actorId: req.user.userId,
+    });
+
+    res.status(200).json({
+      message: unlocked ? 'Unlocked successfully' : 'Nothing to unlock',
+      unlocked,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/audit-log - Security events, newest first
+ * Optional query params:
+ * - type: account_locked | account_unlocked | ip_locked | ip_unlocked
+ * - email, userId: filter by affected account
+ * - limit: number of results (default: 50, max: 200)
+ */
+router.get('/audit-log', async (req, res, next) => {
+  try {
+    const { type, email, userId, limit } = req.query;
+    const events = await auditService.list({ type, email, userId, limit });
+    res.status(200).json({ events, count: events.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/price-providers - Market data provider health (failover state)
+router.get('/price-providers', (req, res) => {
+  res.status(200).json({ providers: priceService.getProviderHealth() });
+});
+
+// GET /api/admin/price-streams - Open price streams
+router.get('/price-streams', (req, res) => {
+  res.status(200).json(priceStream.getStreamStats());
+});
+
+// GET /api/admin/news-feeds - RSS / Atom feed ingestion status
+router.get('/news-feeds', (req, res) => {
+  const feeds = newsFeedService.getFeedStatus();
+  res.status(200).json({ feeds, count: feeds.length });
+});
+
+// POST /api/admin/news-feeds/ingest - Ingest the news feeds now
+router.post('/news-feeds/ingest', async (req, res, next) => {
+  try {
+    const result = await newsFeedService.ingestFeeds();
+    res.status(200).json({ message: 'News feeds ingested', ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/coins/sync - Sync the coin registry from CoinGecko now
+router.post('/coins/sync', async (req, res, next) => {
+  try {
+    const result = await coinRegistry.syncCoinRegistry();
+    res.status(200).json({ message: 'Coin registry synced', ...result });
+  } catch (error) {
+    if (error.response || error.request) {
+      return res.status(502).json({ message: 'Failed to fetch the coin list from CoinGecko' });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
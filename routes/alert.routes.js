@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const alertService = require('../services/alert.service');
+const userStore = require('../services/user.store');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+
+/**
+ * Price alert routes
+ * Mounted at /api/alerts - all routes require JWT
+ */
+
+const ALERT_FIELDS = [
+  'symbol',
+  'condition',
+  'targetPrice',
+  'percentChange',
+  'windowMinutes',
+  'mode',
+  'cooldownMinutes',
+  'currency',
+];
+
+/**
+ * Pick the alert fields from a request body
+ * @param {Object} body - Request body
+ * @param {string[]} fields - Allowed fields
+ * @returns {Object} Picked fields
+ */
+function pickAlertFields(body, fields) {
+  return Object.fromEntries(fields.map((field) => [field, body[field]]));
+}
+
+// GET /api/alerts - List the user's alerts
+router.get('/', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const alerts = await alertService.listAlerts(req.user.userId);
+    res.status(200).json({ alerts: alerts.map(alertService.formatAlert), count: alerts.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts - Create an alert
+ *
+ * Request body:
+ * {
+ *   "symbol": "BTC",
+ *   "condition": "above" | "below" | "percent_change",
+ *   "targetPrice": 60000,            // above / below
+ *   "percentChange": -5,             // percent_change (negative = drop)
+ *   "windowMinutes": 60,             // percent_change
+ *   "mode": "once" | "recurring",    // default: once
+ *   "cooldownMinutes": 60,           // recurring, default: 60
+ *   "currency": "USD"                // default: the user's quoteCurrency
+ * }
+ */
+router.post('/', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const preferences = await userStore.getPreferences(req.user.userId);
+
+    const { errors, values } = await alertService.validateAlertInput(
+      pickAlertFields(req.body, ALERT_FIELDS),
+      null,
+      preferences?.quoteCurrency
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const alert = await alertService.createAlert(req.user.userId, values);
+    if (!alert) {
+      return res.status(400).json({ message: 'Too many alerts. Delete one first.' });
+    }
+
+    res.status(201).json({ message: 'Alert created successfully', alert: alertService.formatAlert(alert) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/alerts/history - Triggered alerts, newest first
+ * Optional query params:
+ * - alertId: only triggers of this alert
+ * - limit: number of results (default: 50, max: 100)
+ */
+router.get('/history', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { alertId, limit } = req.query;
+
+    if (alertId && !mongoose.isValidObjectId(alertId)) {
+      return res.status(400).json({ message: 'Invalid alertId' });
+    }
+
+    const triggers = await alertService.listTriggers(req.user.userId, { alertId, limit });
+    res.status(200).json({ triggers: triggers.map(alertService.formatTrigger), count: triggers.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/alerts/:id - Get one alert
+router.get('/:id', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const alert = await alertService.getAlert(req.user.userId, req.params.id);
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    res.status(200).json({ alert: alertService.formatAlert(alert) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/alerts/:id - Update an alert (any alert field, plus "active" to pause/resume)
+router.put('/:id', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const existing = await alertService.getAlert(req.user.userId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    const { errors, values } = await alertService.validateAlertInput(
+      pickAlertFields(req.body, [...ALERT_FIELDS, 'active']),
+      existing
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const alert = await alertService.updateAlert(req.user.userId, req.params.id, values);
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    res.status(200).json({ message: 'Alert updated successfully', alert: alertService.formatAlert(alert) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/alerts/:id - Delete an alert (its trigger history is kept)
+router.delete('/:id', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const deleted = await alertService.deleteAlert(req.user.userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    res.status(200).json({ message: 'Alert deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
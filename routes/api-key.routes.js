@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const apiKeyService = require('../services/api-key.service');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+
+/**
+ * Personal API key management
+ * Mounted at /api/api-keys - all routes require JWT (a key can't manage keys)
+ * Keys are used through the X-API-Key header on routes that accept them
+ */
+
+// GET /api/api-keys - List the user's keys
+router.get('/', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listApiKeys(req.user.userId);
+
+    res.status(200).json({
+      apiKeys: apiKeys.map(apiKeyService.formatApiKey),
+      count: apiKeys.length,
+      availableScopes: apiKeyService.API_KEY_SCOPES,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/api-keys - Create a key (the key is only returned here)
+router.post('/', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const errors = apiKeyService.validateApiKeyInput({ name, scopes, expiresInDays });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const result = await apiKeyService.createApiKey(req.user.userId, {
+      name,
+      scopes,
+      expiresInDays,
+    });
+    if (!result) {
+      return res.status(400).json({ message: 'Too many active API keys. Revoke one first.' });
+    }
+
+    res.status(201).json({
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key: result.key,
+      apiKey: apiKeyService.formatApiKey(result.apiKey),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke a key
+router.delete('/:id', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    const revoked = await apiKeyService.revokeApiKey(req.user.userId, id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.status(200).json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,115 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const userStore = require('../services/user.store');
-const { generateToken } = require('../utils/jwt.utils');
+const tokenService = require('../services/token.service');
+const passwordResetService = require('../services/password-reset.service');
+const emailVerificationService = require('../services/email-verification.service');
+const twoFactorService = require('../services/two-factor.service');
+const loginThrottle = require('../services/login-throttle.service');
+const oauthService = require('../services/oauth.service');
+const {
+  verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+} = require('../utils/jwt.utils');
 
 const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
 
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/auth',
+  maxAge: (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Build the user object returned by auth endpoints
+ * @param {Object} user - User document
+ * @returns {Object} Frontend-compatible user object
+ */
+function formatAuthUser(user) {
+  const sanitizedUser = userStore.sanitizeUser(user);
+  return {
+    _id: sanitizedUser._id, // Frontend expects _id
+    id: sanitizedUser._id, // Also include id for compatibility
+    email: sanitizedUser.email,
+    emailVerified: sanitizedUser.emailVerified,
+    name: `${sanitizedUser.firstName} ${sanitizedUser.lastName}`,
+    firstName: sanitizedUser.firstName,
+    lastName: sanitizedUser.lastName,
+    profileImg: sanitizedUser.profileImg,
+    account: sanitizedUser.account,
+    score: sanitizedUser.score,
+    isAdmin: sanitizedUser.isAdmin,
+    role: sanitizedUser.role,
+    twoFactorEnabled: !!sanitizedUser.twoFactor?.enabled,
+    hasPassword: sanitizedUser.hasPassword,
+    identities: (sanitizedUser.identities || []).map(({ provider, email, linkedAt }) => ({
+      provider,
+      email,
+      linkedAt,
+    })),
+  };
+}
+
+/**
+ * Send an access/refresh token pair
+ * The refresh token is returned in the body and as an httpOnly cookie
+ * @param {Object} res - Express response
+ * @param {Object} tokens - { token, refreshToken }
+ * @param {Object} user - User document
+ */
+function sendAuthResponse(res, tokens, user) {
+  res.cookie(REFRESH_COOKIE_NAME, tokens.refreshToken, REFRESH_COOKIE_OPTIONS);
+  res.status(200).json({
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    user: formatAuthUser(user),
+  });
+}
+
+/**
+ * Reject a throttled login attempt
+ * Same response for existing and unknown emails
+ * @param {Object} res - Express response
+ * @param {Object} throttle - Result of loginThrottle.check()
+ */
+function sendThrottled(res, throttle) {
+  res.setHeader('Retry-After', throttle.retryAfter);
+  res.status(429).json({
+    message: 'Too many login attempts. Please try again later.',
+    retryAfter: throttle.retryAfter,
+  });
+}
+
+/**
+ * Device info recorded on the login session
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ip }
+ */
+function getClientInfo(req) {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null,
+  };
+}
+
+/**
+ * Read the refresh token from the request body or cookie
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Refresh token
+ */
+function getRefreshToken(req) {
+  return req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE_NAME];
+}
+
 // POST /api/auth/signup
 router.post('/signup', async (req, res, next) => {
   try {
-    const { email, password, firstName, lastName, profileImg, role } = req.body;
+    const { email, password, firstName, lastName, profileImg } = req.body;
 
     // Validation
     if (!email || !password) {
@@ -32,37 +133,23 @@ router.post('/signup', async (req, res, next) => {
       firstName,
       lastName,
       profileImg: profileImg || '',
-      role: role || 'user'
     });
 
+    // Send verification link (signup still succeeds if the email fails)
+    try {
+      await emailVerificationService.sendVerificationEmail(newUser);
+    } catch (error) {
+      console.error('Failed to send verification email:', error.message);
+    }
+
     // Set session (for backward compatibility)
     req.session.userId = newUser._id;
     req.session.userEmail = newUser.email;
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: newUser._id,
-      email: newUser.email,
-    });
+    // Start a new session: short-lived access token + refresh token
+    const tokens = await tokenService.issueTokens(newUser, getClientInfo(req));
 
-    // Return user without password and token
-    const sanitizedUser = userStore.sanitizeUser(newUser);
-    res.status(200).json({
-      token,
-      user: {
-        _id: sanitizedUser._id, // Frontend expects _id
-        id: sanitizedUser._id, // Also include id for compatibility
-        email: sanitizedUser.email,
-        name: `${sanitizedUser.firstName} ${sanitizedUser.lastName}`,
-        firstName: sanitizedUser.firstName,
-        lastName: sanitizedUser.lastName,
-        profileImg: sanitizedUser.profileImg,
-        account: sanitizedUser.account,
-        score: sanitizedUser.score,
-        isAdmin: sanitizedUser.isAdmin,
-        role: sanitizedUser.role,
-      },
-    });
+    sendAuthResponse(res, tokens, newUser);
   } catch (error) {
     // Handle MongoDB duplicate key error
     if (error.code === 11000) {
@@ -81,55 +168,182 @@ router.post('/login', async (req, res, next) => {
     if (!email || !password) {
       return res.status(400).json({ message: 'Email and password are required' });
     }
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ message: 'Email and password must be strings' });
+    }
+
+    // Brute-force protection (per email and per IP)
+    const throttle = await loginThrottle.check({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
 
-    // Find user
+    // Find user and verify password
+    // Unknown emails still do a password hash comparison so timing doesn't reveal them
     const user = await userStore.findByEmail(email);
-    if (!user) {
+    const isValidPassword = user
+      ? await userStore.verifyPassword(user, password)
+      : await userStore.verifyPasswordForUnknownUser(password);
+
+    if (!isValidPassword) {
+      await loginThrottle.recordFailure({
+        email,
+        ip: req.ip,
+        userId: user?._id,
+        userAgent: req.get('user-agent'),
+      });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Verify password
-    const isValidPassword = await userStore.verifyPassword(user, password);
-    if (!isValidPassword) {
+    // 2FA enabled: password was correct, but tokens are only issued after a valid code
+    // (failed attempts stay on the counter until the second step succeeds)
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken({ userId: user._id }),
+      });
+    }
+
+    await loginThrottle.recordSuccess({ email });
+
+    // Set session (for backward compatibility)
+    req.session.userId = user._id;
+    req.session.userEmail = user.email;
+
+    // Start a new session: short-lived access token + refresh token
+    const tokens = await tokenService.issueTokens(user, getClientInfo(req));
+
+    sendAuthResponse(res, tokens, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/login/2fa - Second login step: verify TOTP or recovery code
+router.post('/login/2fa', async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and a code or recovery code are required' });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
+    }
+
+    const user = await userStore.findById(challenge.userId);
+    if (!user) {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
+    // Code guesses count against the same account lockout as passwords
+    const throttle = await loginThrottle.check({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const result = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      await loginThrottle.recordFailure({
+        email: user.email,
+        ip: req.ip,
+        userId: user._id,
+        userAgent: req.get('user-agent'),
+      });
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await loginThrottle.recordSuccess({ email: user.email });
+
     // Set session (for backward compatibility)
     req.session.userId = user._id;
     req.session.userEmail = user.email;
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-    });
+    const tokens = await tokenService.issueTokens(user, getClientInfo(req));
 
-    // Return user without password and token
-    const sanitizedUser = userStore.sanitizeUser(user);
-    res.status(200).json({
-      token,
-      user: {
-        _id: sanitizedUser._id, // Frontend expects _id
-        id: sanitizedUser._id, // Also include id for compatibility
-        email: sanitizedUser.email,
-        name: `${sanitizedUser.firstName} ${sanitizedUser.lastName}`,
-        firstName: sanitizedUser.firstName,
-        lastName: sanitizedUser.lastName,
-        profileImg: sanitizedUser.profileImg,
-        account: sanitizedUser.account,
-        score: sanitizedUser.score,
-        isAdmin: sanitizedUser.isAdmin,
-        role: sanitizedUser.role,
-      },
-    });
+    sendAuthResponse(res, tokens, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/oauth/exchange - Trade the one-time code from the OAuth callback for tokens
+router.post('/oauth/exchange', async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    const user = await oauthService.consumeLoginCode(code);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired login code' });
+    }
+
+    // Accounts with 2FA still need the second step
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken({ userId: user._id }),
+      });
+    }
+
+    // Set session (for backward compatibility)
+    req.session.userId = user._id;
+    req.session.userEmail = user.email;
+
+    const tokens = await tokenService.issueTokens(user, getClientInfo(req));
+
+    sendAuthResponse(res, tokens, user);
   } catch (error) {
     next(error);
   }
 });
 
-// POST /api/auth/logout
-router.post('/logout', (req, res, next) => {
+// POST /api/auth/refresh - Rotate refresh token and issue a new access token
+router.post('/refresh', async (req, res, next) => {
   try {
+    const refreshToken = getRefreshToken(req);
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await tokenService.rotateRefreshToken(refreshToken, getClientInfo(req));
+    if (!result) {
+      res.clearCookie(REFRESH_COOKIE_NAME, { path: REFRESH_COOKIE_OPTIONS.path });
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    sendAuthResponse(res, result, result.user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', async (req, res, next) => {
+  try {
+    // Find the session from the refresh token, or from the access token
+    let sessionId = await tokenService.getSessionIdForRefreshToken(getRefreshToken(req));
+
+    if (!sessionId && req.headers.authorization?.startsWith('Bearer ')) {
+      try {
+        sessionId = verifyToken(req.headers.authorization.slice(7)).sid;
+      } catch (error) {
+        // Invalid or expired access token - nothing to revoke
+      }
+    }
+
+    if (sessionId) {
+      await tokenService.revokeSession(sessionId, 'logout');
+    }
+
+    res.clearCookie(REFRESH_COOKIE_NAME, { path: REFRESH_COOKIE_OPTIONS.path });
     req.session.destroy((err) => {
       if (err) {
         return next(err);
@@ -142,6 +356,174 @@ router.post('/logout', (req, res, next) => {
   }
 });
 
+// POST /api/auth/logout-all - Revoke every session of the current user
+router.post('/logout-all', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const revokedCount = await tokenService.revokeAllSessions(req.user.userId);
+
+    res.clearCookie(REFRESH_COOKIE_NAME, { path: REFRESH_COOKIE_OPTIONS.path });
+    req.session.destroy((err) => {
+      if (err) {
+        return next(err);
+      }
+      res.clearCookie('connect.sid');
+      res.status(200).json({
+        message: 'Logged out from all devices',
+        revokedSessions: revokedCount,
+      });
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/sessions - List active sessions (devices) of the current user
+router.get('/sessions', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const sessions = await tokenService.listActiveSessions(req.user.userId);
+
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenIp: session.lastSeenIp,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.user.sid),
+      })),
+      count: sessions.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one session (log out that device)
+router.delete('/sessions/:id', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await tokenService.revokeUserSession(req.user.userId, id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.status(200).json({
+      message: 'Session revoked successfully',
+      current: id === String(req.user.sid),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const limit = passwordResetService.checkRequestLimit({ email, ip: req.ip });
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', limit.retryAfter);
+      return res.status(429).json({
+        message: 'Too many password reset requests. Please try again later.',
+        retryAfter: limit.retryAfter,
+      });
+    }
+
+    // Same response, in the same time, whether or not the account exists
+    // (no email enumeration): the lookup and email happen after responding
+    passwordResetService
+      .requestPasswordReset(email)
+      .catch((error) => console.error('Password reset request failed:', error.message));
+
+    res.status(200).json({
+      message: 'If an account with that email exists, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password using a reset token
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    const isReset = await passwordResetService.resetPassword(token, password);
+    if (!isReset) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    res.status(200).json({ message: 'Password reset successfully. Please log in again.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/verify-email?token= - Confirm email ownership
+router.get('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const user = await emailVerificationService.verifyEmail(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    res.status(200).json({
+      message: 'Email verified successfully',
+      user: formatAuthUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/resend-verification - Send a new verification link
+router.post('/resend-verification', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const result = await emailVerificationService.sendVerificationEmail(user);
+    if (!result.sent) {
+      res.setHeader('Retry-After', result.retryAfter);
+      return res.status(429).json({
+        message: `Please wait ${result.retryAfter} seconds before requesting another email`,
+      });
+    }
+
+    res.status(200).json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/auth/me - Get current user (JWT-based)
 router.get('/me', verifyTokenMiddleware, async (req, res, next) => {
   try {
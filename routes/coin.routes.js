@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const coinRegistry = require('../services/coin-registry.service');
+const priceService = require('../services/price.service');
+const userStore = require('../services/user.store');
+const { SUPPORTED_QUOTE_CURRENCIES } = require('../config/currencies');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+
+/**
+ * Coin registry routes
+ * Mounted at /api/coins - all routes require JWT
+ */
+
+// GET /api/coins/search?q=&limit= - Search coins by symbol or name
+router.get('/search', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (!query) {
+      return res.status(400).json({ message: 'Query parameter q is required' });
+    }
+    if (query.length > 50) {
+      return res.status(400).json({ message: 'Query must be 50 characters or less' });
+    }
+
+    const coins = await coinRegistry.searchCoins(query, { limit });
+
+    res.status(200).json({ coins, count: coins.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/coins/:symbol/history - Price series and OHLC candles for charts
+ * Query params:
+ * - range: 1d | 7d | 30d | 1y (default: 7d)
+ * - interval: candle interval, allowed values depend on the range
+ * - currency: quote currency (default: the user's quoteCurrency)
+ */
+router.get('/:symbol/history', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const range = req.query.range || '7d';
+    const { interval, currency } = req.query;
+
+    if (!Object.hasOwn(priceService.HISTORY_RANGES, range)) {
+      return res.status(400).json({
+        message: `range must be one of: ${Object.keys(priceService.HISTORY_RANGES).join(', ')}`,
+      });
+    }
+    const rangeConfig = priceService.HISTORY_RANGES[range];
+    if (interval !== undefined && !rangeConfig.intervals.includes(interval)) {
+      return res.status(400).json({
+        message: `interval for range ${range} must be one of: ${rangeConfig.intervals.join(', ')}`,
+      });
+    }
+    if (currency !== undefined && !SUPPORTED_QUOTE_CURRENCIES.includes(String(currency).toUpperCase())) {
+      return res.status(400).json({
+        message: `currency must be one of: ${SUPPORTED_QUOTE_CURRENCIES.join(', ')}`,
+      });
+    }
+
+    const { coins, ambiguous } = await coinRegistry.resolveSymbols([req.params.symbol]);
+    if (ambiguous.length > 0) {
+      return res.status(400).json({
+        message: `Symbol ${ambiguous[0].symbol} is ambiguous`,
+        candidates: ambiguous[0].candidates,
+      });
+    }
+    if (coins.length === 0) {
+      return res.status(404).json({ message: 'Coin not found' });
+    }
+
+    const preferences = await userStore.getPreferences(req.user.userId);
+    const history = await priceService.getCoinHistory(coins[0], {
+      range,
+      interval,
+      quoteCurrency: currency || preferences?.quoteCurrency,
+    });
+
+    res.status(200).json(history);
+  } catch (error) {
+    if (error instanceof priceService.MarketDataError) {
+      const status = {
+        UNSUPPORTED_CURRENCY: 400,
+        NO_DATA: 404,
+        RATE_LIMITED: 503,
+        UNAVAILABLE: 502,
+      }[error.code];
+      return res.status(status).json({ message: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,35 @@
 const express = require('express');
 const router = express.Router();
-const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+const { verifyTokenOrApiKey } = require('../middleware/auth.middleware');
+const { requireVerifiedEmail } = require('../middleware/permission.middleware');
 const userStore = require('../services/user.store');
-const coingeckoService = require('../services/coingecko.service');
+const priceService = require('../services/price.service');
+const portfolioService = require('../services/portfolio.service');
+const watchlistService = require('../services/watchlist.service');
+const articleService = require('../services/article.service');
 const cryptopanicService = require('../services/cryptopanic.service');
 const aiService = require('../services/ai.service');
 const memeService = require('../services/meme.service');
+const { SENTIMENT_LABELS } = require('../utils/sentiment.utils');
 
-// GET /api/dashboard - Get dashboard data
-router.get('/', verifyTokenMiddleware, async (req, res, next) => {
+/**
+ * GET /api/dashboard - Get dashboard data
+ * Optional query params:
+ * - watchlist: ID of one of the user's watchlists to show instead of the onboarding assets
+ * - sentiment: only show 'bullish', 'bearish' or 'neutral' news
+ */
+router.get('/', verifyTokenOrApiKey('dashboard:read'), requireVerifiedEmail, async (req, res, next) => {
   try {
     const userId = req.user.userId;
 
+    const { sentiment } = req.query;
+    if (sentiment !== undefined && !SENTIMENT_LABELS.includes(sentiment)) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: [`sentiment must be one of: ${SENTIMENT_LABELS.join(', ')}`],
+      });
+    }
+
     // Get user data
     const user = await userStore.findById(userId);
     if (!user) {
@@ -20,11 +38,22 @@ router.get('/', verifyTokenMiddleware, async (req, res, next) => {
 
     // Get user preferences to personalize dashboard
     const preferences = await userStore.getPreferences(userId);
-    const interestedAssets = preferences?.interestedAssets || ['BTC', 'ETH'];
+    let interestedAssets = preferences?.interestedAssets || ['BTC', 'ETH'];
+
+    // A selected watchlist replaces the onboarding assets
+    let watchlist = null;
+    if (req.query.watchlist) {
+      watchlist = await watchlistService.getWatchlist(userId, req.query.watchlist);
+      if (!watchlist) {
+        return res.status(404).json({ message: 'Watchlist not found' });
+      }
+      interestedAssets = watchlist.items.map((item) => item.symbol);
+    }
 
     // Fetch coin prices based on user's interested assets
-    const coinPricesData = await coingeckoService.getCoinPrices(
-      interestedAssets
+    const coinPricesData = await priceService.getCoinPrices(
+      interestedAssets,
+      { quoteCurrency: preferences?.quoteCurrency }
     );
 
     // Log coin prices status (for debugging)
@@ -36,13 +65,34 @@ router.get('/', verifyTokenMiddleware, async (req, res, next) => {
       console.log(`Coins: ${coinPricesData.coins.map(c => c.symbol).join(', ')}`);
     }
 
+    // Show watchlist coins in the list's order, with their notes
+    let coins = coinPricesData.coins;
+    if (watchlist) {
+      coins = watchlist.items
+        .map((item) => {
+          const coin = coins.find((entry) => entry.id === item.coinId);
+          return coin ? { ...coin, note: item.note } : null;
+        })
+        .filter(Boolean);
+    }
+
+    // Portfolio summary (null until the user records a transaction)
+    const portfolioSummary = await portfolioService.getPortfolioSummary(
+      userId,
+      preferences?.quoteCurrency
+    );
+
     // Fetch crypto news based on user preferences
     const contentTypes = preferences?.contentTypes || ['Market News'];
     const newsData = await cryptopanicService.getCryptoNews(
       interestedAssets,
-      contentTypes
+      contentTypes,
+      { sentiment }
     );
 
+    // Bullish / bearish balance of recent news about each coin
+    const sentimentData = await articleService.getCoinSentiment(interestedAssets);
+
     // Generate AI insight based on user preferences
     const aiInsightData = await aiService.generateInsight({
       interestedAssets,
@@ -64,13 +114,21 @@ router.get('/', verifyTokenMiddleware, async (req, res, next) => {
         score: user.score,
         account: user.account,
       },
+      watchlist: watchlist ? { id: watchlist._id, name: watchlist.name } : null,
       coinPrices: {
-        coins: coinPricesData.coins,
-        updatedAt: new Date().toISOString(),
+        coins,
+        currency: coinPricesData.currency,
+        provider: coinPricesData.provider || null, // Market data provider that served the prices
+        updatedAt: coinPricesData.fetchedAt || null, // When the prices were fetched upstream
+        ageSeconds: coinPricesData.ageSeconds ?? null,
+        stale: coinPricesData.stale || false,
       },
+      portfolio: portfolioSummary,
       marketNews: {
         news: newsData.news,
         count: newsData.count,
+        sentimentFilter: sentiment || null,
+        sentiment: sentimentData.coins,
         updatedAt: new Date().toISOString(),
       },
       aiInsight: {
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+const { verifyTokenOrApiKey } = require('../middleware/auth.middleware');
+const { requireVerifiedEmail } = require('../middleware/permission.middleware');
 const Feedback = require('../models/Feedback');
+const articleService = require('../services/article.service');
 
 /**
  * POST /api/feedback - Save thumbs up/down votes
@@ -15,7 +17,7 @@ const Feedback = require('../models/Feedback');
  *   "comment": "optional-user-comment"
  * }
  */
-router.post('/', verifyTokenMiddleware, async (req, res, next) => {
+router.post('/', verifyTokenOrApiKey('feedback:write'), requireVerifiedEmail, async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const { type, section, contentId, comment } = req.body;
@@ -41,12 +43,18 @@ router.post('/', verifyTokenMiddleware, async (req, res, next) => {
       });
     }
 
+    // Link news votes to the stored article
+    const article = section === 'marketNews' && contentId
+      ? await articleService.getArticle(contentId)
+      : null;
+
     // Create feedback entry in MongoDB
     const feedback = new Feedback({
       userId,
       type,
       section,
       contentId: contentId || null,
+      articleId: article ? article._id : null,
       comment: comment || null,
     });
 
@@ -60,6 +68,7 @@ router.post('/', verifyTokenMiddleware, async (req, res, next) => {
         type: savedFeedback.type,
         section: savedFeedback.section,
         contentId: savedFeedback.contentId,
+        articleId: savedFeedback.articleId,
         comment: savedFeedback.comment,
         createdAt: savedFeedback.createdAt,
       },
@@ -75,7 +84,7 @@ router.post('/', verifyTokenMiddleware, async (req, res, next) => {
  * - section: filter by section (coinPrices, marketNews, aiInsight, meme)
  * - limit: number of results (default: 50)
  */
-router.get('/', verifyTokenMiddleware, async (req, res, next) => {
+router.get('/', verifyTokenOrApiKey('feedback:read'), async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const { section, limit = 50 } = req.query;
@@ -90,6 +99,7 @@ router.get('/', verifyTokenMiddleware, async (req, res, next) => {
     const userFeedback = await Feedback.find(query)
       .sort({ createdAt: -1 }) // Newest first
       .limit(parseInt(limit))
+      .populate('articleId', 'title url sourceName publishedAt') // The voted news article
       .select('-__v'); // Exclude version field
 
     res.status(200).json({
@@ -105,7 +115,7 @@ router.get('/', verifyTokenMiddleware, async (req, res, next) => {
  * GET /api/feedback/stats - Get feedback statistics for user
  * Returns counts of thumbs up/down per section
  */
-router.get('/stats', verifyTokenMiddleware, async (req, res, next) => {
+router.get('/stats', verifyTokenOrApiKey('feedback:read'), async (req, res, next) => {
   try {
     const userId = req.user.userId;
 
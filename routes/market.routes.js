@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const marketService = require('../services/market.service');
+const userStore = require('../services/user.store');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+
+/**
+ * Market routes
+ * Mounted at /api/market - all routes require JWT
+ */
+
+// GET /api/market/trending - Trending coins, flagged when already in the user's interests
+router.get('/trending', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const preferences = await userStore.getPreferences(req.user.userId);
+    const trending = await marketService.getTrending(preferences?.interestedAssets || []);
+
+    res.status(200).json({
+      coins: trending.coins,
+      count: trending.coins.length,
+      provider: trending.provider || null,
+      updatedAt: trending.updatedAt || null,
+      ageSeconds: trending.ageSeconds ?? null,
+      stale: trending.stale || false,
+      error: trending.error || null, // Set when no provider could serve trending coins
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/market/discover - Trending coins plus suggestions for the user's investor type
+ * Optional query params:
+ * - limit: number of suggestions (default: 10, max: 10)
+ */
+router.get('/discover', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    if (limit < 1) {
+      return res.status(400).json({ message: 'limit must be a positive integer' });
+    }
+
+    const preferences = await userStore.getPreferences(req.user.userId);
+    const feed = await marketService.getDiscoverFeed(preferences, { limit });
+
+    res.status(200).json({
+      investorType: feed.investorType,
+      trending: {
+        coins: feed.trending.coins,
+        provider: feed.trending.provider || null,
+        updatedAt: feed.trending.updatedAt || null,
+        stale: feed.trending.stale || false,
+        error: feed.trending.error || null,
+      },
+      suggestions: feed.suggestions,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const articleService = require('../services/article.service');
+const { verifyTokenOrApiKey } = require('../middleware/auth.middleware');
+
+/**
+ * News routes
+ * Mounted at /api/news - stored articles from CryptoPanic and the RSS / Atom feeds
+ * All routes require JWT or an API key with news:read
+ */
+
+/**
+ * GET /api/news - Search articles, newest first
+ * Optional query params:
+ * - coins: comma-separated symbols; articles mentioning any of them
+ * - source: comma-separated source names (e.g., CoinDesk) or providers (cryptopanic, rss)
+ * - from, to: publish date range (ISO dates)
+ * - q: words the title must contain (word prefixes, case-insensitive)
+ * - sentiment: 'bullish', 'bearish' or 'neutral'
+ * - cursor: nextCursor from the previous page
+ * - limit: number of results (default: 20, max: 50)
+ */
+router.get('/', verifyTokenOrApiKey('news:read'), async (req, res, next) => {
+  try {
+    const { errors, filters } = articleService.parseNewsQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const { articles, nextCursor } = await articleService.searchArticles(filters);
+
+    res.status(200).json({
+      news: articles.map(articleService.formatArticle),
+      count: articles.length,
+      nextCursor,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/news/:id - One article, with the other sources that ran the same story
+router.get('/:id', verifyTokenOrApiKey('news:read'), async (req, res, next) => {
+  try {
+    const article = await articleService.getArticle(req.params.id);
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    const duplicates = await articleService.listDuplicates(article._id);
+
+    res.status(200).json({
+      article: {
+        ...articleService.formatArticle(article),
+        duplicateOf: article.duplicateOf ? String(article.duplicateOf) : null,
+        alsoReportedBy: duplicates.map((duplicate) => ({
+          id: String(duplicate._id),
+          source: duplicate.sourceName || duplicate.provider,
+          url: duplicate.url,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const oauthService = require('../services/oauth.service');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+const { requireCurrentPassword } = require('../middleware/permission.middleware');
+const { buildFrontendUrl } = require('../utils/url.utils');
+
+/**
+ * OAuth2 / OpenID Connect login ("Sign in with Google/GitHub")
+ * Mounted at /api/auth/oauth
+ *
+ * Flow:
+ * 1. Browser opens GET /api/auth/oauth/:provider -> redirected to the provider
+ * 2. Provider redirects back to GET /api/auth/oauth/:provider/callback
+ * 3. Backend redirects to the frontend /oauth/callback?code=<one-time code>
+ * 4. Frontend calls POST /api/auth/oauth/exchange { code } -> { token, refreshToken, user }
+ *    (exchange lives in auth.routes.js with the other token-issuing routes)
+ *
+ * Linking a provider to an existing account starts with
+ * POST /api/auth/oauth/:provider/link (JWT + current password) instead of step 1
+ */
+
+// GET /api/auth/oauth/providers - List enabled providers
+router.get('/providers', (req, res) => {
+  res.status(200).json({ providers: oauthService.listProviders() });
+});
+
+// GET /api/auth/oauth/:provider - Start login (redirect, or ?format=json for the URL)
+router.get('/:provider', async (req, res, next) => {
+  try {
+    const authorizationUrl = await oauthService.createAuthorizationUrl(req.params.provider);
+
+    if (req.query.format === 'json') {
+      return res.status(200).json({ authorizationUrl });
+    }
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    if (error instanceof oauthService.OAuthError) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/oauth/:provider/link - Start linking a provider to the current account
+ * Requires JWT and the current password; the browser then opens authorizationUrl
+ * Body: { currentPassword }
+ */
+router.post('/:provider/link', verifyTokenMiddleware, requireCurrentPassword, async (req, res, next) => {
+  try {
+    const authorizationUrl = await oauthService.createAuthorizationUrl(req.params.provider, {
+      linkUserId: req.user.userId,
+    });
+
+    res.status(200).json({ authorizationUrl });
+  } catch (error) {
+    if (error instanceof oauthService.OAuthError) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+// GET /api/auth/oauth/:provider/callback - Provider redirects here
+router.get('/:provider/callback', async (req, res) => {
+  try {
+    const { user } = await oauthService.handleCallback(req.params.provider, req.query);
+    const code = await oauthService.createLoginCode(user, req.params.provider);
+
+    res.redirect(buildFrontendUrl('/oauth/callback', { code }));
+  } catch (error) {
+    const errorCode = error instanceof oauthService.OAuthError ? error.code : 'server_error';
+
+    if (process.env.NODE_ENV === 'development') {
+      console.error('OAuth callback failed:', error.message);
+    }
+
+    res.redirect(
+      buildFrontendUrl('/oauth/callback', {
+        error: errorCode,
+        ...(error instanceof oauthService.OAuthError && { message: error.message }),
+      })
+    );
+  }
+});
+
+module.exports = router;
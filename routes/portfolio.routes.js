@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const portfolioService = require('../services/portfolio.service');
+const userStore = require('../services/user.store');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+
+/**
+ * Portfolio routes
+ * Mounted at /api/portfolio - all routes require JWT
+ */
+
+// GET /api/portfolio - Holdings with FIFO cost basis and P&L
+router.get('/', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const preferences = await userStore.getPreferences(req.user.userId);
+    const portfolio = await portfolioService.getPortfolio(req.user.userId, preferences?.quoteCurrency);
+    if (portfolio.ledgerError) {
+      return res.status(409).json({
+        message: `Portfolio ledger is inconsistent: ${portfolio.ledgerError.message}`,
+        transactionId: portfolio.ledgerError.transactionId,
+      });
+    }
+
+    res.status(200).json(portfolio);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/portfolio/transactions - Transaction ledger, newest first
+ * Optional query params:
+ * - symbol: only this coin
+ * - limit: number of results (default: 100, max: 500)
+ */
+router.get('/transactions', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { symbol, limit } = req.query;
+    const transactions = await portfolioService.listTransactions(req.user.userId, { symbol, limit });
+
+    res.status(200).json({
+      transactions: transactions.map(portfolioService.formatTransaction),
+      count: transactions.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/portfolio/transactions - Record a transaction
+ *
+ * Request body:
+ * {
+ *   "symbol": "BTC",
+ *   "type": "buy" | "sell" | "transfer_in" | "transfer_out",
+ *   "quantity": 0.5,
+ *   "price": 60000,          // unit price; required for buy/sell, optional for transfer_in
+ *   "fee": 10,               // optional, default 0
+ *   "executedAt": "2024-01-15T10:00:00Z", // optional, default now
+ *   "note": "optional"
+ * }
+ * Amounts are in the portfolio currency
+ */
+router.post('/transactions', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { symbol, type, quantity, price, fee, executedAt, note } = req.body;
+
+    const { errors, values } = await portfolioService.validateTransactionInput({
+      symbol,
+      type,
+      quantity,
+      price,
+      fee,
+      executedAt,
+      note,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const preferences = await userStore.getPreferences(req.user.userId);
+    const currency = await portfolioService.getPortfolioCurrency(
+      req.user.userId,
+      preferences?.quoteCurrency
+    );
+
+    const result = await portfolioService.addTransaction(req.user.userId, values, currency);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Transaction recorded successfully',
+      transaction: portfolioService.formatTransaction(result.transaction),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/portfolio/transactions/:id - Delete a transaction
+router.delete('/transactions/:id', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const result = await portfolioService.deleteTransaction(req.user.userId, req.params.id);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    if (!result.deleted) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    res.status(200).json({ message: 'Transaction deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
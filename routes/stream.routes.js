@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const coinRegistry = require('../services/coin-registry.service');
+const priceStream = require('../services/price-stream.service');
+const userStore = require('../services/user.store');
+const tokenService = require('../services/token.service');
+const { SUPPORTED_QUOTE_CURRENCIES } = require('../config/currencies');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+
+/**
+ * Streaming routes (Server-Sent Events)
+ * Mounted at /api/stream - all routes require JWT; opening a stream also
+ * accepts a stream ticket (see POST /api/stream/tickets)
+ */
+
+/**
+ * Authenticate a stream request with the ticket query param
+ * Browsers' EventSource can't send an Authorization header; requests that
+ * have one go through verifyTokenMiddleware as usual
+ */
+async function verifyStreamAuth(req, res, next) {
+  if (req.headers.authorization) {
+    return verifyTokenMiddleware(req, res, next);
+  }
+
+  try {
+    const ticket = typeof req.query.ticket === 'string' ? priceStream.redeemTicket(req.query.ticket) : null;
+    if (!ticket) {
+      return res.status(401).json({ message: 'Invalid or expired stream ticket' });
+    }
+
+    if (!(await tokenService.isSessionActive(ticket.sessionId))) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    req.user = { userId: ticket.userId, sid: ticket.sessionId };
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: 'Authentication failed' });
+  }
+}
+
+/**
+ * POST /api/stream/tickets - Get a single-use ticket for opening a price stream
+ * The ticket is valid for 30 seconds; open the stream with ?ticket=<ticket>
+ */
+router.post('/tickets', verifyTokenMiddleware, (req, res) => {
+  const { ticket, expiresIn } = priceStream.issueTicket({
+    userId: req.user.userId,
+    sessionId: req.user.sid,
+  });
+
+  res.status(201).json({ ticket, expiresIn });
+});
+
+/**
+ * Parse a symbols list from a comma-separated string or an array
+ * @param {*} value - Query param or body value
+ * @returns {string[]|null} Symbols, or null if the value isn't a list
+ */
+function parseSymbols(value) {
+  if (typeof value === 'string') value = value.split(',');
+  if (!Array.isArray(value) || value.some((symbol) => typeof symbol !== 'string')) return null;
+  return value.map((symbol) => symbol.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve symbols through the coin registry
+ * @param {string[]} symbols - Symbols
+ * @returns {Promise<Object>} { errors, coins }
+ */
+async function resolveStreamSymbols(symbols) {
+  const errors = [];
+  if (symbols.length > priceStream.MAX_SYMBOLS_PER_STREAM) {
+    return { errors: [`At most ${priceStream.MAX_SYMBOLS_PER_STREAM} symbols per stream`], coins: [] };
+  }
+
+  const { coins, unknown, ambiguous } = await coinRegistry.resolveSymbols(symbols);
+  if (unknown.length > 0) errors.push(`Unknown symbols: ${unknown.join(', ')}`);
+  if (ambiguous.length > 0) errors.push(`Ambiguous symbols: ${ambiguous.map((entry) => entry.symbol).join(', ')}`);
+
+  return { errors, coins };
+}
+
+/**
+ * GET /api/stream/prices - Open a price stream (text/event-stream)
+ * Query params:
+ * - symbols: comma-separated symbols (default: the user's interestedAssets)
+ * - currency: quote currency (default: the user's quoteCurrency)
+ * - ticket: a stream ticket, for clients that can't set the Authorization header (EventSource)
+ *
+ * Events: ready { streamId, symbols, currency, intervalSeconds }, prices { coins, currency,
+ * provider, updatedAt, stale } (changed coins only), subscriptions { streamId, symbols, currency },
+ * error { message } (sent before the server closes the stream)
+ */
+router.get('/prices', verifyStreamAuth, async (req, res, next) => {
+  try {
+    const preferences = await userStore.getPreferences(req.user.userId);
+
+    const symbols = req.query.symbols === undefined
+      ? preferences?.interestedAssets || ['BTC', 'ETH']
+      : parseSymbols(req.query.symbols);
+    if (!symbols) {
+      return res.status(400).json({ message: 'symbols must be a comma-separated list' });
+    }
+
+    const currency = String(req.query.currency || preferences?.quoteCurrency || 'USD').toUpperCase();
+    if (!SUPPORTED_QUOTE_CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        message: `currency must be one of: ${SUPPORTED_QUOTE_CURRENCIES.join(', ')}`,
+      });
+    }
+
+    const { errors, coins } = await resolveStreamSymbols(symbols);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const { error } = priceStream.openStream(req, res, {
+      userId: req.user.userId,
+      sessionId: req.user.sid,
+      coins,
+      currency,
+    });
+    if (error) {
+      return res.status(429).json({ message: error });
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/stream/prices/:streamId/subscribe - Add coins to an open stream
+ * Request body: { "symbols": ["SOL", "ADA"] }
+ */
+router.post('/prices/:streamId/subscribe', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const stream = priceStream.getStream(req.params.streamId, req.user.userId);
+    if (!stream) {
+      return res.status(404).json({ message: 'Stream not found' });
+    }
+
+    const symbols = parseSymbols(req.body.symbols);
+    if (!symbols || symbols.length === 0) {
+      return res.status(400).json({ message: 'symbols must be a non-empty array' });
+    }
+
+    const { errors, coins } = await resolveStreamSymbols(symbols);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const result = priceStream.subscribe(stream, coins);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.status(200).json({ message: 'Subscribed', stream: result.stream });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/stream/prices/:streamId/unsubscribe - Remove coins from an open stream
+ * Request body: { "symbols": ["SOL"] }
+ */
+router.post('/prices/:streamId/unsubscribe', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const stream = priceStream.getStream(req.params.streamId, req.user.userId);
+    if (!stream) {
+      return res.status(404).json({ message: 'Stream not found' });
+    }
+
+    const symbols = parseSymbols(req.body.symbols);
+    if (!symbols || symbols.length === 0) {
+      return res.status(400).json({ message: 'symbols must be a non-empty array' });
+    }
+
+    const { stream: updated } = priceStream.unsubscribe(stream, symbols);
+    res.status(200).json({ message: 'Unsubscribed', stream: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const userStore = require('../services/user.store');
+const twoFactorService = require('../services/two-factor.service');
+const loginThrottle = require('../services/login-throttle.service');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+
+/**
+ * Two-factor authentication management (TOTP)
+ * Mounted at /api/auth/2fa - all routes require JWT
+ * The login second step lives in auth.routes.js (POST /api/auth/login/2fa)
+ *
+ * Routes that check a code or password share the login throttle, so a stolen
+ * access token doesn't allow unlimited guesses
+ */
+
+/**
+ * Check the login throttle before verifying a code or password
+ * Sends 429 when the attempt is throttled
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Account being verified
+ * @returns {Promise<boolean>} True if the attempt may proceed
+ */
+async function checkThrottle(req, res, user) {
+  const throttle = await loginThrottle.check({ email: user.email, ip: req.ip });
+  if (throttle.allowed) return true;
+
+  res.setHeader('Retry-After', throttle.retryAfter);
+  res.status(429).json({
+    message: 'Too many attempts. Please try again later.',
+    retryAfter: throttle.retryAfter,
+  });
+  return false;
+}
+
+/**
+ * Count a wrong code or password against the login throttle
+ * @param {Object} req - Express request
+ * @param {Object} user - Account being verified
+ * @returns {Promise<void>}
+ */
+async function recordFailure(req, user) {
+  await loginThrottle.recordFailure({
+    email: user.email,
+    ip: req.ip,
+    userId: user._id,
+    userAgent: req.get('user-agent'),
+  });
+}
+
+// GET /api/auth/2fa - Get 2FA status
+router.get('/', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      remainingRecoveryCodes: user.twoFactor?.recoveryCodes?.length || 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/setup - Start enrollment, returns otpauth URI
+router.post('/setup', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = await twoFactorService.beginEnrollment(user);
+
+    res.status(200).json({
+      message: 'Scan the otpauth URI with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/confirm - Confirm enrollment with a code, returns recovery codes
+router.post('/confirm', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start setup first with POST /api/auth/2fa/setup' });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they are shown only once.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes (requires a current code)
+router.post('/recovery-codes', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await checkThrottle(req, res, user))) return;
+
+    const result = await twoFactorService.verifySecondFactor(user, { code });
+    if (!result.valid) {
+      await recordFailure(req, user);
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    await loginThrottle.recordSuccess({ email: user.email });
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+    res.status(200).json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn 2FA off (requires password and a code or recovery code)
+router.post('/disable', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Password and a code or recovery code are required' });
+    }
+
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await checkThrottle(req, res, user))) return;
+
+    const isValidPassword = await userStore.verifyPassword(user, password);
+    if (!isValidPassword) {
+      await recordFailure(req, user);
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    const result = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      await recordFailure(req, user);
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await loginThrottle.recordSuccess({ email: user.email });
+
+    await twoFactorService.disable(user);
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
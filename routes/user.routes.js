@@ -2,14 +2,26 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const userStore = require('../services/user.store');
-const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+const accountService = require('../services/account.service');
+const articleService = require('../services/article.service');
+const { verifyTokenMiddleware, verifyTokenOrApiKey } = require('../middleware/auth.middleware');
+const {
+  POLICIES,
+  authorize,
+  isAdminUser,
+  requireVerifiedEmail,
+  requireCurrentPassword,
+} = require('../middleware/permission.middleware');
 const {
   validatePreferences,
 } = require('../utils/preferences.validator');
 const Feedback = require('../models/Feedback');
 
-// GET /api/user - Get all users
-router.get('/', verifyTokenMiddleware, async (req, res, next) => {
+// Fields only admins may change through PUT /api/user/:id
+const ADMIN_ONLY_FIELDS = ['score', 'account'];
+
+// GET /api/user - Get all users (admin only)
+router.get('/', verifyTokenMiddleware, authorize(POLICIES.ADMIN), async (req, res, next) => {
   try {
     const users = await userStore.getAll();
     res.status(200).json(users);
@@ -51,7 +63,7 @@ router.get('/preferences', verifyTokenMiddleware, async (req, res, next) => {
 router.post('/preferences', verifyTokenMiddleware, async (req, res, next) => {
   try {
     const userId = req.user.userId;
-    const { interestedAssets, investorType, contentTypes } = req.body;
+    const { interestedAssets, investorType, contentTypes, quoteCurrency } = req.body;
 
     // Verify user exists
     const user = await userStore.findById(userId);
@@ -60,10 +72,11 @@ router.post('/preferences', verifyTokenMiddleware, async (req, res, next) => {
     }
 
     // Validate preferences
-    const validation = validatePreferences({
+    const validation = await validatePreferences({
       interestedAssets,
       investorType,
       contentTypes,
+      quoteCurrency,
     });
 
     if (!validation.isValid) {
@@ -74,9 +87,10 @@ router.post('/preferences', verifyTokenMiddleware, async (req, res, next) => {
 
     // Save preferences
     const preferencesData = {
-      interestedAssets,
+      interestedAssets: validation.interestedAssets, // Normalized symbols
       investorType,
       contentTypes,
+      quoteCurrency: validation.quoteCurrency,
     };
 
     const updatedUser = await userStore.updatePreferences(userId, preferencesData);
@@ -99,7 +113,7 @@ router.post('/preferences', verifyTokenMiddleware, async (req, res, next) => {
 router.put('/preferences', verifyTokenMiddleware, async (req, res, next) => {
   try {
     const userId = req.user.userId;
-    const { interestedAssets, investorType, contentTypes } = req.body;
+    const { interestedAssets, investorType, contentTypes, quoteCurrency } = req.body;
 
     // Verify user exists
     const user = await userStore.findById(userId);
@@ -108,10 +122,11 @@ router.put('/preferences', verifyTokenMiddleware, async (req, res, next) => {
     }
 
     // Validate preferences
-    const validation = validatePreferences({
+    const validation = await validatePreferences({
       interestedAssets,
       investorType,
       contentTypes,
+      quoteCurrency,
     });
 
     if (!validation.isValid) {
@@ -122,9 +137,10 @@ router.put('/preferences', verifyTokenMiddleware, async (req, res, next) => {
 
     // Update preferences
     const preferencesData = {
-      interestedAssets,
+      interestedAssets: validation.interestedAssets, // Normalized symbols
       investorType,
       contentTypes,
+      quoteCurrency: validation.quoteCurrency,
     };
 
     const updatedUser = await userStore.updatePreferences(userId, preferencesData);
@@ -143,77 +159,76 @@ router.put('/preferences', verifyTokenMiddleware, async (req, res, next) => {
   }
 });
 
-// GET /api/user/:id - Get single user
-router.get('/:id', verifyTokenMiddleware, async (req, res, next) => {
+// PUT /api/user/me/password - Change own password (requires current password)
+router.put('/me/password', verifyTokenMiddleware, requireCurrentPassword, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const user = await userStore.findById(id);
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword) {
+      return res.status(400).json({ message: 'New password is required' });
     }
 
-    const sanitizedUser = userStore.sanitizeUser(user);
-    res.status(200).json(sanitizedUser);
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ message: 'New password must be different from the current one' });
+    }
+
+    await accountService.changePassword(req.authUser, newPassword, req.user.sid);
+
+    res.status(200).json({
+      message: 'Password changed successfully. Other sessions have been logged out.',
+    });
   } catch (error) {
     next(error);
   }
 });
 
-// PUT /api/user/:id - Update user (e.g., score)
-router.put('/:id', verifyTokenMiddleware, async (req, res, next) => {
+// PUT /api/user/me/email - Change own email (requires current password)
+router.put('/me/email', verifyTokenMiddleware, requireCurrentPassword, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    const { newEmail } = req.body;
 
-    // Only allow updating specific fields
-    const allowedFields = ['_id', 'score', 'firstName', 'lastName', 'profileImg', 'account'];
-    const filteredUpdates = {};
-    
-    for (const key of allowedFields) {
-      if (updates.hasOwnProperty(key)) {
-        filteredUpdates[key] = updates[key];
-      }
+    if (!newEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+      return res.status(400).json({ message: 'A valid new email is required' });
     }
 
-    const updatedUser = await userStore.update(id, filteredUpdates);
-    
+    if (newEmail.toLowerCase().trim() === req.authUser.email) {
+      return res.status(400).json({ message: 'New email must be different from the current one' });
+    }
+
+    const updatedUser = await accountService.changeEmail(req.authUser, newEmail, req.user.sid);
     if (!updatedUser) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(400).json({ message: 'User with this email already exists' });
     }
 
-    const sanitizedUser = userStore.sanitizeUser(updatedUser);
-    res.status(200).json(sanitizedUser);
+    res.status(200).json({
+      message: 'Email changed. Check your new inbox for a verification link.',
+      user: userStore.sanitizeUser(updatedUser),
+    });
   } catch (error) {
     next(error);
   }
 });
 
-// DELETE /api/user/:id - Delete user
-router.delete('/:id', verifyTokenMiddleware, async (req, res, next) => {
+// DELETE /api/user/me - Delete own account and its data (requires current password)
+router.delete('/me', verifyTokenMiddleware, requireCurrentPassword, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.userId;
-    
-    // Prevent deleting yourself (optional safety check)
-    if (userId === id) {
-      return res.status(400).json({ message: 'Cannot delete your own account' });
-    }
-
-    const deleted = await userStore.delete(id);
-    
+    const deleted = await accountService.deleteAccount(req.authUser._id);
     if (!deleted) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(500).json({ message: 'Failed to delete account' });
     }
 
-    res.status(200).json({ message: 'User deleted successfully' });
+    req.session.destroy(() => {
+      res.clearCookie('connect.sid');
+      res.clearCookie('refreshToken', { path: '/api/auth' });
+      res.status(200).json({ message: 'Account deleted successfully' });
+    });
   } catch (error) {
     next(error);
   }
 });
 
 // POST /api/user/feedback - Save user feedback (Frontend-compatible endpoint)
-router.post('/feedback', verifyTokenMiddleware, async (req, res, next) => {
+router.post('/feedback', verifyTokenOrApiKey('feedback:write'), requireVerifiedEmail, async (req, res, next) => {
   try {
     const userId = new mongoose.Types.ObjectId(req.user.userId);
     const { sectionType, vote, metadata, timestamp } = req.body;
@@ -237,12 +252,19 @@ router.post('/feedback', verifyTokenMiddleware, async (req, res, next) => {
     const type = vote === 'up' ? 'thumbs_up' : 'thumbs_down';
     const section = sectionType;
 
+    // Link news votes to the stored article
+    const contentId = metadata?.contentId || null;
+    const article = section === 'marketNews' && contentId
+      ? await articleService.getArticle(contentId)
+      : null;
+
     // Create feedback entry
     const feedback = new Feedback({
       userId,
       type,
       section,
-      contentId: metadata?.contentId || null,
+      contentId,
+      articleId: article ? article._id : null,
       comment: metadata?.comment || null,
     });
 
@@ -270,7 +292,7 @@ router.post('/feedback', verifyTokenMiddleware, async (req, res, next) => {
 });
 
 // GET /api/user/feedback - Get user's feedback history (Frontend-compatible)
-router.get('/feedback', verifyTokenMiddleware, async (req, res, next) => {
+router.get('/feedback', verifyTokenOrApiKey('feedback:read'), async (req, res, next) => {
   try {
     const userId = new mongoose.Types.ObjectId(req.user.userId);
     const { sectionType, limit = 50, offset = 0 } = req.query;
@@ -312,5 +334,80 @@ router.get('/feedback', verifyTokenMiddleware, async (req, res, next) => {
   }
 });
 
+// /:id routes come last, so they don't shadow /feedback
+// GET /api/user/:id - Get single user (owner or admin)
+router.get('/:id', verifyTokenMiddleware, authorize(POLICIES.OWNER_OR_ADMIN), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const user = await userStore.findById(id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sanitizedUser = userStore.sanitizeUser(user);
+    res.status(200).json(sanitizedUser);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/user/:id - Update user (owner or admin; score/account are admin only)
+router.put('/:id', verifyTokenMiddleware, authorize(POLICIES.OWNER_OR_ADMIN), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    // Only allow updating specific fields
+    const allowedFields = ['_id', 'score', 'firstName', 'lastName', 'profileImg', 'account'];
+    const filteredUpdates = {};
+    const isAdmin = isAdminUser(req.authUser);
+
+    for (const key of allowedFields) {
+      if (updates.hasOwnProperty(key)) {
+        if (!isAdmin && ADMIN_ONLY_FIELDS.includes(key)) {
+          return res.status(403).json({ message: `Only admins can update ${key}` });
+        }
+        filteredUpdates[key] = updates[key];
+      }
+    }
+
+    const updatedUser = await userStore.update(id, filteredUpdates);
+    
+    if (!updatedUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sanitizedUser = userStore.sanitizeUser(updatedUser);
+    res.status(200).json(sanitizedUser);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/user/:id - Delete user (admin only)
+router.delete('/:id', verifyTokenMiddleware, authorize(POLICIES.ADMIN), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    
+    // Prevent deleting yourself here - use DELETE /api/user/me instead
+    if (userId === id) {
+      return res.status(400).json({ message: 'Cannot delete your own account. Use DELETE /api/user/me.' });
+    }
+
+    // Removes the user's feedback and sessions too
+    const deleted = await accountService.deleteAccount(id);
+    
+    if (!deleted) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({ message: 'User deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
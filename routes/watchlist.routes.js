@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const watchlistService = require('../services/watchlist.service');
+const { verifyTokenMiddleware } = require('../middleware/auth.middleware');
+
+/**
+ * Watchlist routes
+ * Mounted at /api/watchlists - all routes require JWT
+ */
+
+/**
+ * Validate an optional item position
+ * @param {*} position - Requested index
+ * @param {number} max - Largest allowed index
+ * @returns {string|null} Error message or null
+ */
+function validatePosition(position, max) {
+  if (position === undefined) return null;
+  if (!Number.isInteger(position) || position < 0 || position > max) {
+    return `position must be an integer between 0 and ${max}`;
+  }
+  return null;
+}
+
+// GET /api/watchlists - List the user's watchlists in order
+router.get('/', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const watchlists = await watchlistService.listWatchlists(req.user.userId);
+    res.status(200).json({
+      watchlists: watchlists.map(watchlistService.formatWatchlist),
+      count: watchlists.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/watchlists - Create a watchlist
+ *
+ * Request body:
+ * {
+ *   "name": "Long term",
+ *   "items": [{ "symbol": "BTC", "note": "Cold storage" }, "ETH"]   // optional
+ * }
+ */
+router.post('/', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { name, items = [] } = req.body;
+
+    const errors = [];
+    const nameError = watchlistService.validateName(name);
+    if (nameError) errors.push(nameError);
+    const itemsResult = await watchlistService.validateItems(items);
+    errors.push(...itemsResult.errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const { watchlist, error } = await watchlistService.createWatchlist(req.user.userId, {
+      name,
+      items: itemsResult.items,
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(201).json({
+      message: 'Watchlist created successfully',
+      watchlist: watchlistService.formatWatchlist(watchlist),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/watchlists/order - Reorder watchlists
+ * Request body: { "ids": ["<watchlistId>", ...] } - every watchlist, in the new order
+ */
+router.put('/order', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { watchlists, error } = await watchlistService.reorderWatchlists(req.user.userId, req.body.ids);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(200).json({
+      message: 'Watchlists reordered successfully',
+      watchlists: watchlists.map(watchlistService.formatWatchlist),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/watchlists/:id - Get one watchlist
+router.get('/:id', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const watchlist = await watchlistService.getWatchlist(req.user.userId, req.params.id);
+    if (!watchlist) {
+      return res.status(404).json({ message: 'Watchlist not found' });
+    }
+
+    res.status(200).json({ watchlist: watchlistService.formatWatchlist(watchlist) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/watchlists/:id - Rename a watchlist and/or replace its items
+ * Request body: { "name"?: "...", "items"?: [...] } - items in the new order
+ */
+router.put('/:id', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { name, items } = req.body;
+
+    const watchlist = await watchlistService.getWatchlist(req.user.userId, req.params.id);
+    if (!watchlist) {
+      return res.status(404).json({ message: 'Watchlist not found' });
+    }
+
+    const errors = [];
+    if (name !== undefined) {
+      const nameError = watchlistService.validateName(name);
+      if (nameError) errors.push(nameError);
+    }
+    let itemsResult = null;
+    if (items !== undefined) {
+      itemsResult = await watchlistService.validateItems(items);
+      errors.push(...itemsResult.errors);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const result = await watchlistService.updateWatchlist(watchlist, {
+      name,
+      items: itemsResult ? itemsResult.items : undefined,
+    });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.status(200).json({
+      message: 'Watchlist updated successfully',
+      watchlist: watchlistService.formatWatchlist(result.watchlist),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/watchlists/:id - Delete a watchlist
+router.delete('/:id', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const deleted = await watchlistService.deleteWatchlist(req.user.userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Watchlist not found' });
+    }
+
+    res.status(200).json({ message: 'Watchlist deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/watchlists/:id/items - Add a coin
+ * Request body: { "symbol": "SOL", "note"?: "...", "position"?: 0 } - default position: last
+ */
+router.post('/:id/items', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { symbol, note, position } = req.body;
+
+    const watchlist = await watchlistService.getWatchlist(req.user.userId, req.params.id);
+    if (!watchlist) {
+      return res.status(404).json({ message: 'Watchlist not found' });
+    }
+
+    const { errors, items } = await watchlistService.validateItems([{ symbol, note }]);
+    const positionError = validatePosition(position, watchlist.items.length);
+    if (positionError) errors.push(positionError);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const result = await watchlistService.addItem(watchlist, items[0], position);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Coin added to watchlist',
+      watchlist: watchlistService.formatWatchlist(result.watchlist),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/watchlists/:id/items/:symbol - Edit a coin's note and/or move it
+ * Request body: { "note"?: "...", "position"?: 2 }
+ */
+router.put('/:id/items/:symbol', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const { note, position } = req.body;
+
+    const watchlist = await watchlistService.getWatchlist(req.user.userId, req.params.id);
+    if (!watchlist) {
+      return res.status(404).json({ message: 'Watchlist not found' });
+    }
+
+    const errors = [];
+    const noteError = watchlistService.validateNote(note);
+    if (noteError) errors.push(noteError);
+    const positionError = validatePosition(position, Math.max(watchlist.items.length - 1, 0));
+    if (positionError) errors.push(positionError);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    const result = await watchlistService.updateItem(watchlist, req.params.symbol, { note, position });
+    if (!result) {
+      return res.status(404).json({ message: 'Coin not on this watchlist' });
+    }
+
+    res.status(200).json({
+      message: 'Watchlist updated successfully',
+      watchlist: watchlistService.formatWatchlist(result.watchlist),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/watchlists/:id/items/:symbol - Remove a coin
+router.delete('/:id/items/:symbol', verifyTokenMiddleware, async (req, res, next) => {
+  try {
+    const watchlist = await watchlistService.getWatchlist(req.user.userId, req.params.id);
+    if (!watchlist) {
+      return res.status(404).json({ message: 'Watchlist not found' });
+    }
+
+    const removed = await watchlistService.removeItem(watchlist, req.params.symbol);
+    if (!removed) {
+      return res.status(404).json({ message: 'Coin not on this watchlist' });
+    }
+
+    res.status(200).json({
+      message: 'Coin removed from watchlist',
+      watchlist: watchlistService.formatWatchlist(watchlist),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -6,14 +6,35 @@ const session = require('express-session');
 const cookieParser = require('cookie-parser');
 const connectDB = require('./config/database');
 const userStore = require('./services/user.store');
+const coinRegistry = require('./services/coin-registry.service');
+const alertService = require('./services/alert.service');
+const newsFeedService = require('./services/news-feed.service');
 const authRoutes = require('./routes/auth.routes');
+const twoFactorRoutes = require('./routes/two-factor.routes');
+const oauthRoutes = require('./routes/oauth.routes');
 const userRoutes = require('./routes/user.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
 const feedbackRoutes = require('./routes/feedback.routes');
+const adminRoutes = require('./routes/admin.routes');
+const apiKeyRoutes = require('./routes/api-key.routes');
+const coinRoutes = require('./routes/coin.routes');
+const alertRoutes = require('./routes/alert.routes');
+const portfolioRoutes = require('./routes/portfolio.routes');
+const watchlistRoutes = require('./routes/watchlist.routes');
+const marketRoutes = require('./routes/market.routes');
+const streamRoutes = require('./routes/stream.routes');
+const newsRoutes = require('./routes/news.routes');
 
 const app = express();
 const PORT = process.env.PORT || 3030;
 
+// Behind a reverse proxy (Render, Railway...) trust X-Forwarded-For so req.ip
+// is the real client IP - used by login brute-force protection
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // CORS configuration - MUST be FIRST middleware before any body parsing
 // Support multiple origins (localhost for dev, Vercel for production)
 let allowedOrigins = ['http://localhost:5173']; // Default for local dev
@@ -56,7 +77,7 @@ app.use(
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
     exposedHeaders: ['Content-Type'],
     preflightContinue: false,
     optionsSuccessStatus: 204,
@@ -90,9 +111,20 @@ app.use(
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/oauth', oauthRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/coins', coinRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/portfolio', portfolioRoutes);
+app.use('/api/watchlists', watchlistRoutes);
+app.use('/api/market', marketRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/news', newsRoutes);
 
 // Root route - helpful info
 app.get('/', (req, res) => {
@@ -104,14 +136,42 @@ app.get('/', (req, res) => {
       auth: {
         signup: 'POST /api/auth/signup',
         login: 'POST /api/auth/login',
+        login2fa: 'POST /api/auth/login/2fa',
+        refresh: 'POST /api/auth/refresh',
         logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        verifyEmail: 'GET /api/auth/verify-email?token=',
+        resendVerification: 'POST /api/auth/resend-verification',
         me: 'GET /api/auth/me',
+        twoFactor: {
+          status: 'GET /api/auth/2fa',
+          setup: 'POST /api/auth/2fa/setup',
+          confirm: 'POST /api/auth/2fa/confirm',
+          recoveryCodes: 'POST /api/auth/2fa/recovery-codes',
+          disable: 'POST /api/auth/2fa/disable',
+        },
+        oauth: {
+          providers: 'GET /api/auth/oauth/providers',
+          start: 'GET /api/auth/oauth/:provider',
+          callback: 'GET /api/auth/oauth/:provider/callback',
+          link: 'POST /api/auth/oauth/:provider/link',
+          exchange: 'POST /api/auth/oauth/exchange',
+        },
       },
       users: {
         list: 'GET /api/user',
         get: 'GET /api/user/:id',
         update: 'PUT /api/user/:id',
         delete: 'DELETE /api/user/:id',
+        me: {
+          changePassword: 'PUT /api/user/me/password',
+          changeEmail: 'PUT /api/user/me/email',
+          delete: 'DELETE /api/user/me',
+        },
         preferences: {
           get: 'GET /api/user/preferences',
           save: 'POST /api/user/preferences',
@@ -125,11 +185,69 @@ app.get('/', (req, res) => {
       dashboard: {
         get: 'GET /api/dashboard',
       },
+      news: {
+        search: 'GET /api/news?coins=&source=&from=&to=&q=&sentiment=&cursor=',
+        get: 'GET /api/news/:id',
+      },
+      coins: {
+        search: 'GET /api/coins/search?q=',
+        history: 'GET /api/coins/:symbol/history?range=&interval=',
+      },
+      alerts: {
+        list: 'GET /api/alerts',
+        create: 'POST /api/alerts',
+        history: 'GET /api/alerts/history',
+        get: 'GET /api/alerts/:id',
+        update: 'PUT /api/alerts/:id',
+        delete: 'DELETE /api/alerts/:id',
+      },
+      portfolio: {
+        get: 'GET /api/portfolio',
+        transactions: 'GET /api/portfolio/transactions',
+        addTransaction: 'POST /api/portfolio/transactions',
+        deleteTransaction: 'DELETE /api/portfolio/transactions/:id',
+      },
+      watchlists: {
+        list: 'GET /api/watchlists',
+        create: 'POST /api/watchlists',
+        reorder: 'PUT /api/watchlists/order',
+        get: 'GET /api/watchlists/:id',
+        update: 'PUT /api/watchlists/:id',
+        delete: 'DELETE /api/watchlists/:id',
+        addItem: 'POST /api/watchlists/:id/items',
+        updateItem: 'PUT /api/watchlists/:id/items/:symbol',
+        removeItem: 'DELETE /api/watchlists/:id/items/:symbol',
+      },
+      market: {
+        trending: 'GET /api/market/trending',
+        discover: 'GET /api/market/discover',
+      },
+      stream: {
+        ticket: 'POST /api/stream/tickets',
+        prices: 'GET /api/stream/prices?ticket= (Server-Sent Events)',
+        subscribe: 'POST /api/stream/prices/:streamId/subscribe',
+        unsubscribe: 'POST /api/stream/prices/:streamId/unsubscribe',
+      },
       feedback: {
         save: 'POST /api/feedback',
         list: 'GET /api/feedback',
         stats: 'GET /api/feedback/stats',
       },
+      apiKeys: {
+        list: 'GET /api/api-keys',
+        create: 'POST /api/api-keys',
+        revoke: 'DELETE /api/api-keys/:id',
+      },
+      admin: {
+        lockouts: 'GET /api/admin/lockouts',
+        unlock: 'POST /api/admin/lockouts/unlock',
+        auditLog: 'GET /api/admin/audit-log',
+        syncCoins: 'POST /api/admin/coins/sync',
+        priceProviders: 'GET /api/admin/price-providers',
+        priceStreams: 'GET /api/admin/price-streams',
+        newsFeeds: 'GET /api/admin/news-feeds',
+        ingestNewsFeeds: 'POST /api/admin/news-feeds/ingest',
+      },
     },
   });
 });
@@ -180,6 +298,18 @@ async function startServer() {
     // Initialize default admin user (only if no users exist)
     await userStore.initializeDefaultUser();
 
+    // Users from before email verification count as verified
+    await userStore.backfillEmailVerified();
+
+    // Seed the coin registry and keep it synced from CoinGecko (in the background)
+    await coinRegistry.startCoinRegistrySync();
+
+    // Check price alerts in the background
+    alertService.startAlertEvaluator();
+
+    // Ingest RSS / Atom news feeds in the background
+    newsFeedService.startNewsFeedIngestion();
+
     // Start Express server
     app
       .listen(PORT, () => {
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Feedback = require('../models/Feedback');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const OAuthLoginCode = require('../models/OAuthLoginCode');
+const ApiKey = require('../models/ApiKey');
+const PriceAlert = require('../models/PriceAlert');
+const AlertTrigger = require('../models/AlertTrigger');
+const PortfolioTransaction = require('../models/PortfolioTransaction');
+const Watchlist = require('../models/Watchlist');
+const userStore = require('./user.store');
+const tokenService = require('./token.service');
+const mailService = require('./mail.service');
+const emailVerificationService = require('./email-verification.service');
+
+/**
+ * Account Service
+ * Self-service account changes: password, email and account deletion
+ * Callers are responsible for re-authenticating the user first
+ */
+
+/**
+ * Change the user's password
+ * Other sessions are revoked; the current one stays logged in
+ * @param {Object} user - User document
+ * @param {string} newPassword - New password
+ * @param {string} currentSessionId - Session making the request
+ * @returns {Promise<void>}
+ */
+async function changePassword(user, newPassword, currentSessionId) {
+  user.password = newPassword; // Hashed by pre-save hook
+  await user.save();
+
+  await PasswordResetToken.deleteMany({ userId: user._id });
+  await tokenService.revokeAllSessions(user._id, 'password_change', {
+    exceptSessionId: currentSessionId,
+  });
+
+  try {
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Your CryptoAdvisor password was changed',
+      text:
+        `Hi ${user.firstName},\n\n` +
+        `The password for your account was just changed and your other sessions were signed out.\n` +
+        `If this wasn't you, reset your password immediately.`,
+    });
+  } catch (error) {
+    console.error('Failed to send password change notice:', error.message);
+  }
+}
+
+/**
+ * Change the user's email address
+ * The new address starts unverified and gets a verification link;
+ * the old address is notified
+ * @param {Object} user - User document
+ * @param {string} newEmail - New email address
+ * @param {string} currentSessionId - Session making the request
+ * @returns {Promise<Object|null>} Updated user, or null if the email is taken
+ */
+async function changeEmail(user, newEmail, currentSessionId) {
+  const normalizedEmail = newEmail.toLowerCase().trim();
+  const previousEmail = user.email;
+
+  const existingUser = await userStore.findByEmail(normalizedEmail);
+  if (existingUser) return null;
+
+  const updatedUser = await userStore.update(user._id, {
+    email: normalizedEmail,
+    emailVerified: false,
+    emailVerifiedAt: null,
+  });
+  if (!updatedUser) return null; // Unique index lost a race with another signup
+
+  // Links sent to the old address must not verify the new one
+  await EmailVerificationToken.deleteMany({ userId: user._id });
+  await tokenService.revokeAllSessions(user._id, 'email_change', {
+    exceptSessionId: currentSessionId,
+  });
+
+  try {
+    await emailVerificationService.sendVerificationEmail(updatedUser);
+    await mailService.sendMail({
+      to: previousEmail,
+      subject: 'Your CryptoAdvisor email was changed',
+      text:
+        `Hi ${user.firstName},\n\n` +
+        `The email for your account was changed to ${normalizedEmail}.\n` +
+        `If this wasn't you, contact support immediately.`,
+    });
+  } catch (error) {
+    console.error('Failed to send email change messages:', error.message);
+  }
+
+  return updatedUser;
+}
+
+/**
+ * Delete an account and everything that belongs to it
+ * Removes feedback, alerts, portfolio, watchlists, sessions, refresh tokens, API keys and pending tokens, then the user
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user was deleted (false for unknown or malformed IDs)
+ */
+async function deleteAccount(userId) {
+  if (!mongoose.isValidObjectId(userId)) return false;
+
+  await tokenService.deleteAllSessions(userId);
+  await Promise.all([
+    Feedback.deleteMany({ userId }),
+    PasswordResetToken.deleteMany({ userId }),
+    EmailVerificationToken.deleteMany({ userId }),
+    OAuthLoginCode.deleteMany({ userId }),
+    ApiKey.deleteMany({ userId }),
+    PriceAlert.deleteMany({ userId }),
+    AlertTrigger.deleteMany({ userId }),
+    PortfolioTransaction.deleteMany({ userId }),
+    Watchlist.deleteMany({ userId }),
+  ]);
+
+  return userStore.delete(userId);
+}
+
+module.exports = {
+  changePassword,
+  changeEmail,
+  deleteAccount,
+};
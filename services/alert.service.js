@@ -0,0 +1,461 @@
+const mongoose = require('mongoose');
+const PriceAlert = require('../models/PriceAlert');
+const AlertTrigger = require('../models/AlertTrigger');
+const userStore = require('./user.store');
+const coinRegistry = require('./coin-registry.service');
+const priceService = require('./price.service');
+const mailService = require('./mail.service');
+const { SUPPORTED_QUOTE_CURRENCIES, DEFAULT_QUOTE_CURRENCY } = require('../config/currencies');
+
+/**
+ * Alert Service
+ * Price alert CRUD and the background evaluator
+ *
+ * The evaluator runs every ALERT_EVALUATION_INTERVAL_SECONDS (default: 60), checks
+ * active alerts against the price service and records a trigger when a condition
+ * is met. 'once' alerts are deactivated when they trigger; 'recurring' alerts
+ * wait cooldownMinutes before they can trigger again.
+ */
+
+const EVALUATION_INTERVAL_SECONDS = parseInt(process.env.ALERT_EVALUATION_INTERVAL_SECONDS) || 60;
+const MAX_ALERTS_PER_USER = 50;
+const MIN_WINDOW_MINUTES = 30; // Several samples of the 5-minute price history
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const MAX_HISTORY_RESULTS = 100;
+
+const CONDITIONS = ['above', 'below', 'percent_change'];
+const MODES = ['once', 'recurring'];
+
+let evaluationInProgress = false;
+
+/**
+ * Validate alert input, merged over an existing alert for updates
+ * Resolves the symbol through the coin registry
+ * @param {Object} input - { symbol, condition, targetPrice, percentChange, windowMinutes, mode, cooldownMinutes, currency, active }
+ * @param {Object} existing - Existing alert (updates) or null (create)
+ * @param {string} defaultCurrency - Currency when none is given on create
+ * @returns {Promise<Object>} { errors: string[], values: Object }
+ */
+async function validateAlertInput(input, existing = null, defaultCurrency = DEFAULT_QUOTE_CURRENCY) {
+  const errors = [];
+  const merged = {
+    symbol: existing?.symbol,
+    coinId: existing?.coinId,
+    condition: existing?.condition,
+    targetPrice: existing?.targetPrice ?? null,
+    percentChange: existing?.percentChange ?? null,
+    windowMinutes: existing?.windowMinutes ?? null,
+    mode: existing?.mode || 'once',
+    cooldownMinutes: existing?.cooldownMinutes ?? 60,
+    currency: existing?.currency || defaultCurrency,
+  };
+  for (const [field, value] of Object.entries(input)) {
+    if (value !== undefined) merged[field] = value;
+  }
+
+  // Symbol (resolved only when new or changed)
+  if (typeof merged.symbol !== 'string' || !merged.symbol.trim()) {
+    errors.push('symbol is required');
+  } else if (!existing || merged.symbol.toUpperCase() !== existing.symbol) {
+    const { coins, ambiguous } = await coinRegistry.resolveSymbols([merged.symbol]);
+    if (ambiguous.length > 0) {
+      errors.push(`symbol ${ambiguous[0].symbol} is ambiguous`);
+    } else if (coins.length === 0) {
+      errors.push(`Unknown symbol: ${merged.symbol.toUpperCase()}`);
+    } else {
+      merged.symbol = coins[0].symbol;
+      merged.coinId = coins[0].id;
+    }
+  }
+
+  if (!CONDITIONS.includes(merged.condition)) {
+    errors.push(`condition must be one of: ${CONDITIONS.join(', ')}`);
+  } else if (merged.condition === 'percent_change') {
+    const percent = Number(merged.percentChange);
+    const windowMinutes = Number(merged.windowMinutes);
+    if (merged.percentChange === null || !Number.isFinite(percent) || percent === 0 || percent < -99 || percent > 1000) {
+      errors.push('percentChange must be a non-zero number between -99 and 1000 (negative for drops)');
+    }
+    if (!Number.isInteger(windowMinutes) || windowMinutes < MIN_WINDOW_MINUTES || windowMinutes > MAX_WINDOW_MINUTES) {
+      errors.push(`windowMinutes must be an integer between ${MIN_WINDOW_MINUTES} and ${MAX_WINDOW_MINUTES}`);
+    }
+    merged.percentChange = percent;
+    merged.windowMinutes = windowMinutes;
+    merged.targetPrice = null;
+  } else {
+    const targetPrice = Number(merged.targetPrice);
+    if (merged.targetPrice === null || !Number.isFinite(targetPrice) || targetPrice <= 0) {
+      errors.push('targetPrice must be a positive number');
+    }
+    merged.targetPrice = targetPrice;
+    merged.percentChange = null;
+    merged.windowMinutes = null;
+  }
+
+  if (!MODES.includes(merged.mode)) {
+    errors.push(`mode must be one of: ${MODES.join(', ')}`);
+  }
+
+  const cooldownMinutes = Number(merged.cooldownMinutes);
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 1 || cooldownMinutes > MAX_COOLDOWN_MINUTES) {
+    errors.push(`cooldownMinutes must be an integer between 1 and ${MAX_COOLDOWN_MINUTES}`);
+  }
+  merged.cooldownMinutes = cooldownMinutes;
+
+  if (typeof merged.currency !== 'string' || !SUPPORTED_QUOTE_CURRENCIES.includes(merged.currency.toUpperCase())) {
+    errors.push(`currency must be one of: ${SUPPORTED_QUOTE_CURRENCIES.join(', ')}`);
+  } else {
+    merged.currency = merged.currency.toUpperCase();
+  }
+
+  if (merged.active !== undefined && typeof merged.active !== 'boolean') {
+    errors.push('active must be a boolean');
+  }
+
+  return { errors, values: merged };
+}
+
+/**
+ * Create an alert
+ * @param {string} userId - Owner
+ * @param {Object} values - Validated values
+ * @returns {Promise<Object|null>} Alert, or null if the user has too many alerts
+ */
+async function createAlert(userId, values) {
+  const count = await PriceAlert.countDocuments({ userId });
+  if (count >= MAX_ALERTS_PER_USER) return null;
+
+  return PriceAlert.create({ ...values, userId, active: true });
+}
+
+/**
+ * List a user's alerts
+ * @param {string} userId - Owner
+ * @returns {Promise<Array>} Alerts, newest first
+ */
+async function listAlerts(userId) {
+  return PriceAlert.find({ userId }).sort({ createdAt: -1 });
+}
+
+/**
+ * Get one of a user's alerts
+ * @param {string} userId - Owner
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<Object|null>} Alert or null
+ */
+async function getAlert(userId, alertId) {
+  if (!mongoose.isValidObjectId(alertId)) return null;
+  return PriceAlert.findOne({ _id: alertId, userId });
+}
+
+/**
+ * Update an alert
+ * Any change clears the cooldown, so the new condition is checked right away
+ * @param {string} userId - Owner
+ * @param {string} alertId - Alert ID
+ * @param {Object} values - Validated values
+ * @returns {Promise<Object|null>} Updated alert or null
+ */
+async function updateAlert(userId, alertId, values) {
+  return PriceAlert.findOneAndUpdate(
+    { _id: alertId, userId },
+    { $set: { ...values, cooldownUntil: null } },
+    { new: true }
+  );
+}
+
+/**
+ * Delete an alert (its trigger history is kept)
+ * @param {string} userId - Owner
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteAlert(userId, alertId) {
+  if (!mongoose.isValidObjectId(alertId)) return false;
+  const result = await PriceAlert.deleteOne({ _id: alertId, userId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * List a user's triggered alerts
+ * @param {string} userId - Owner
+ * @param {Object} options - { alertId, limit }
+ * @returns {Promise<Array>} Triggers, newest first
+ */
+async function listTriggers(userId, { alertId, limit } = {}) {
+  const query = { userId };
+  if (alertId) query.alertId = alertId;
+
+  return AlertTrigger.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, MAX_HISTORY_RESULTS));
+}
+
+/**
+ * Format a price for messages
+ * @param {number} price - Price
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "65,120.5 USD"
+ */
+function formatPrice(price, currency) {
+  const maximumFractionDigits = price < 1 ? 6 : 2;
+  return `${price.toLocaleString('en-US', { maximumFractionDigits })} ${currency}`;
+}
+
+/**
+ * Describe a triggered alert
+ * @param {Object} alert - Alert
+ * @param {Object} observation - { price, observedChange }
+ * @returns {string} Message
+ */
+function buildTriggerMessage(alert, { price, observedChange }) {
+  const now = formatPrice(price, alert.currency);
+
+  if (alert.condition === 'above') {
+    return `${alert.symbol} is above ${formatPrice(alert.targetPrice, alert.currency)} (now ${now})`;
+  }
+  if (alert.condition === 'below') {
+    return `${alert.symbol} is below ${formatPrice(alert.targetPrice, alert.currency)} (now ${now})`;
+  }
+
+  const direction = observedChange < 0 ? 'dropped' : 'rose';
+  return `${alert.symbol} ${direction} ${Math.abs(observedChange).toFixed(2)}% in the last ${alert.windowMinutes} minutes (now ${now})`;
+}
+
+/**
+ * Check whether an alert's condition is met
+ * @param {Object} alert - Alert
+ * @param {Object} observation - { price, observedChange }
+ * @returns {boolean} True if met
+ */
+function isConditionMet(alert, { price, observedChange }) {
+  switch (alert.condition) {
+    case 'above':
+      return price >= alert.targetPrice;
+    case 'below':
+      return price <= alert.targetPrice;
+    case 'percent_change':
+      return alert.percentChange < 0
+        ? observedChange <= alert.percentChange
+        : observedChange >= alert.percentChange;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Record a triggered alert and notify its owner
+ * The alert is claimed atomically, so concurrent evaluators trigger it once
+ * @param {Object} alert - Alert
+ * @param {Object} observation - { price, observedChange, provider }
+ * @returns {Promise<Object|null>} Trigger, or null if the alert was already handled
+ */
+async function triggerAlert(alert, observation) {
+  const now = new Date();
+
+  const claimed = await PriceAlert.findOneAndUpdate(
+    {
+      _id: alert._id,
+      active: true,
+      $or: [{ cooldownUntil: null }, { cooldownUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lastTriggeredAt: now,
+        cooldownUntil: new Date(now.getTime() + alert.cooldownMinutes * 60 * 1000),
+        active: alert.mode === 'recurring',
+      },
+      $inc: { triggerCount: 1 },
+    }
+  );
+  if (!claimed) return null;
+
+  const message = buildTriggerMessage(alert, observation);
+  const trigger = await AlertTrigger.create({
+    userId: alert.userId,
+    alertId: alert._id,
+    symbol: alert.symbol,
+    currency: alert.currency,
+    condition: alert.condition,
+    targetPrice: alert.targetPrice,
+    percentChange: alert.percentChange,
+    windowMinutes: alert.windowMinutes,
+    price: observation.price,
+    observedChange: observation.observedChange ?? null,
+    provider: observation.provider || null,
+    message,
+  });
+
+  try {
+    const user = await userStore.findById(alert.userId);
+    if (user) {
+      await mailService.sendMail({
+        to: user.email,
+        subject: `Price alert: ${alert.symbol}`,
+        text:
+          `Hi ${user.firstName},\n\n` +
+          `${message}.\n\n` +
+          (alert.mode === 'once'
+            ? 'This alert is now off. You can turn it back on from your alerts.'
+            : `This alert can trigger again in ${alert.cooldownMinutes} minutes.`),
+      });
+    }
+  } catch (error) {
+    console.error('Failed to send price alert email:', error.message);
+  }
+
+  return trigger;
+}
+
+/**
+ * Evaluate all active alerts once
+ * Prices are fetched once per currency; price changes once per coin, currency and window
+ * @returns {Promise<Object>} { evaluated: number, triggered: number }
+ */
+async function evaluateAlerts() {
+  const now = new Date();
+  const alerts = await PriceAlert.find({
+    active: true,
+    $or: [{ cooldownUntil: null }, { cooldownUntil: { $lte: now } }],
+  }).lean();
+
+  // Current prices, one request per currency (percent_change alerts compare them with the history)
+  // Fresh only: a stale cached quote could trigger or clear an alert on a price minutes old
+  const pricesByCurrency = {};
+  for (const currency of new Set(alerts.map((alert) => alert.currency))) {
+    const symbols = [...new Set(alerts.filter((alert) => alert.currency === currency).map((alert) => alert.symbol))];
+    const result = await priceService.getCoinPrices(symbols, { quoteCurrency: currency, allowStale: false });
+    pricesByCurrency[currency] = {
+      provider: result.provider,
+      coins: Object.fromEntries(result.coins.map((coin) => [coin.id, coin])),
+    };
+  }
+
+  const changes = new Map();
+  const evaluatedIds = [];
+  let triggered = 0;
+
+  for (const alert of alerts) {
+    let observation = null;
+    const prices = pricesByCurrency[alert.currency];
+    const coin = prices?.coins[alert.coinId];
+
+    if (coin && alert.condition === 'percent_change') {
+      const key = `${alert.coinId}:${alert.currency}:${alert.windowMinutes}`;
+      if (!changes.has(key)) {
+        const change = await priceService
+          .getPriceChange(
+            { id: alert.coinId, symbol: alert.symbol },
+            { price: coin.price, windowMinutes: alert.windowMinutes, quoteCurrency: alert.currency }
+          )
+          .catch(() => null);
+        changes.set(key, change);
+      }
+
+      const change = changes.get(key);
+      if (change) {
+        observation = { price: change.price, observedChange: change.changePercent, provider: prices.provider };
+      }
+    } else if (coin) {
+      observation = { price: coin.price, provider: prices.provider };
+    }
+
+    if (!observation) continue; // No data this round
+    evaluatedIds.push(alert._id);
+
+    if (isConditionMet(alert, observation) && (await triggerAlert(alert, observation))) {
+      triggered += 1;
+    }
+  }
+
+  if (evaluatedIds.length > 0) {
+    await PriceAlert.updateMany({ _id: { $in: evaluatedIds } }, { $set: { lastEvaluatedAt: now } });
+  }
+
+  return { evaluated: evaluatedIds.length, triggered };
+}
+
+/**
+ * Run the evaluator every ALERT_EVALUATION_INTERVAL_SECONDS
+ * A run is skipped while the previous one is still going
+ */
+function startAlertEvaluator() {
+  setInterval(async () => {
+    if (evaluationInProgress) return;
+    evaluationInProgress = true;
+
+    try {
+      const { triggered } = await evaluateAlerts();
+      if (triggered > 0) {
+        console.log(`Price alerts triggered: ${triggered}`);
+      }
+    } catch (error) {
+      console.error('Price alert evaluation failed:', error.message);
+    } finally {
+      evaluationInProgress = false;
+    }
+  }, EVALUATION_INTERVAL_SECONDS * 1000).unref();
+}
+
+/**
+ * Format an alert for API responses
+ * @param {Object} alert - Alert document
+ * @returns {Object} Public alert info
+ */
+function formatAlert(alert) {
+  return {
+    id: alert._id,
+    symbol: alert.symbol,
+    currency: alert.currency,
+    condition: alert.condition,
+    targetPrice: alert.targetPrice,
+    percentChange: alert.percentChange,
+    windowMinutes: alert.windowMinutes,
+    mode: alert.mode,
+    cooldownMinutes: alert.cooldownMinutes,
+    active: alert.active,
+    cooldownUntil: alert.cooldownUntil,
+    lastTriggeredAt: alert.lastTriggeredAt,
+    lastEvaluatedAt: alert.lastEvaluatedAt,
+    triggerCount: alert.triggerCount,
+    createdAt: alert.createdAt,
+  };
+}
+
+/**
+ * Format a trigger for API responses
+ * @param {Object} trigger - AlertTrigger document
+ * @returns {Object} Public trigger info
+ */
+function formatTrigger(trigger) {
+  return {
+    id: trigger._id,
+    alertId: trigger.alertId,
+    symbol: trigger.symbol,
+    currency: trigger.currency,
+    condition: trigger.condition,
+    targetPrice: trigger.targetPrice,
+    percentChange: trigger.percentChange,
+    windowMinutes: trigger.windowMinutes,
+    price: trigger.price,
+    observedChange: trigger.observedChange,
+    provider: trigger.provider,
+    message: trigger.message,
+    triggeredAt: trigger.createdAt,
+  };
+}
+
+module.exports = {
+  validateAlertInput,
+  createAlert,
+  listAlerts,
+  getAlert,
+  updateAlert,
+  deleteAlert,
+  listTriggers,
+  evaluateAlerts,
+  startAlertEvaluator,
+  formatAlert,
+  formatTrigger,
+};
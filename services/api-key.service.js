@@ -0,0 +1,162 @@
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+const { generateRandomToken, hashToken } = require('../utils/crypto.utils');
+
+/**
+ * API Key Service
+ * Creates, verifies and revokes personal API keys
+ *
+ * Key format: "cak_<random>" - the prefix makes leaked keys easy to spot
+ */
+
+const KEY_PREFIX = 'cak_';
+const DEFAULT_EXPIRES_DAYS = 90;
+const MAX_EXPIRES_DAYS = 365;
+const MAX_KEYS_PER_USER = 20;
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Validate key creation input
+ * @param {Object} input - { name, scopes, expiresInDays }
+ * @returns {string[]} Validation errors
+ */
+function validateApiKeyInput({ name, scopes, expiresInDays }) {
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    errors.push('name is required');
+  } else if (name.length > 100) {
+    errors.push('name must be 100 characters or less');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push('scopes must be a non-empty array');
+  } else {
+    const invalidScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      errors.push(
+        `Invalid scopes: ${invalidScopes.join(', ')}. Valid options: ${API_KEY_SCOPES.join(', ')}`
+      );
+    }
+  }
+
+  if (expiresInDays !== undefined) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRES_DAYS) {
+      errors.push(`expiresInDays must be an integer between 1 and ${MAX_EXPIRES_DAYS}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create an API key
+ * @param {string} userId - Owner
+ * @param {Object} input - { name, scopes, expiresInDays }
+ * @returns {Promise<Object|null>} { apiKey (document), key (plain, shown once) } or null if the user has too many keys
+ */
+async function createApiKey(userId, { name, scopes, expiresInDays }) {
+  const activeCount = await ApiKey.countDocuments({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (activeCount >= MAX_KEYS_PER_USER) return null;
+
+  const key = `${KEY_PREFIX}${generateRandomToken(32)}`;
+  const days = expiresInDays ? Number(expiresInDays) : DEFAULT_EXPIRES_DAYS;
+
+  const apiKey = await ApiKey.create({
+    userId,
+    name: name.trim(),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashToken(key),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Verify a plain API key
+ * @param {string} key - Key from the X-API-Key header
+ * @param {Object} client - Request info ({ ip }) for last-used tracking
+ * @returns {Promise<Object|null>} Active key document or null
+ */
+async function verifyApiKey(key, client = {}) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!apiKey) return null;
+
+  // Last-used tracking, written at most once a minute per key (not awaited)
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: now, lastUsedIp: client.ip || null } }
+    ).catch(() => {});
+  }
+
+  return apiKey;
+}
+
+/**
+ * List a user's keys (never includes the key itself)
+ * @param {string} userId - Owner
+ * @returns {Promise<Array>} Key documents, newest first
+ */
+async function listApiKeys(userId) {
+  return ApiKey.find({ userId }).sort({ createdAt: -1 }).select('-keyHash -__v');
+}
+
+/**
+ * Revoke a key
+ * @param {string} userId - Owner
+ * @param {string} keyId - Key ID
+ * @returns {Promise<boolean>} True if revoked
+ */
+async function revokeApiKey(userId, keyId) {
+  const result = await ApiKey.updateOne(
+    { _id: keyId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Format a key document for API responses
+ * @param {Object} apiKey - Key document
+ * @returns {Object} Public key info
+ */
+function formatApiKey(apiKey) {
+  const now = new Date();
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    createdAt: apiKey.createdAt,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt,
+    status: apiKey.revokedAt ? 'revoked' : apiKey.expiresAt <= now ? 'expired' : 'active',
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  validateApiKeyInput,
+  createApiKey,
+  verifyApiKey,
+  listApiKeys,
+  revokeApiKey,
+  formatApiKey,
+};
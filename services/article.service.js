@@ -0,0 +1,516 @@
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const newsClassifier = require('./news-classifier.service');
+const { normalizeTitle, titleSimilarity } = require('../utils/news.utils');
+const { SENTIMENT_LABELS, labelScore, scoreSentiment } = require('../utils/sentiment.utils');
+
+/**
+ * Article Service
+ * Stores news articles with stable IDs and folds near-duplicate stories together
+ *
+ * Articles are upserted in bulk by (provider, sourceId), so the same story keeps
+ * its ID across fetches. A new article whose title is near-identical (NEAR_DUPLICATE_SIMILARITY)
+ * to one published within DUPLICATE_WINDOW_HOURS is stored with duplicateOf set,
+ * and callers get the canonical article instead. Articles are never deleted.
+ *
+ * New articles, and articles whose title changed, are tagged with content
+ * types by news-classifier.service.js: keyword rules while storing, then the
+ * model (NEWS_CLASSIFIER_MODEL) in the background. Every upsert rescores
+ * sentiment, since CryptoPanic's votes keep changing.
+ *
+ * searchArticles backs the news API: filtered, newest-first listing with
+ * cursor pagination over (publishedAt, _id), so pages stay stable while new
+ * articles arrive.
+ */
+
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+const DUPLICATE_WINDOW_HOURS = 48;
+const MAX_DUPLICATE_CANDIDATES = 2000; // Across the windows of a whole batch
+const VOTING_PROVIDERS = ['cryptopanic']; // Providers whose votes come from real readers
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_FILTER_VALUES = 20;
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Get the key identifying an article within its provider
+ * @param {Object} item - Article or article input
+ * @returns {string} provider:sourceId
+ */
+function articleKey(item) {
+  return `${item.provider}:${item.sourceId}`;
+}
+
+/**
+ * Score an article's sentiment
+ * CryptoPanic's vote breakdown when it has enough votes, the lexicon over the
+ * title (and summary, for feed items) otherwise
+ * @param {Object} item - Article or article input
+ * @returns {Object} { label, score, method }
+ */
+function scoreArticleSentiment(item) {
+  return scoreSentiment({
+    text: [item.title, item.summary].filter(Boolean).join(' '),
+    votes: VOTING_PROVIDERS.includes(item.provider) ? item.votes : null,
+  });
+}
+
+/**
+ * Find which new articles duplicate a stored article or an earlier article of the batch
+ * Candidates are loaded with one query covering every new article's window
+ * @param {Array<Object>} newItems - New articles with normalizedTitle and publishedAt (Date)
+ * @returns {Promise<Map>} Article key -> { articleId } (stored canonical) or { key } (canonical in the batch)
+ */
+async function findDuplicates(newItems) {
+  const duplicates = new Map();
+  if (newItems.length === 0) return duplicates;
+
+  const windowMs = DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+  const times = newItems.map((item) => item.publishedAt.getTime());
+
+  const candidates = (
+    await Article.find({
+      duplicateOf: null,
+      publishedAt: { $gte: new Date(Math.min(...times) - windowMs), $lte: new Date(Math.max(...times) + windowMs) },
+    })
+      .sort({ publishedAt: -1 })
+      .limit(MAX_DUPLICATE_CANDIDATES)
+      .select('normalizedTitle publishedAt')
+      .lean()
+  ).map((article) => ({ match: { articleId: article._id }, ...article }));
+
+  for (const item of newItems) {
+    const inWindow = candidates.filter(
+      (candidate) => Math.abs(candidate.publishedAt.getTime() - item.publishedAt.getTime()) <= windowMs
+    );
+    const match =
+      inWindow.find((candidate) => candidate.normalizedTitle === item.normalizedTitle) ||
+      inWindow.find(
+        (candidate) => titleSimilarity(candidate.normalizedTitle, item.normalizedTitle) >= NEAR_DUPLICATE_SIMILARITY
+      );
+
+    if (match) {
+      duplicates.set(articleKey(item), match.match);
+    } else {
+      // Later articles of the batch can duplicate this one
+      candidates.push({ match: { key: articleKey(item) }, normalizedTitle: item.normalizedTitle, publishedAt: item.publishedAt });
+    }
+  }
+
+  return duplicates;
+}
+
+/**
+ * Classify articles with the configured model and store the tags
+ * Runs after upsertArticles has stored keyword-rule tags, so requests never
+ * wait for the model; articles whose title changed meanwhile are left alone
+ * @param {Array<Object>} items - Articles (provider, sourceId, title)
+ * @returns {Promise<void>}
+ */
+async function refineClassifications(items) {
+  const classifications = await newsClassifier.classifyArticles(items);
+  const refined = items
+    .map((item, index) => ({ item, classification: classifications[index] }))
+    .filter(({ classification }) => classification.classifiedBy === 'model');
+  if (refined.length === 0) return;
+
+  await Article.bulkWrite(
+    refined.map(({ item, classification }) => ({
+      updateOne: {
+        filter: { provider: item.provider, sourceId: item.sourceId, title: item.title },
+        update: { $set: classification },
+      },
+    })),
+    { ordered: false }
+  );
+}
+
+/**
+ * Store articles from a provider
+ * One bulk write for the whole batch; new articles that duplicate a stored
+ * article (or an earlier one in the batch) get duplicateOf set
+ * @param {Array<Object>} items - { provider, sourceId, title, url, sourceName, publishedAt, currencies, votes, summary (scoring only) }
+ * @returns {Promise<Array>} Canonical articles in input order, without repeats
+ */
+async function upsertArticles(items) {
+  // Same article twice in a batch: keep the first
+  const itemsByKey = new Map();
+  for (const item of items) {
+    if (!itemsByKey.has(articleKey(item))) itemsByKey.set(articleKey(item), item);
+  }
+  if (itemsByKey.size === 0) return [];
+
+  const keyFilters = [...itemsByKey.values()].map((item) => ({ provider: item.provider, sourceId: item.sourceId }));
+
+  const stored = await Article.find({ $or: keyFilters }).select('provider sourceId title contentTypes');
+  const storedByKey = new Map(stored.map((article) => [articleKey(article), article]));
+
+  // Only classify what is new or changed
+  const toClassify = [...itemsByKey.values()].filter((item) => {
+    const existing = storedByKey.get(articleKey(item));
+    return !existing || existing.title !== item.title || existing.contentTypes.length === 0;
+  });
+  // Keyword rules now; the model (if configured) refines the tags in the background
+  const classificationByKey = new Map(
+    toClassify.map((item) => [
+      articleKey(item),
+      { contentTypes: newsClassifier.classifyTitle(item.title), classifiedBy: 'rules' },
+    ])
+  );
+
+  const now = new Date();
+  const newItems = [...itemsByKey.values()]
+    .filter((item) => !storedByKey.has(articleKey(item)))
+    .map((item) => ({
+      ...item,
+      normalizedTitle: normalizeTitle(item.title),
+      publishedAt: item.publishedAt ? new Date(item.publishedAt) : now,
+    }));
+  const duplicates = await findDuplicates(newItems);
+
+  await Article.bulkWrite(
+    [...itemsByKey.values()].map((item) => {
+      const publishedAt = item.publishedAt ? new Date(item.publishedAt) : null;
+      return {
+        updateOne: {
+          filter: { provider: item.provider, sourceId: item.sourceId },
+          update: {
+            $set: {
+              title: item.title,
+              normalizedTitle: normalizeTitle(item.title),
+              url: item.url || null,
+              sourceName: item.sourceName || null,
+              ...(publishedAt && { publishedAt }),
+              currencies: item.currencies || [],
+              votes: item.votes || {},
+              sentiment: scoreArticleSentiment(item),
+              lastSeenAt: now,
+              ...classificationByKey.get(articleKey(item)),
+            },
+            $setOnInsert: {
+              ...(!publishedAt && { publishedAt: now }), // Undated: first seen
+              duplicateOf: duplicates.get(articleKey(item))?.articleId || null,
+              firstSeenAt: now,
+            },
+          },
+          upsert: true,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+
+  const articles = await Article.find({ $or: keyFilters });
+  const articlesByKey = new Map(articles.map((article) => [articleKey(article), article]));
+
+  // Duplicates of articles from the same batch, which had no ID before the write
+  const batchDuplicates = [...duplicates]
+    .filter(([, match]) => match.key && articlesByKey.has(match.key))
+    .map(([key, match]) => [articlesByKey.get(key), articlesByKey.get(match.key)._id]);
+  if (batchDuplicates.length > 0) {
+    await Article.bulkWrite(
+      batchDuplicates.map(([article, duplicateOf]) => ({
+        updateOne: { filter: { _id: article._id, duplicateOf: null }, update: { $set: { duplicateOf } } },
+      }))
+    );
+    batchDuplicates.forEach(([article, duplicateOf]) => (article.duplicateOf = duplicateOf));
+  }
+
+  if (process.env.NEWS_CLASSIFIER_MODEL && toClassify.length > 0) {
+    refineClassifications(toClassify).catch((error) =>
+      console.error('Failed to store model classifications:', error.message)
+    );
+  }
+
+  // Callers get the canonical article for duplicates
+  const canonicalIds = articles.filter((article) => article.duplicateOf).map((article) => article.duplicateOf);
+  const canonicals = canonicalIds.length > 0 ? await Article.find({ _id: { $in: canonicalIds } }) : [];
+  const canonicalById = new Map(canonicals.map((article) => [String(article._id), article]));
+
+  const result = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    const article = articlesByKey.get(articleKey(item));
+    if (!article) continue;
+    const canonical = (article.duplicateOf && canonicalById.get(String(article.duplicateOf))) || article;
+    if (seen.has(String(canonical._id))) continue;
+    seen.add(String(canonical._id));
+    result.push(canonical);
+  }
+
+  return result;
+}
+
+/**
+ * Aggregate recent news sentiment per coin
+ * Fallback articles are left out, as they aren't real news
+ * @param {string[]} symbols - Coin symbols
+ * @param {Object} options - { sinceHours }
+ * @returns {Promise<Object>} { coins: [{ symbol, label, score, articles, bullish, bearish, neutral }], sinceHours }, or { coins: [], error }
+ */
+async function getCoinSentiment(symbols, { sinceHours = 48 } = {}) {
+  const wanted = [...new Set(symbols.map((symbol) => String(symbol).toUpperCase().trim()))];
+
+  try {
+    const groups = await Article.aggregate([
+      {
+        $match: {
+          provider: { $ne: 'fallback' },
+          duplicateOf: null,
+          currencies: { $in: wanted },
+          publishedAt: { $gte: new Date(Date.now() - sinceHours * 60 * 60 * 1000) },
+        },
+      },
+      { $unwind: '$currencies' },
+      { $match: { currencies: { $in: wanted } } },
+      {
+        $group: {
+          _id: '$currencies',
+          score: { $avg: '$sentiment.score' },
+          articles: { $sum: 1 },
+          bullish: { $sum: { $cond: [{ $eq: ['$sentiment.label', 'bullish'] }, 1, 0] } },
+          bearish: { $sum: { $cond: [{ $eq: ['$sentiment.label', 'bearish'] }, 1, 0] } },
+        },
+      },
+    ]);
+    const groupBySymbol = new Map(groups.map((group) => [group._id, group]));
+
+    const coins = wanted.map((symbol) => {
+      const group = groupBySymbol.get(symbol);
+      if (!group) {
+        return { symbol, label: 'neutral', score: 0, articles: 0, bullish: 0, bearish: 0, neutral: 0 };
+      }
+
+      const score = Number((group.score || 0).toFixed(3));
+      return {
+        symbol,
+        label: labelScore(score),
+        score,
+        articles: group.articles,
+        bullish: group.bullish,
+        bearish: group.bearish,
+        neutral: group.articles - group.bullish - group.bearish,
+      };
+    });
+
+    return { coins, sinceHours };
+  } catch (error) {
+    console.error('Failed to aggregate news sentiment:', error.message);
+    return { coins: [], error: 'News sentiment unavailable' };
+  }
+}
+
+/**
+ * List recent canonical articles from a provider, newest first
+ * @param {Object} options - { provider, currencies (any of, optional), sinceHours, limit }
+ * @returns {Promise<Array>} Article documents
+ */
+async function listRecentArticles({ provider, currencies = [], sinceHours = 48, limit = 20 }) {
+  const query = {
+    provider,
+    duplicateOf: null,
+    publishedAt: { $gte: new Date(Date.now() - sinceHours * 60 * 60 * 1000) },
+  };
+  if (currencies.length > 0) query.currencies = { $in: currencies };
+
+  return Article.find(query).sort({ publishedAt: -1 }).limit(limit);
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a comma-separated query param
+ * @param {string|string[]} value - Query param (repeated params arrive as an array)
+ * @returns {string[]} Trimmed, non-empty values
+ */
+function splitList(value) {
+  return []
+    .concat(value)
+    .join(',')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Encode the position after an article as a page cursor
+ * @param {Object} article - Article document
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(article) {
+  return Buffer.from(`${article.publishedAt.getTime()}_${article._id}`).toString('base64url');
+}
+
+/**
+ * Decode a page cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {Object|null} { publishedAt, id }, or null if it isn't a valid cursor
+ */
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const publishedAt = new Date(Number(time));
+  if (!time || isNaN(publishedAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+  return { publishedAt, id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * Validate news API query params
+ * @param {Object} query - { coins, source, from, to, q, sentiment, cursor, limit }
+ * @returns {Object} { errors: string[], filters } - filters for searchArticles
+ */
+function parseNewsQuery({ coins, source, from, to, q, sentiment, cursor, limit } = {}) {
+  const errors = [];
+  const filters = {
+    coins: coins ? splitList(coins).map((symbol) => symbol.toUpperCase()) : [],
+    sources: source ? splitList(source) : [],
+    limit: Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+  };
+
+  if (filters.coins.length > MAX_FILTER_VALUES) {
+    errors.push(`coins can list at most ${MAX_FILTER_VALUES} symbols`);
+  }
+  if (filters.sources.length > MAX_FILTER_VALUES) {
+    errors.push(`source can list at most ${MAX_FILTER_VALUES} sources`);
+  }
+  if (filters.limit < 1) {
+    errors.push('limit must be a positive integer');
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      errors.push(`${name} must be a valid date`);
+    } else {
+      filters[name] = date;
+    }
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push('from must be before to');
+  }
+
+  if (q !== undefined) {
+    if (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH) {
+      errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+    } else {
+      filters.words = normalizeTitle(q).split(' ').filter(Boolean);
+    }
+  }
+
+  if (sentiment !== undefined) {
+    if (!SENTIMENT_LABELS.includes(sentiment)) {
+      errors.push(`sentiment must be one of: ${SENTIMENT_LABELS.join(', ')}`);
+    } else {
+      filters.sentiment = sentiment;
+    }
+  }
+
+  if (cursor !== undefined) {
+    filters.cursor = decodeCursor(cursor);
+    if (!filters.cursor) errors.push('cursor is invalid');
+  }
+
+  return { errors, filters };
+}
+
+/**
+ * Search stored articles, newest first, a page at a time
+ * Near-duplicates and fallback articles are left out
+ * @param {Object} filters - parseNewsQuery filters: { coins, sources, from, to, words, sentiment, cursor, limit }
+ * @returns {Promise<Object>} { articles, nextCursor (null on the last page) }
+ */
+async function searchArticles({ coins = [], sources = [], from, to, words = [], sentiment, cursor, limit = DEFAULT_PAGE_SIZE }) {
+  const conditions = [{ provider: { $ne: 'fallback' }, duplicateOf: null }];
+
+  if (coins.length > 0) conditions.push({ currencies: { $in: coins } });
+  if (sources.length > 0) {
+    // Source names (e.g., CoinDesk) or providers (e.g., rss), case-insensitive
+    const names = sources.map((name) => new RegExp(`^${escapeRegExp(name)}$`, 'i'));
+    conditions.push({ $or: [{ sourceName: { $in: names } }, { provider: { $in: names } }] });
+  }
+  if (from || to) {
+    conditions.push({ publishedAt: { ...(from && { $gte: from }), ...(to && { $lte: to }) } });
+  }
+  // Every word must start a word of the title ("eth" matches "ethereum")
+  words.forEach((word) => conditions.push({ normalizedTitle: new RegExp(`(^| )${escapeRegExp(word)}`) }));
+  if (sentiment) conditions.push({ 'sentiment.label': sentiment });
+  if (cursor) {
+    conditions.push({
+      $or: [
+        { publishedAt: { $lt: cursor.publishedAt } },
+        { publishedAt: cursor.publishedAt, _id: { $lt: cursor.id } },
+      ],
+    });
+  }
+
+  // One extra article tells whether there is another page
+  const found = await Article.find({ $and: conditions })
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const articles = found.slice(0, limit);
+  const nextCursor = found.length > limit ? encodeCursor(articles[articles.length - 1]) : null;
+  return { articles, nextCursor };
+}
+
+/**
+ * List the near-duplicates folded into an article (the same story from other sources)
+ * @param {string} articleId - Canonical article ID
+ * @returns {Promise<Array>} Article documents, oldest first
+ */
+async function listDuplicates(articleId) {
+  return Article.find({ duplicateOf: articleId, provider: { $ne: 'fallback' } }).sort({ firstSeenAt: 1 });
+}
+
+/**
+ * Get an article by ID
+ * Fallback articles left over from older versions are treated as missing
+ * @param {string} articleId - Article ID
+ * @returns {Promise<Object|null>} Article or null
+ */
+async function getArticle(articleId) {
+  if (!mongoose.isValidObjectId(articleId)) return null;
+  return Article.findOne({ _id: articleId, provider: { $ne: 'fallback' } });
+}
+
+/**
+ * Format an article for API responses
+ * @param {Object} article - Article document
+ * @returns {Object} { id, title, url, source, publishedAt, votes, currencies, contentTypes, sentiment, sentimentScore, sentimentMethod }
+ */
+function formatArticle(article) {
+  const sentiment = article.sentiment?.label ? article.sentiment : scoreArticleSentiment(article);
+
+  return {
+    id: article._id ? String(article._id) : null,
+    title: article.title,
+    url: article.url,
+    source: article.sourceName || article.provider,
+    publishedAt: article.publishedAt,
+    votes: article.votes?.positive || 0,
+    currencies: article.currencies,
+    contentTypes: article.contentTypes || [],
+    sentiment: sentiment.label,
+    sentimentScore: sentiment.score,
+    sentimentMethod: sentiment.method,
+  };
+}
+
+module.exports = {
+  upsertArticles,
+  listRecentArticles,
+  getCoinSentiment,
+  parseNewsQuery,
+  searchArticles,
+  listDuplicates,
+  getArticle,
+  formatArticle,
+};
@@ -0,0 +1,46 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Audit Service
+ * Records security events. Failures to write are logged but never break the request
+ */
+
+/**
+ * Record an audit event
+ * @param {Object} event - Event data (see AuditLog schema)
+ * @returns {Promise<Object|null>} Saved entry or null on failure
+ */
+async function record(event) {
+  try {
+    return await AuditLog.create(event);
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+    return null;
+  }
+}
+
+/**
+ * List audit events, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.type - Event type
+ * @param {string} filters.email - Email address
+ * @param {string} filters.userId - Affected user ID
+ * @param {number} filters.limit - Max results (default: 50)
+ * @returns {Promise<Array>} Audit entries
+ */
+async function list({ type, email, userId, limit = 50 } = {}) {
+  const query = {};
+  if (type) query.type = type;
+  if (email) query.email = email.toLowerCase();
+  if (userId) query.userId = userId;
+
+  return AuditLog.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, 200))
+    .select('-__v');
+}
+
+module.exports = {
+  record,
+  list,
+};
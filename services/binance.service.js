@@ -0,0 +1,133 @@
+const axios = require('axios');
+
+/**
+ * Binance Public API Service
+ * Alternate market data provider: 24h tickers and klines (no key required)
+ *
+ * Coins are priced through their <SYMBOL><QUOTE> trading pair (e.g., BTCUSDT),
+ * so only coins listed against the quote asset are returned.
+ * Set BINANCE_API_BASE to https://api.binance.us for US deployments.
+ *
+ * Used through price.service.js, which adds caching and failover
+ */
+
+const BINANCE_API_BASE = process.env.BINANCE_API_BASE || 'https://api.binance.com';
+
+// Quote currency -> Binance quote asset (USD is priced in USDT)
+const QUOTE_ASSETS = {
+  USD: 'USDT',
+  EUR: 'EUR',
+  BTC: 'BTC',
+  ETH: 'ETH',
+};
+
+/**
+ * Check whether a quote currency is supported
+ * @param {string} currency - Quote currency code
+ * @returns {boolean} True if Binance has pairs in that currency
+ */
+function supportsCurrency(currency) {
+  return Boolean(QUOTE_ASSETS[currency]);
+}
+
+/**
+ * Check whether an error means the trading pair doesn't exist
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for Binance's "Invalid symbol" response
+ */
+function isUnknownPair(error) {
+  return error.response?.status === 400;
+}
+
+/**
+ * Fetch current prices
+ * Coins without a pair are skipped; throws when Binance itself fails
+ * @param {Array<Object>} coins - Registry coins ({ id, symbol })
+ * @param {string} currency - Quote currency code
+ * @returns {Promise<Array>} [{ id, symbol, price, change24h, change7d, currency }]
+ */
+async function fetchPrices(coins, currency) {
+  const quoteAsset = QUOTE_ASSETS[currency];
+
+  const results = await Promise.allSettled(
+    coins.map(async (coin) => {
+      // A coin quoted in itself (BTC in BTC)
+      if (coin.symbol === quoteAsset || coin.symbol === currency) {
+        return { id: coin.id, symbol: coin.symbol, price: 1, change24h: 0, change7d: 0, currency };
+      }
+
+      const response = await axios.get(`${BINANCE_API_BASE}/api/v3/ticker/24hr`, {
+        params: { symbol: `${coin.symbol}${quoteAsset}` },
+        timeout: 5000,
+      });
+
+      const price = Number(response.data?.lastPrice);
+      if (!Number.isFinite(price)) {
+        throw new Error('Invalid API response');
+      }
+
+      return {
+        id: coin.id,
+        symbol: coin.symbol,
+        price,
+        change24h: Number(response.data.priceChangePercent) || 0,
+        change7d: 0, // Not available from 24h tickers
+        currency,
+      };
+    })
+  );
+
+  // Missing pairs are expected; anything else means Binance is failing
+  const failure = results.find((result) => result.status === 'rejected' && !isUnknownPair(result.reason));
+  if (failure) {
+    throw failure.reason;
+  }
+
+  return results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+}
+
+/**
+ * Fetch a coin's price samples (kline close prices)
+ * Returns no samples when the coin has no pair in the currency
+ * Granularity is 5 minutes for 1 day, hourly up to 30 days and daily beyond
+ * @param {Object} coin - Registry coin ({ symbol })
+ * @param {string} currency - Quote currency code
+ * @param {number} days - Days of history
+ * @returns {Promise<Array<Array<number>>>} [[timestamp (ms), price], ...]
+ */
+async function fetchHistory(coin, currency, days) {
+  const interval = days <= 1 ? '5m' : days <= 30 ? '1h' : '1d';
+  const now = Date.now();
+
+  let response;
+  try {
+    response = await axios.get(`${BINANCE_API_BASE}/api/v3/klines`, {
+      params: {
+        symbol: `${coin.symbol}${QUOTE_ASSETS[currency]}`,
+        interval,
+        startTime: now - days * 24 * 60 * 60 * 1000,
+        limit: 1000,
+      },
+      timeout: 10000,
+    });
+  } catch (error) {
+    if (isUnknownPair(error)) return []; // Coin not listed against this currency
+    throw error;
+  }
+
+  if (!Array.isArray(response.data)) {
+    throw new Error('Invalid API response');
+  }
+
+  // Kline: [openTime, open, high, low, close, volume, closeTime, ...]
+  return response.data
+    .map((kline) => [Math.min(kline[6], now), Number(kline[4])])
+    .filter(([timestamp, price]) => Number.isFinite(timestamp) && Number.isFinite(price));
+}
+
+module.exports = {
+  name: 'binance',
+  supportsCurrency,
+  fetchPrices,
+  fetchHistory,
+};
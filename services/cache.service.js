@@ -0,0 +1,211 @@
+const CacheEntry = require('../models/CacheEntry');
+
+/**
+ * Cache Service
+ * Shared cache for upstream API responses (CoinGecko, etc.)
+ *
+ * Each cache has a TTL and a stale window:
+ * - fresh (age < ttl): served from the cache
+ * - stale (age < ttl + stale): served from the cache while one background refresh runs
+ * - expired or missing: the caller waits for the upstream call
+ * Callers that can't act on old data (e.g., price alerts) pass allowStale: false
+ * to wait for the refresh of a stale entry instead.
+ * Simultaneous misses for the same key share one upstream call (request coalescing),
+ * and a failed background refresh keeps serving the stale value until it expires.
+ *
+ * Backend (CACHE_STORE env): 'memory' (default, per process) or 'mongo' (shared between instances)
+ */
+
+const MEMORY_SWEEP_THRESHOLD = 5000;
+
+/**
+ * In-memory backend (per process)
+ * @returns {Object} Backend
+ */
+function createMemoryBackend() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt <= new Date()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry || null;
+    },
+
+    async set(key, entry) {
+      // Drop dead entries so rarely used keys can't grow the map forever
+      if (entries.size > MEMORY_SWEEP_THRESHOLD) {
+        const now = new Date();
+        for (const [storedKey, stored] of entries) {
+          if (stored.expiresAt <= now) entries.delete(storedKey);
+        }
+      }
+      entries.set(key, entry);
+    },
+
+    async delete(key) {
+      return entries.delete(key);
+    },
+
+    async clear(prefix = '') {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+  };
+}
+
+/**
+ * MongoDB backend (shared between instances)
+ * @returns {Object} Backend
+ */
+function createMongoBackend() {
+  return {
+    name: 'mongo',
+
+    async get(key) {
+      return CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    },
+
+    async set(key, entry) {
+      await CacheEntry.updateOne({ key }, { $set: entry }, { upsert: true });
+    },
+
+    async delete(key) {
+      const result = await CacheEntry.deleteOne({ key });
+      return result.deletedCount > 0;
+    },
+
+    async clear(prefix = '') {
+      const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      await CacheEntry.deleteMany({ key: { $regex: `^${escaped}` } });
+    },
+  };
+}
+
+let backend = process.env.CACHE_STORE === 'mongo' ? createMongoBackend() : createMemoryBackend();
+
+/**
+ * Replace the storage backend (tests, custom stores)
+ * @param {Object} newBackend - Backend implementing get/set/delete/clear
+ */
+function setBackend(newBackend) {
+  backend = newBackend;
+}
+
+/**
+ * Create a namespaced cache
+ * @param {Object} options - Cache options
+ * @param {string} options.namespace - Key prefix (e.g., 'coingecko:prices')
+ * @param {number} options.ttlMs - How long a value is fresh
+ * @param {number} options.staleMs - How long after the TTL a value may still be served
+ * @returns {Object} Cache with wrap(key, loader) and clear()
+ */
+function createCache({ namespace, ttlMs, staleMs = 0 }) {
+  // Upstream calls in flight, by full key (coalescing is per process)
+  const inFlight = new Map();
+
+  /**
+   * Fetch a value upstream and store it, sharing the call between concurrent callers
+   * @param {string} fullKey - Namespaced key
+   * @param {Function} loader - Async function returning the value
+   * @returns {Promise<Object>} Stored entry
+   */
+  function refresh(fullKey, loader) {
+    if (inFlight.has(fullKey)) return inFlight.get(fullKey);
+
+    const promise = (async () => {
+      const value = await loader();
+      const fetchedAt = new Date();
+      const entry = {
+        value,
+        fetchedAt,
+        expiresAt: new Date(fetchedAt.getTime() + ttlMs + staleMs),
+      };
+      try {
+        await backend.set(fullKey, entry);
+      } catch (error) {
+        console.error(`Cache write failed for ${fullKey}:`, error.message);
+      }
+      return entry;
+    })().finally(() => inFlight.delete(fullKey));
+
+    inFlight.set(fullKey, promise);
+    return promise;
+  }
+
+  /**
+   * Describe an entry for callers
+   * @param {Object} entry - Stored entry
+   * @param {Object} extra - Extra flags
+   * @returns {Object} { value, fetchedAt, ageSeconds, stale, cached }
+   */
+  function describe(entry, extra = {}) {
+    const fetchedAt = new Date(entry.fetchedAt);
+    const ageMs = Date.now() - fetchedAt.getTime();
+    return {
+      value: entry.value,
+      fetchedAt,
+      ageSeconds: Math.max(0, Math.round(ageMs / 1000)),
+      stale: ageMs >= ttlMs,
+      cached: true,
+      ...extra,
+    };
+  }
+
+  return {
+    /**
+     * Get a value from the cache, loading it upstream when needed
+     * @param {string} key - Key within the namespace
+     * @param {Function} loader - Async function returning the value; throw to avoid caching
+     * @param {Object} options - Options
+     * @param {boolean} options.allowStale - Serve stale entries (default: true); false waits for a refresh
+     * @returns {Promise<Object>} { value, fetchedAt, ageSeconds, stale, cached }
+     */
+    async wrap(key, loader, { allowStale = true } = {}) {
+      const fullKey = `${namespace}:${key}`;
+
+      let entry = null;
+      try {
+        entry = await backend.get(fullKey);
+      } catch (error) {
+        console.error(`Cache read failed for ${fullKey}:`, error.message);
+      }
+
+      const ageMs = entry ? Date.now() - new Date(entry.fetchedAt).getTime() : null;
+      if (entry && (allowStale || ageMs < ttlMs)) {
+        if (ageMs >= ttlMs) {
+          // Stale: serve it now and refresh in the background
+          refresh(fullKey, loader).catch((error) => {
+            console.error(`Background refresh failed for ${fullKey}:`, error.message);
+          });
+        }
+        return describe(entry);
+      }
+
+      const fresh = await refresh(fullKey, loader);
+      return describe(fresh, { cached: false });
+    },
+
+    /**
+     * Remove cached values in this namespace
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      inFlight.clear();
+      await backend.clear(`${namespace}:`);
+    },
+  };
+}
+
+module.exports = {
+  createCache,
+  setBackend,
+  createMemoryBackend,
+  createMongoBackend,
+};
@@ -0,0 +1,278 @@
+const axios = require('axios');
+const Coin = require('../models/Coin');
+
+/**
+ * Coin Registry Service
+ * Resolves ticker symbols to provider coin IDs, searches coins and syncs
+ * the registry from CoinGecko's coin list
+ *
+ * Several coins can share a symbol. A symbol resolves when:
+ * - only one coin has it, or
+ * - one of them is a built-in (pinned) coin, or
+ * - only one of them is ranked by market cap
+ * Otherwise it is ambiguous and rejected.
+ */
+
+const COINGECKO_API_BASE = 'https://api.coingecko.com/api/v3';
+
+const SYNC_INTERVAL_HOURS = parseInt(process.env.COIN_REGISTRY_SYNC_HOURS) || 24;
+const RANKED_PAGES = parseInt(process.env.COIN_REGISTRY_RANKED_PAGES) || 2; // 250 coins per page
+const BULK_WRITE_CHUNK = 1000;
+const MAX_SEARCH_RESULTS = 50;
+
+// Built-in coins, available before the first sync (and when it fails)
+const DEFAULT_COINS = [
+  { symbol: 'BTC', name: 'Bitcoin', coingecko: 'bitcoin' },
+  { symbol: 'ETH', name: 'Ethereum', coingecko: 'ethereum' },
+  { symbol: 'SOL', name: 'Solana', coingecko: 'solana' },
+  { symbol: 'ADA', name: 'Cardano', coingecko: 'cardano' },
+  { symbol: 'DOT', name: 'Polkadot', coingecko: 'polkadot' },
+  { symbol: 'MATIC', name: 'Polygon', coingecko: 'polygon' },
+  { symbol: 'AVAX', name: 'Avalanche', coingecko: 'avalanche-2' },
+  { symbol: 'BNB', name: 'BNB', coingecko: 'binancecoin' },
+  { symbol: 'XRP', name: 'XRP', coingecko: 'ripple' },
+];
+
+let syncInProgress = null;
+
+/**
+ * Format a coin document for API responses
+ * @param {Object} coin - Coin document
+ * @returns {Object} { symbol, name, id, marketCapRank }
+ */
+function formatCoin(coin) {
+  return {
+    symbol: coin.symbol,
+    name: coin.name,
+    id: coin.providerIds.coingecko,
+    marketCapRank: coin.marketCapRank,
+  };
+}
+
+/**
+ * Pick the coin a symbol refers to
+ * @param {Array} candidates - Coins sharing the symbol
+ * @returns {Object|null} The coin, or null if ambiguous
+ */
+function pickCoin(candidates) {
+  if (candidates.length === 1) return candidates[0];
+
+  const pinned = candidates.filter((coin) => coin.pinned);
+  if (pinned.length === 1) return pinned[0];
+
+  const ranked = candidates.filter((coin) => coin.marketCapRank !== null);
+  if (ranked.length === 1) return ranked[0];
+
+  return null;
+}
+
+/**
+ * Resolve ticker symbols to registry coins
+ * @param {string[]} symbols - Symbols (case-insensitive)
+ * @returns {Promise<Object>} { coins: [formatted coin], unknown: [symbol], ambiguous: [{ symbol, candidates }] }
+ */
+async function resolveSymbols(symbols) {
+  const normalized = [...new Set(symbols.map((symbol) => String(symbol).toUpperCase().trim()))];
+  const matches = await Coin.find({ symbol: { $in: normalized } }).lean();
+
+  const result = { coins: [], unknown: [], ambiguous: [] };
+
+  for (const symbol of normalized) {
+    const candidates = matches.filter((coin) => coin.symbol === symbol);
+    if (candidates.length === 0) {
+      result.unknown.push(symbol);
+      continue;
+    }
+
+    const coin = pickCoin(candidates);
+    if (coin) {
+      result.coins.push(formatCoin(coin));
+    } else {
+      result.ambiguous.push({
+        symbol,
+        candidates: candidates.map(formatCoin),
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Search coins by symbol or name
+ * Exact symbol matches come first, then coins by market cap rank
+ * @param {string} query - Search text
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Formatted coins
+ */
+async function searchCoins(query, { limit = 10 } = {}) {
+  const text = String(query).trim();
+  if (!text) return [];
+
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const candidates = await Coin.find({
+    $or: [
+      { symbol: { $regex: `^${escaped.toUpperCase()}` } },
+      { name: { $regex: escaped, $options: 'i' } },
+    ],
+  })
+    .limit(500)
+    .lean();
+
+  const symbol = text.toUpperCase();
+  const score = (coin) => [
+    coin.symbol === symbol ? 0 : 1,
+    coin.pinned ? 0 : 1,
+    coin.marketCapRank ?? Number.MAX_SAFE_INTEGER,
+  ];
+
+  return candidates
+    .sort((a, b) => {
+      const scoreA = score(a);
+      const scoreB = score(b);
+      for (let i = 0; i < scoreA.length; i++) {
+        if (scoreA[i] !== scoreB[i]) return scoreA[i] - scoreB[i];
+      }
+      return a.name.localeCompare(b.name);
+    })
+    .slice(0, Math.min(limit, MAX_SEARCH_RESULTS))
+    .map(formatCoin);
+}
+
+/**
+ * List the coins worth looking for in free text (news tagging)
+ * Built-in coins and coins ranked up to maxRank - the long tail has too many
+ * names that are ordinary words
+ * @param {Object} options - { maxRank }
+ * @returns {Promise<Array>} Formatted coins
+ */
+async function listTaggableCoins({ maxRank = 250 } = {}) {
+  const coins = await Coin.find({
+    $or: [{ pinned: true }, { marketCapRank: { $ne: null, $lte: maxRank } }],
+  }).lean();
+  return coins.map(formatCoin);
+}
+
+/**
+ * Make sure the built-in coins exist
+ * @returns {Promise<void>}
+ */
+async function seedDefaultCoins() {
+  await Coin.bulkWrite(
+    DEFAULT_COINS.map((coin) => ({
+      updateOne: {
+        filter: { 'providerIds.coingecko': coin.coingecko },
+        update: {
+          $set: { pinned: true },
+          $setOnInsert: { symbol: coin.symbol, name: coin.name },
+        },
+        upsert: true,
+      },
+    }))
+  );
+}
+
+/**
+ * Sync the registry from CoinGecko's coin list and market cap ranking
+ * Concurrent calls share one sync
+ * @returns {Promise<Object>} { coins: number, ranked: number }
+ */
+function syncCoinRegistry() {
+  if (syncInProgress) return syncInProgress;
+
+  syncInProgress = (async () => {
+    const now = new Date();
+
+    const listResponse = await axios.get(`${COINGECKO_API_BASE}/coins/list`, { timeout: 30000 });
+    if (!Array.isArray(listResponse.data)) {
+      throw new Error('Invalid coin list response');
+    }
+
+    const coins = listResponse.data.filter((coin) => coin.id && coin.symbol && coin.name);
+    for (let i = 0; i < coins.length; i += BULK_WRITE_CHUNK) {
+      await Coin.bulkWrite(
+        coins.slice(i, i + BULK_WRITE_CHUNK).map((coin) => ({
+          updateOne: {
+            filter: { 'providerIds.coingecko': coin.id },
+            update: {
+              $set: { symbol: coin.symbol.toUpperCase(), name: coin.name, syncedAt: now },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    }
+
+    // Market cap ranks decide between coins sharing a symbol
+    const ranks = new Map();
+    for (let page = 1; page <= RANKED_PAGES; page++) {
+      const marketsResponse = await axios.get(`${COINGECKO_API_BASE}/coins/markets`, {
+        params: { vs_currency: 'usd', order: 'market_cap_desc', per_page: 250, page },
+        timeout: 10000,
+      });
+      for (const coin of marketsResponse.data || []) {
+        if (coin.market_cap_rank) ranks.set(coin.id, coin.market_cap_rank);
+      }
+    }
+
+    if (ranks.size > 0) {
+      await Coin.updateMany(
+        { marketCapRank: { $ne: null }, 'providerIds.coingecko': { $nin: [...ranks.keys()] } },
+        { $set: { marketCapRank: null } }
+      );
+      await Coin.bulkWrite(
+        [...ranks].map(([id, rank]) => ({
+          updateOne: {
+            filter: { 'providerIds.coingecko': id },
+            update: { $set: { marketCapRank: rank } },
+          },
+        })),
+        { ordered: false }
+      );
+    }
+
+    return { coins: coins.length, ranked: ranks.size };
+  })().finally(() => {
+    syncInProgress = null;
+  });
+
+  return syncInProgress;
+}
+
+/**
+ * Seed the built-in coins and keep the registry synced in the background
+ * Syncs at startup when the last sync is older than COIN_REGISTRY_SYNC_HOURS
+ * @returns {Promise<void>}
+ */
+async function startCoinRegistrySync() {
+  const intervalMs = SYNC_INTERVAL_HOURS * 60 * 60 * 1000;
+
+  const runSync = () =>
+    syncCoinRegistry()
+      .then(({ coins, ranked }) => console.log(`Coin registry synced: ${coins} coins, ${ranked} ranked`))
+      .catch((error) => console.error('Coin registry sync failed:', error.message));
+
+  try {
+    await seedDefaultCoins();
+
+    const lastSynced = await Coin.findOne({ syncedAt: { $ne: null } }).sort({ syncedAt: -1 });
+    if (!lastSynced || Date.now() - lastSynced.syncedAt.getTime() > intervalMs) {
+      runSync();
+    }
+  } catch (error) {
+    console.error('Coin registry setup failed:', error.message);
+  }
+
+  setInterval(runSync, intervalMs).unref();
+}
+
+module.exports = {
+  DEFAULT_COINS,
+  resolveSymbols,
+  searchCoins,
+  listTaggableCoins,
+  seedDefaultCoins,
+  syncCoinRegistry,
+  startCoinRegistrySync,
+};
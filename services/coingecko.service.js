@@ -2,139 +2,142 @@ const axios = require('axios');
 
 /**
  * CoinGecko API Service
- * Fetches cryptocurrency prices and market data
+ * Market data provider: prices, price history and trending coins
  * Free API - No key required for basic calls
+ *
+ * Used through price.service.js, which adds caching and failover
  */
 
 const COINGECKO_API_BASE = 'https://api.coingecko.com/api/v3';
 
 /**
- * Get coin prices for user's interested assets
- * @param {string[]} coinIds - Array of coin IDs (e.g., ['bitcoin', 'ethereum'])
- * @returns {Promise<Object>} Coin prices data
+ * Check whether a quote currency is supported
+ * CoinGecko quotes in every supported currency
+ * @returns {boolean} Always true
  */
-async function getCoinPrices(coinIds) {
-  try {
-    // CoinGecko uses coin IDs, not symbols
-    // Map common symbols to CoinGecko IDs
-    // Note: MATIC (Polygon) changed ID from 'matic-network' to 'matic-network' or 'polygon'
-    const coinIdMap = {
-      BTC: 'bitcoin',
-      ETH: 'ethereum',
-      SOL: 'solana',
-      ADA: 'cardano',
-      DOT: 'polkadot',
-      MATIC: 'polygon', // Updated: CoinGecko changed MATIC ID
-      AVAX: 'avalanche-2',
-      BNB: 'binancecoin',
-      XRP: 'ripple',
-    };
-
-    // Convert symbols to CoinGecko IDs
-    const ids = coinIds
-      .map((symbol) => coinIdMap[symbol.toUpperCase()])
-      .filter(Boolean) // Remove undefined values
-      .join(',');
-
-    if (!ids) {
-      return { coins: [] };
+function supportsCurrency() {
+  return true;
+}
+
+/**
+ * Fetch current prices
+ * Throws on upstream errors
+ * @param {Array<Object>} coins - Registry coins ({ id, symbol })
+ * @param {string} currency - Quote currency code (e.g., 'EUR')
+ * @returns {Promise<Array>} [{ id, symbol, price, change24h, change7d, currency }]
+ */
+async function fetchPrices(coins, currency) {
+  const vsCurrency = currency.toLowerCase();
+  const symbolsById = Object.fromEntries(coins.map((coin) => [coin.id, coin.symbol]));
+
+  // Fetch prices from CoinGecko with timeout
+  const response = await axios.get(
+    `${COINGECKO_API_BASE}/simple/price`,
+    {
+      params: {
+        ids: Object.keys(symbolsById).join(','),
+        vs_currencies: vsCurrency,
+        include_24hr_change: true,
+        include_7d_change: true,
+      },
+      timeout: 10000, // 10 second timeout
     }
+  );
 
-    // Fetch prices from CoinGecko with timeout
-    const response = await axios.get(
-      `${COINGECKO_API_BASE}/simple/price`,
-      {
-        params: {
-          ids: ids,
-          vs_currencies: 'usd',
-          include_24hr_change: true,
-          include_7d_change: true,
-        },
-        timeout: 10000, // 10 second timeout
+  // Check if response has valid data
+  if (!response.data || typeof response.data !== 'object') {
+    throw new Error('Invalid API response');
+  }
+
+  // Transform data to a more usable format
+  return Object.entries(response.data)
+    .map(([id, data]) => {
+      // Validate data structure - check if the price exists and is a number
+      const price = data?.[vsCurrency];
+      if (!data || (typeof price !== 'number' && price !== undefined)) {
+        // Log more details for debugging
+        console.warn(`CoinGecko API: Invalid data for ${id}:`, JSON.stringify(data));
+        return null;
       }
-    );
 
-    // Check if response has valid data
-    if (!response.data || typeof response.data !== 'object') {
-      console.error('CoinGecko API: Invalid response data format');
-      return { coins: [], error: 'Invalid API response' };
-    }
+      // Handle case where the price might be undefined (shouldn't happen, but just in case)
+      if (price === undefined) {
+        console.warn(`CoinGecko API: Missing ${currency} price for ${id}`);
+        return null;
+      }
 
-    // Transform data to a more usable format
-    const coins = Object.entries(response.data)
-      .map(([id, data]) => {
-        // Validate data structure - check if usd exists and is a number
-        if (!data || (typeof data.usd !== 'number' && data.usd !== undefined)) {
-          // Log more details for debugging
-          console.warn(`CoinGecko API: Invalid data for ${id}:`, JSON.stringify(data));
-          return null;
-        }
-
-        // Handle case where usd might be undefined (shouldn't happen, but just in case)
-        if (data.usd === undefined) {
-          console.warn(`CoinGecko API: Missing USD price for ${id}`);
-          return null;
-        }
-
-        // Get symbol from ID (reverse lookup)
-        const symbol = Object.keys(coinIdMap).find(
-          (key) => coinIdMap[key] === id
-        );
-
-        return {
-          id,
-          symbol: symbol || id.toUpperCase(),
-          price: data.usd,
-          change24h: data.usd_24h_change || 0,
-          change7d: data.usd_7d_change || 0,
-        };
-      })
-      .filter(Boolean); // Remove null values
-
-    if (coins.length === 0) {
-      console.warn('CoinGecko API: No valid coins returned');
-      return { coins: [], error: 'No coin data available' };
-    }
+      return {
+        id,
+        symbol: symbolsById[id] || id.toUpperCase(),
+        price,
+        change24h: data[`${vsCurrency}_24h_change`] || 0,
+        change7d: data[`${vsCurrency}_7d_change`] || 0,
+        currency,
+      };
+    })
+    .filter(Boolean); // Remove null values
+}
 
-    return { coins };
-  } catch (error) {
-    // Detailed error logging for debugging
-    if (error.response) {
-      // API responded with error status
-      console.error('CoinGecko API Error:', error.response.status, error.response.data);
-      if (error.response.status === 429) {
-        return { coins: [], error: 'Rate limit exceeded. Please try again later.' };
-      }
-    } else if (error.request) {
-      // Request made but no response
-      console.error('CoinGecko API Request Error:', error.message);
-      return { coins: [], error: 'Network error. Please check your connection.' };
-    } else {
-      // Error setting up request
-      console.error('CoinGecko API Error:', error.message);
+/**
+ * Fetch a coin's price samples
+ * Granularity is 5 minutes for 1 day, hourly up to 90 days and daily beyond
+ * @param {Object} coin - Registry coin ({ id })
+ * @param {string} currency - Quote currency code
+ * @param {number} days - Days of history
+ * @returns {Promise<Array<Array<number>>>} [[timestamp (ms), price], ...]
+ */
+async function fetchHistory(coin, currency, days) {
+  const response = await axios.get(
+    `${COINGECKO_API_BASE}/coins/${encodeURIComponent(coin.id)}/market_chart`,
+    {
+      params: { vs_currency: currency.toLowerCase(), days },
+      timeout: 10000,
     }
-    
-    // Return empty data on error (graceful degradation)
-    return { coins: [], error: 'Failed to fetch coin prices' };
+  );
+
+  if (!response.data || !Array.isArray(response.data.prices)) {
+    throw new Error('Invalid API response');
   }
+
+  return response.data.prices
+    .filter(([timestamp, price]) => Number.isFinite(timestamp) && Number.isFinite(price))
+    .sort((a, b) => a[0] - b[0]);
 }
 
 /**
- * Get trending coins (optional - for recommendations)
+ * Fetch the coins trending on CoinGecko (by search volume, last 24 hours)
+ * Throws on upstream errors
+ * @returns {Promise<Array>} [{ id, symbol, name, marketCapRank, trendingRank, thumb, priceUsd, change24h }]
  */
-async function getTrendingCoins() {
-  try {
-    const response = await axios.get(
-      `${COINGECKO_API_BASE}/search/trending`
-    );
-    return response.data;
-  } catch (error) {
-    return { coins: [] };
+async function fetchTrending() {
+  const response = await axios.get(
+    `${COINGECKO_API_BASE}/search/trending`,
+    { timeout: 10000 }
+  );
+
+  if (!response.data || !Array.isArray(response.data.coins)) {
+    throw new Error('Invalid API response');
   }
+
+  return response.data.coins
+    .map(({ item }) => item)
+    .filter((item) => item && item.id && item.symbol)
+    .map((item, index) => ({
+      id: item.id,
+      symbol: item.symbol.toUpperCase(),
+      name: item.name,
+      marketCapRank: item.market_cap_rank ?? null,
+      trendingRank: Number.isInteger(item.score) ? item.score + 1 : index + 1,
+      thumb: item.small || item.thumb || null,
+      priceUsd: typeof item.data?.price === 'number' ? item.data.price : null,
+      change24h: item.data?.price_change_percentage_24h?.usd ?? null,
+    }));
 }
 
 module.exports = {
-  getCoinPrices,
-  getTrendingCoins,
+  name: 'coingecko',
+  supportsCurrency,
+  fetchPrices,
+  fetchHistory,
+  fetchTrending,
 };
-
@@ -1,109 +1,203 @@
 const axios = require('axios');
+const coinRegistry = require('./coin-registry.service');
+const articleService = require('./article.service');
+const newsClassifier = require('./news-classifier.service');
 
 /**
  * CryptoPanic API Service
  * Fetches cryptocurrency news and market updates
  * Free tier available - May need API key for higher limits
+ *
+ * Articles are stored through article.service.js, so the IDs returned here are
+ * stable Article IDs (fallback templates aren't stored and get fixed IDs). Each
+ * article carries its content type tags and sentiment, and articles matching the
+ * user's contentTypes come first. Articles ingested from RSS / Atom feeds are
+ * merged in.
  */
 
 const CRYPTOPANIC_API_BASE = 'https://cryptopanic.com/api/v1';
+const MAX_NEWS = 10;
+
+/**
+ * Store articles and format them for the API
+ * If the database is unavailable the articles are still returned, without IDs
+ * @param {Array<Object>} items - Articles (see articleService.upsertArticles)
+ * @returns {Promise<Array>} Formatted articles
+ */
+async function storeArticles(items) {
+  try {
+    return (await articleService.upsertArticles(items)).map(articleService.formatArticle);
+  } catch (error) {
+    console.error('Failed to store news articles:', error.message);
+    return items.map((item) =>
+      articleService.formatArticle({
+        ...item,
+        _id: null,
+        contentTypes: newsClassifier.classifyTitle(item.title),
+      })
+    );
+  }
+}
+
+/**
+ * Get recent articles ingested from RSS / Atom feeds (see news-feed.service.js)
+ * @param {string[]} symbols - Coin symbols the articles should mention
+ * @returns {Promise<Array>} Formatted articles (empty on database errors)
+ */
+async function getFeedArticles(symbols) {
+  try {
+    const articles = await articleService.listRecentArticles({ provider: 'rss', currencies: symbols });
+    return articles.map(articleService.formatArticle);
+  } catch (error) {
+    console.error('Failed to load feed articles:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch CryptoPanic's hot feed (one page, up to 20 articles)
+ * @param {string} apiKey - CryptoPanic auth token
+ * @param {string[]} symbols - Coin symbols
+ * @returns {Promise<Array>} Articles for articleService.upsertArticles
+ * @throws {Error} On API errors
+ */
+async function fetchCryptoPanicArticles(apiKey, symbols) {
+  const params = {
+    auth_token: apiKey, // Required parameter
+    currencies: symbols.join(',') || 'BTC,ETH', // Default to BTC,ETH if none
+    public: true, // Only public posts
+    filter: 'hot', // 'hot', 'rising', or 'bullish'
+  };
+
+  const response = await axios.get(`${CRYPTOPANIC_API_BASE}/posts/`, {
+    params,
+    timeout: 5000, // 5 second timeout
+  });
+
+  // Check if response has data
+  if (!response.data || !response.data.results) {
+    throw new Error('Invalid API response format');
+  }
+
+  return response.data.results.map((article) => ({
+    provider: 'cryptopanic',
+    sourceId: String(article.id),
+    title: article.title,
+    url: article.url,
+    sourceName: article.source?.title || 'CryptoPanic',
+    publishedAt: article.published_at,
+    votes: {
+      positive: article.votes?.positive || 0,
+      negative: article.votes?.negative || 0,
+      important: article.votes?.important || 0,
+    },
+    currencies: (article.currencies || []).map((currency) => currency.code).filter(Boolean),
+  }));
+}
+
+/**
+ * Keep only articles with the given sentiment
+ * @param {Array<Object>} articles - Formatted articles
+ * @param {string} sentiment - 'bullish' | 'bearish' | 'neutral' (optional)
+ * @returns {Array<Object>} Matching articles (all of them without a filter)
+ */
+function filterBySentiment(articles, sentiment) {
+  return sentiment ? articles.filter((article) => article.sentiment === sentiment) : articles;
+}
+
+/**
+ * Get fallback news
+ * Template articles are not stored: their IDs are stable strings (fallback-<template>)
+ * @param {string[]} currencies - Array of currency symbols
+ * @param {string[]} contentTypes - User's preferred content types
+ * @param {string} sentiment - Sentiment filter (optional)
+ * @param {string} error - Reason for the fallback
+ * @returns {Object} News data
+ */
+function getFallbackNews(currencies, contentTypes, sentiment, error) {
+  const articles = generateFallbackNews(currencies).map((item) => ({
+    ...articleService.formatArticle({ ...item, contentTypes: newsClassifier.classifyTitle(item.title) }),
+    id: `fallback-${item.sourceId}`,
+  }));
+  const news = newsClassifier
+    .rankByContentTypes(filterBySentiment(articles, sentiment), contentTypes)
+    .slice(0, MAX_NEWS);
+  return { news, count: news.length, error };
+}
 
 /**
  * Get crypto news based on user preferences
+ * Merges CryptoPanic's hot feed with recent RSS / Atom feed articles about the
+ * same coins, newest first, then puts articles matching contentTypes first.
+ * Falls back to template articles when neither source has any.
  * @param {string[]} currencies - Array of currency symbols (e.g., ['BTC', 'ETH'])
  * @param {string[]} contentTypes - User's preferred content types
+ * @param {Object} options - { sentiment: only 'bullish' | 'bearish' | 'neutral' articles (optional) }
  * @returns {Promise<Object>} News data
  */
-async function getCryptoNews(currencies = [], contentTypes = []) {
+async function getCryptoNews(currencies = [], contentTypes = [], { sentiment } = {}) {
   try {
-    // CryptoPanic uses currency codes
-    const currencyMap = {
-      BTC: 'BTC',
-      ETH: 'ETH',
-      SOL: 'SOL',
-      ADA: 'ADA',
-      DOT: 'DOT',
-      MATIC: 'MATIC',
-      AVAX: 'AVAX',
-      BNB: 'BNB',
-      XRP: 'XRP',
-    };
-
-    // Convert to comma-separated currency codes
-    const currencyCodes = currencies
-      .map((symbol) => currencyMap[symbol.toUpperCase()])
-      .filter(Boolean)
-      .join(',');
+    // CryptoPanic uses currency codes - keep the symbols the coin registry knows
+    const { coins } = await coinRegistry.resolveSymbols(currencies);
+    const symbols = coins.map((coin) => coin.symbol);
 
-    // Build API URL
     // CryptoPanic requires auth_token parameter
     const apiKey = process.env.CRYPTOPANIC_API_KEY;
-    
+
+    let cryptoPanicNews = [];
+    let unavailableReason = null;
     if (!apiKey) {
-      const fallbackNews = generateFallbackNews(currencies);
-      return {
-        news: fallbackNews,
-        count: fallbackNews.length,
-        error: 'Using fallback news data - CryptoPanic API key not configured',
-      };
+      unavailableReason = 'CryptoPanic API key not configured';
+    } else {
+      try {
+        const items = await fetchCryptoPanicArticles(apiKey, symbols);
+        if (items.length === 0) {
+          unavailableReason = 'CryptoPanic API returned no results';
+        } else {
+          cryptoPanicNews = await storeArticles(items);
+        }
+      } catch (error) {
+        unavailableReason = 'CryptoPanic API unavailable';
+      }
     }
 
-    const params = {
-      auth_token: apiKey, // Required parameter
-      currencies: currencyCodes || 'BTC,ETH', // Default to BTC,ETH if none
-      public: true, // Only public posts
-      filter: 'hot', // 'hot', 'rising', or 'bullish'
-    };
+    const feedNews = await getFeedArticles(symbols);
 
-    const response = await axios.get(`${CRYPTOPANIC_API_BASE}/posts/`, {
-      params,
-      timeout: 5000, // 5 second timeout
-    });
+    // Duplicate stories across sources already share one article ID
+    const seenIds = new Set();
+    const merged = [...cryptoPanicNews, ...feedNews]
+      .filter((article) => {
+        if (!article.id) return true;
+        if (seenIds.has(article.id)) return false;
+        seenIds.add(article.id);
+        return true;
+      })
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
 
-    // Check if response has data
-    if (!response.data || !response.data.results) {
-      throw new Error('Invalid API response format');
+    if (merged.length === 0) {
+      return getFallbackNews(
+        currencies,
+        contentTypes,
+        sentiment,
+        `Using fallback news data - ${unavailableReason || 'no news available'}`
+      );
     }
 
-    // Transform and filter news based on content types
-    let news = response.data.results || [];
-
-    // If no news articles returned, use fallback
-    if (!news || news.length === 0) {
-      const fallbackNews = generateFallbackNews(currencies);
-      return {
-        news: fallbackNews,
-        count: fallbackNews.length,
-        error: 'Using fallback news data - CryptoPanic API returned no results',
-      };
-    }
-
-    // Limit to 10 most recent articles
-    news = news.slice(0, 10).map((article) => ({
-      id: article.id,
-      title: article.title,
-      url: article.url,
-      source: article.source?.title || 'CryptoPanic',
-      publishedAt: article.published_at,
-      votes: article.votes?.positive || 0,
-      currencies: article.currencies || [],
-    }));
-
+    const news = newsClassifier
+      .rankByContentTypes(filterBySentiment(merged, sentiment), contentTypes)
+      .slice(0, MAX_NEWS);
     return { news, count: news.length };
   } catch (error) {
     // Return realistic fallback news based on user's currencies
-    const fallbackNews = generateFallbackNews(currencies);
-    return {
-      news: fallbackNews,
-      count: fallbackNews.length,
-      error: 'Using fallback news data - CryptoPanic API unavailable',
-    };
+    return getFallbackNews(currencies, contentTypes, sentiment, 'Using fallback news data - CryptoPanic API unavailable');
   }
 }
 
 /**
  * Generate realistic fallback news articles
  * Used when CryptoPanic API is unavailable (rate limit, API key issue, etc.)
+ * @param {string[]} currencies - Array of currency symbols
+ * @returns {Array<Object>} Articles (shaped like articleService.upsertArticles input)
  */
 function generateFallbackNews(currencies = ['BTC', 'ETH']) {
   // Comprehensive news templates for each currency
@@ -261,12 +355,13 @@ function generateFallbackNews(currencies = ['BTC', 'ETH']) {
       if (!usedTitles.has(uniqueTitle)) {
         usedTitles.add(uniqueTitle);
         articles.push({
-          id: `fallback-${currency}-${Date.now()}-${i}`,
+          provider: 'fallback',
+          sourceId: `${currency.toUpperCase()}-${i}`, // Stable, so each template keeps its ID
           title: template.title,
           url: 'https://cryptopanic.com',
-          source: template.source,
+          sourceName: template.source,
           publishedAt: new Date(Date.now() - (currencyIndex * 2 + i) * 3600000).toISOString(),
-          votes: Math.floor(Math.random() * 50) + 5,
+          votes: { positive: Math.floor(Math.random() * 50) + 5 },
           currencies: [currency],
         });
       }
@@ -280,12 +375,13 @@ function generateFallbackNews(currencies = ['BTC', 'ETH']) {
       if (!usedTitles.has(template.title)) {
         usedTitles.add(template.title);
         articles.push({
-          id: `fallback-general-${Date.now()}-${index}`,
+          provider: 'fallback',
+          sourceId: `general-${index}`,
           title: template.title,
           url: 'https://cryptopanic.com',
-          source: template.source,
+          sourceName: template.source,
           publishedAt: new Date(Date.now() - (articles.length + 1) * 3600000).toISOString(),
-          votes: Math.floor(Math.random() * 50) + 5,
+          votes: { positive: Math.floor(Math.random() * 50) + 5 },
           currencies: currencies.length > 0 ? currencies : ['BTC', 'ETH'],
         });
       }
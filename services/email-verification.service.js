@@ -0,0 +1,81 @@
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const userStore = require('./user.store');
+const mailService = require('./mail.service');
+const { generateRandomToken, hashToken } = require('../utils/crypto.utils');
+const { buildFrontendUrl } = require('../utils/url.utils');
+
+/**
+ * Email Verification Service
+ * Sends verification links and marks addresses as verified
+ */
+
+const VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Send a verification link to the user's current email
+ * Replaces any previous link; refuses to resend within the cooldown window
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { sent: boolean, retryAfter?: number }
+ */
+async function sendVerificationEmail(user) {
+  const latest = await EmailVerificationToken.findOne({ userId: user._id }).sort({ createdAt: -1 });
+  if (latest) {
+    const elapsedSeconds = (Date.now() - latest.createdAt.getTime()) / 1000;
+    if (elapsedSeconds < RESEND_COOLDOWN_SECONDS) {
+      return { sent: false, retryAfter: Math.ceil(RESEND_COOLDOWN_SECONDS - elapsedSeconds) };
+    }
+  }
+
+  await EmailVerificationToken.deleteMany({ userId: user._id });
+
+  const token = generateRandomToken();
+  await EmailVerificationToken.create({
+    userId: user._id,
+    email: user.email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000),
+  });
+
+  const verifyUrl = buildFrontendUrl('/verify-email', { token });
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Verify your CryptoAdvisor email',
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n` +
+      `${verifyUrl}\n\n` +
+      `This link expires in ${VERIFICATION_EXPIRES_HOURS} hours.`,
+  });
+
+  return { sent: true };
+}
+
+/**
+ * Verify an email address using a token from a verification link
+ * The token is consumed, and only counts if the user still has the same email
+ * @param {string} token - Plain verification token
+ * @returns {Promise<Object|null>} Updated user or null if the token is invalid
+ */
+async function verifyEmail(token) {
+  const verificationToken = await EmailVerificationToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!verificationToken) return null;
+
+  const user = await userStore.findById(verificationToken.userId);
+  if (!user || user.email !== verificationToken.email) return null;
+
+  return userStore.update(user._id, {
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmail,
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+/**
+ * Fixture Price Service
+ * Deterministic local market data provider for tests and offline development
+ * (PRICE_PROVIDERS=fixture). Never calls the network.
+ *
+ * - Current prices are fixed per symbol and currency
+ * - Trending coins are a fixed list
+ * - History follows a smooth curve sampled on fixed time boundaries, so the
+ *   same request returns the same points
+ */
+
+// Reference prices in USD for the built-in coins; other coins get a price from their symbol
+const BASE_PRICES_USD = {
+  BTC: 60000,
+  ETH: 3000,
+  SOL: 150,
+  ADA: 0.45,
+  DOT: 7,
+  MATIC: 0.7,
+  AVAX: 35,
+  BNB: 550,
+  XRP: 0.55,
+};
+
+// Fixed "trending" list, in trending order
+const TRENDING_COINS = [
+  { id: 'solana', symbol: 'SOL', name: 'Solana', marketCapRank: 5 },
+  { id: 'avalanche-2', symbol: 'AVAX', name: 'Avalanche', marketCapRank: 12 },
+  { id: 'polkadot', symbol: 'DOT', name: 'Polkadot', marketCapRank: 15 },
+  { id: 'ripple', symbol: 'XRP', name: 'XRP', marketCapRank: 6 },
+  { id: 'cardano', symbol: 'ADA', name: 'Cardano', marketCapRank: 9 },
+];
+
+// Fixed exchange rates: 1 USD in each currency
+const USD_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  ILS: 3.7,
+  GBP: 0.79,
+  JPY: 150,
+  CHF: 0.88,
+  CAD: 1.36,
+  AUD: 1.52,
+  BTC: 1 / 60000,
+  ETH: 1 / 3000,
+};
+
+/**
+ * Stable number in [0, 1) derived from a string
+ * @param {string} value - Input
+ * @returns {number} Pseudo-random fraction
+ */
+function seededFraction(value) {
+  return crypto.createHash('sha256').update(value).digest().readUInt32BE(0) / 2 ** 32;
+}
+
+/**
+ * Get a coin's fixture price
+ * @param {string} symbol - Ticker symbol
+ * @param {string} currency - Quote currency code
+ * @returns {number} Price
+ */
+function getBasePrice(symbol, currency) {
+  const usdPrice = BASE_PRICES_USD[symbol] ?? Number((0.01 + seededFraction(symbol) * 1000).toFixed(4));
+  return usdPrice * USD_RATES[currency];
+}
+
+/**
+ * Check whether a quote currency is supported
+ * @param {string} currency - Quote currency code
+ * @returns {boolean} True if a fixed rate exists
+ */
+function supportsCurrency(currency) {
+  return USD_RATES[currency] !== undefined;
+}
+
+/**
+ * Fetch current prices
+ * @param {Array<Object>} coins - Registry coins ({ id, symbol })
+ * @param {string} currency - Quote currency code
+ * @returns {Promise<Array>} [{ id, symbol, price, change24h, change7d, currency }]
+ */
+async function fetchPrices(coins, currency) {
+  return coins.map((coin) => ({
+    id: coin.id,
+    symbol: coin.symbol,
+    price: getBasePrice(coin.symbol, currency),
+    change24h: Number(((seededFraction(`${coin.symbol}:24h`) - 0.5) * 10).toFixed(2)),
+    change7d: Number(((seededFraction(`${coin.symbol}:7d`) - 0.5) * 20).toFixed(2)),
+    currency,
+  }));
+}
+
+/**
+ * Fetch a coin's price samples
+ * Same granularity as CoinGecko: 5 minutes for 1 day, hourly up to 90 days and daily beyond
+ * @param {Object} coin - Registry coin ({ symbol })
+ * @param {string} currency - Quote currency code
+ * @param {number} days - Days of history
+ * @returns {Promise<Array<Array<number>>>} [[timestamp (ms), price], ...]
+ */
+async function fetchHistory(coin, currency, days) {
+  const stepMs = days <= 1 ? 5 * 60 * 1000 : days <= 90 ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+  const basePrice = getBasePrice(coin.symbol, currency);
+  const phase = seededFraction(coin.symbol) * 2 * Math.PI;
+  const periodMs = 3 * 24 * 60 * 60 * 1000;
+
+  const end = Math.floor(Date.now() / stepMs) * stepMs;
+  const start = end - days * 24 * 60 * 60 * 1000;
+
+  const samples = [];
+  for (let timestamp = start; timestamp <= end; timestamp += stepMs) {
+    const wave = Math.sin((2 * Math.PI * timestamp) / periodMs + phase);
+    samples.push([timestamp, basePrice * (1 + 0.05 * wave)]);
+  }
+  return samples;
+}
+
+/**
+ * Fetch trending coins
+ * @returns {Promise<Array>} [{ id, symbol, name, marketCapRank, trendingRank, thumb, priceUsd, change24h }]
+ */
+async function fetchTrending() {
+  return TRENDING_COINS.map((coin, index) => ({
+    ...coin,
+    trendingRank: index + 1,
+    thumb: null,
+    priceUsd: getBasePrice(coin.symbol, 'USD'),
+    change24h: Number(((seededFraction(`${coin.symbol}:24h`) - 0.5) * 10).toFixed(2)),
+  }));
+}
+
+module.exports = {
+  name: 'fixture',
+  supportsCurrency,
+  fetchPrices,
+  fetchHistory,
+  fetchTrending,
+};
@@ -0,0 +1,306 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const auditService = require('./audit.service');
+
+/**
+ * Login Throttle Service
+ * Brute-force protection for password (and 2FA) login steps
+ *
+ * Failed attempts are counted per email and per IP:
+ * - after `freeAttempts` failures, each new attempt must wait a growing delay (1s, 2s, 4s... max 60s)
+ * - after `maxAttempts` failures, the key is locked for `lockoutMs`
+ * Counters reset after `windowMs` without failures, or on successful login (email only).
+ *
+ * Emails are tracked whether or not an account exists, so responses never
+ * reveal which emails are registered.
+ *
+ * Backend (LOGIN_THROTTLE_STORE env): 'memory' (default, single instance) or 'mongo' (shared)
+ */
+
+const THROTTLE_RULES = {
+  email: {
+    freeAttempts: 3,
+    maxAttempts: 10,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 15 * 60 * 1000,
+  },
+  ip: {
+    freeAttempts: 20,
+    maxAttempts: 100,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 15 * 60 * 1000,
+  },
+};
+
+const MAX_DELAY_SECONDS = 60;
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+/**
+ * In-memory backend (per process)
+ * @returns {Object} Backend
+ */
+function createMemoryBackend() {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const record = records.get(key);
+      if (record && record.expiresAt <= new Date()) {
+        records.delete(key);
+        return null;
+      }
+      return record ? { ...record } : null;
+    },
+
+    async incrementFailures(key, now, windowMs) {
+      // Drop expired counters so random emails can't grow the map forever
+      if (records.size > MEMORY_SWEEP_THRESHOLD) {
+        for (const [storedKey, stored] of records) {
+          if (stored.expiresAt <= now) records.delete(storedKey);
+        }
+      }
+
+      let record = await this.get(key);
+      if (!record || record.firstFailureAt < new Date(now - windowMs)) {
+        record = { key, failures: 0, firstFailureAt: now, lockedUntil: null, nextAttemptAt: null };
+      }
+      record.failures += 1;
+      record.lastFailureAt = now;
+      record.expiresAt = new Date(now.getTime() + windowMs);
+      records.set(key, record);
+      return { ...record };
+    },
+
+    async update(key, fields) {
+      const record = records.get(key);
+      if (record) {
+        Object.assign(record, fields);
+      }
+    },
+
+    async reset(key) {
+      return records.delete(key);
+    },
+
+    async listLocked() {
+      const now = new Date();
+      return [...records.values()]
+        .filter((record) => record.lockedUntil && record.lockedUntil > now)
+        .map((record) => ({ ...record }));
+    },
+  };
+}
+
+/**
+ * MongoDB backend (shared between instances)
+ * @returns {Object} Backend
+ */
+function createMongoBackend() {
+  return {
+    name: 'mongo',
+
+    async get(key) {
+      return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    },
+
+    async incrementFailures(key, now, windowMs) {
+      // Start a new window if the previous one is over
+      await LoginAttempt.updateOne(
+        { key, firstFailureAt: { $lt: new Date(now - windowMs) } },
+        { $set: { failures: 0, firstFailureAt: now, lockedUntil: null, nextAttemptAt: null } }
+      );
+
+      return LoginAttempt.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + windowMs) },
+          $setOnInsert: { firstFailureAt: now },
+        },
+        { upsert: true, new: true }
+      ).lean();
+    },
+
+    async update(key, fields) {
+      await LoginAttempt.updateOne({ key }, { $set: fields });
+    },
+
+    async reset(key) {
+      const result = await LoginAttempt.deleteOne({ key });
+      return result.deletedCount > 0;
+    },
+
+    async listLocked() {
+      return LoginAttempt.find({ lockedUntil: { $gt: new Date() } })
+        .sort({ lockedUntil: -1 })
+        .lean();
+    },
+  };
+}
+
+let backend = process.env.LOGIN_THROTTLE_STORE === 'mongo' ? createMongoBackend() : createMemoryBackend();
+
+/**
+ * Replace the storage backend (tests, custom stores)
+ * @param {Object} newBackend - Backend implementing get/incrementFailures/update/reset/listLocked
+ */
+function setBackend(newBackend) {
+  backend = newBackend;
+}
+
+/**
+ * Build throttle keys for a login attempt
+ * @param {Object} params - { email, ip }
+ * @returns {Array<Object>} [{ key, rule, type }]
+ */
+function getKeys({ email, ip }) {
+  const keys = [];
+  if (email) {
+    keys.push({ key: `email:${email.toLowerCase().trim()}`, rule: THROTTLE_RULES.email, type: 'email' });
+  }
+  if (ip) {
+    keys.push({ key: `ip:${ip}`, rule: THROTTLE_RULES.ip, type: 'ip' });
+  }
+  return keys;
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} params - { email, ip }
+ * @returns {Promise<Object>} { allowed: boolean, retryAfter?: number (seconds), locked?: boolean }
+ */
+async function check({ email, ip }) {
+  const now = Date.now();
+  let retryAfterMs = 0;
+  let locked = false;
+
+  for (const { key } of getKeys({ email, ip })) {
+    const record = await backend.get(key);
+    if (!record) continue;
+
+    if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+      locked = true;
+      retryAfterMs = Math.max(retryAfterMs, new Date(record.lockedUntil).getTime() - now);
+    } else if (record.nextAttemptAt && new Date(record.nextAttemptAt).getTime() > now) {
+      retryAfterMs = Math.max(retryAfterMs, new Date(record.nextAttemptAt).getTime() - now);
+    }
+  }
+
+  if (retryAfterMs > 0) {
+    return { allowed: false, locked, retryAfter: Math.ceil(retryAfterMs / 1000) };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Record a failed login attempt
+ * @param {Object} params - Attempt details
+ * @param {string} params.email - Email used
+ * @param {string} params.ip - Client IP
+ * @param {string} params.userId - Account ID if the email exists
+ * @param {string} params.userAgent - Client user agent
+ * @returns {Promise<void>}
+ */
+async function recordFailure({ email, ip, userId = null, userAgent = null }) {
+  const now = new Date();
+
+  for (const { key, rule, type } of getKeys({ email, ip })) {
+    const record = await backend.incrementFailures(key, now, rule.windowMs);
+
+    if (record.failures >= rule.maxAttempts) {
+      const lockedUntil = new Date(now.getTime() + rule.lockoutMs);
+      await backend.update(key, {
+        lockedUntil,
+        nextAttemptAt: null,
+        expiresAt: new Date(lockedUntil.getTime() + rule.windowMs),
+      });
+
+      // Audit only the transition into the locked state
+      if (record.failures === rule.maxAttempts) {
+        await auditService.record({
+          type: type === 'email' ? 'account_locked' : 'ip_locked',
+          userId: type === 'email' ? userId : null,
+          email: email ? email.toLowerCase().trim() : null,
+          ip,
+          userAgent,
+          metadata: { failures: record.failures, lockedUntil },
+        });
+      }
+    } else if (record.failures > rule.freeAttempts) {
+      const delaySeconds = Math.min(2 ** (record.failures - rule.freeAttempts - 1), MAX_DELAY_SECONDS);
+      await backend.update(key, { nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000) });
+    }
+  }
+}
+
+/**
+ * Clear the email counter after a successful login
+ * The IP counter is kept so one valid account can't reset an attacker's IP budget
+ * @param {Object} params - { email }
+ * @returns {Promise<void>}
+ */
+async function recordSuccess({ email }) {
+  for (const { key } of getKeys({ email })) {
+    await backend.reset(key);
+  }
+}
+
+/**
+ * Unlock an email or IP (admin action)
+ * @param {Object} params - Unlock details
+ * @param {string} params.email - Email to unlock
+ * @param {string} params.ip - IP to unlock
+ * @param {string} params.userId - Account ID for the email (for the audit log)
+ * @param {string} params.actorId - Admin performing the unlock
+ * @returns {Promise<boolean>} True if anything was unlocked
+ */
+async function unlock({ email, ip, userId = null, actorId }) {
+  let unlocked = false;
+
+  for (const { key, type } of getKeys({ email, ip })) {
+    const wasTracked = await backend.reset(key);
+    if (!wasTracked) continue;
+
+    unlocked = true;
+    await auditService.record({
+      type: type === 'email' ? 'account_unlocked' : 'ip_unlocked',
+      userId: type === 'email' ? userId : null,
+      email: type === 'email' ? email.toLowerCase().trim() : null,
+      ip: type === 'ip' ? ip : null,
+      actorId,
+    });
+  }
+
+  return unlocked;
+}
+
+/**
+ * List currently locked emails and IPs
+ * @returns {Promise<Array>} [{ type, value, failures, lockedUntil }]
+ */
+async function listLocked() {
+  const records = await backend.listLocked();
+  return records.map((record) => {
+    const separatorIndex = record.key.indexOf(':');
+    return {
+      type: record.key.slice(0, separatorIndex),
+      value: record.key.slice(separatorIndex + 1),
+      failures: record.failures,
+      lockedUntil: record.lockedUntil,
+    };
+  });
+}
+
+module.exports = {
+  check,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  listLocked,
+  setBackend,
+  createMemoryBackend,
+  createMongoBackend,
+  THROTTLE_RULES,
+};
@@ -0,0 +1,129 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail Service
+ * Sends transactional emails (password reset, etc.) through a pluggable transport
+ *
+ * Transports (MAIL_TRANSPORT env):
+ * - console: logs the message (default, for local development)
+ * - file: writes each message as JSON to MAIL_OUTBOX_DIR (for tests)
+ * - smtp: sends via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *
+ * A custom transport is any object with an async send(message) method,
+ * installed with setTransport()
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'CryptoAdvisor <no-reply@cryptoadvisor.local>';
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log('📧 Email (console transport)');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    return { delivered: true };
+  },
+};
+
+const fileTransport = {
+  name: 'file',
+  async send(message) {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const filename = `${Date.now()}-${safeRecipient}.json`;
+    const filePath = path.join(outboxDir, filename);
+
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { delivered: true, path: filePath };
+  },
+};
+
+/**
+ * Create SMTP transport from environment variables
+ * @returns {Object} Transport object
+ */
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { delivered: true, messageId: info.messageId };
+    },
+  };
+}
+
+let activeTransport = null;
+
+/**
+ * Get the configured transport (created lazily)
+ * @returns {Object} Transport object
+ */
+function getTransport() {
+  if (activeTransport) return activeTransport;
+
+  switch (process.env.MAIL_TRANSPORT || 'console') {
+    case 'file':
+      activeTransport = fileTransport;
+      break;
+    case 'smtp':
+      activeTransport = createSmtpTransport();
+      break;
+    default:
+      activeTransport = consoleTransport;
+  }
+
+  return activeTransport;
+}
+
+/**
+ * Replace the active transport (custom providers, tests)
+ * @param {Object|null} transport - Object with async send(message), or null to reset
+ */
+function setTransport(transport) {
+  if (transport && typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - Message data
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - Optional HTML body
+ * @returns {Promise<Object>} Transport result
+ */
+async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  });
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+};
@@ -0,0 +1,113 @@
+const coinRegistry = require('./coin-registry.service');
+const priceService = require('./price.service');
+
+/**
+ * Market Service
+ * Trending coins and the personalized "discover" feed
+ */
+
+const DEFAULT_INVESTOR_TYPE = 'HODLer';
+const MAX_SUGGESTIONS = 10;
+const BIG_MOVE_PERCENT = 10;
+
+// Related assets per investor type; coins missing from the registry are skipped
+const INVESTOR_TYPE_SUGGESTIONS = {
+  HODLer: {
+    symbols: ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'ADA'],
+    reason: 'Established large-cap coin',
+  },
+  'Day Trader': {
+    symbols: ['BTC', 'ETH', 'SOL', 'XRP', 'DOGE', 'BNB'],
+    reason: 'Deep liquidity on major exchanges',
+  },
+  'NFT Collector': {
+    symbols: ['ETH', 'SOL', 'APE', 'IMX', 'BLUR', 'FLOW'],
+    reason: 'NFT marketplace or collection ecosystem',
+  },
+  'DeFi Enthusiast': {
+    symbols: ['UNI', 'AAVE', 'MKR', 'LDO', 'CRV', 'LINK'],
+    reason: 'DeFi protocol token',
+  },
+  'Swing Trader': {
+    symbols: ['LINK', 'AVAX', 'DOT', 'MATIC', 'ATOM', 'NEAR'],
+    reason: 'Mid-cap coin with multi-day swings',
+  },
+};
+
+/**
+ * Get trending coins, flagging the ones the user already follows
+ * @param {string[]} interestedAssets - The user's interested asset symbols
+ * @returns {Promise<Object>} { coins: [{ ...coin, inInterests }], provider, updatedAt, ageSeconds, stale } or { coins: [], error }
+ */
+async function getTrending(interestedAssets = []) {
+  const trending = await priceService.getTrendingCoins();
+  if (trending.error) {
+    return { coins: [], error: trending.error };
+  }
+
+  const { coins: followed } = await coinRegistry.resolveSymbols(interestedAssets);
+  const followedIds = new Set(followed.map((coin) => coin.id));
+
+  return {
+    coins: trending.coins.map((coin) => ({ ...coin, inInterests: followedIds.has(coin.id) })),
+    provider: trending.provider,
+    updatedAt: trending.fetchedAt,
+    ageSeconds: trending.ageSeconds,
+    stale: trending.stale,
+  };
+}
+
+/**
+ * Build the discover feed: trending coins plus suggestions for the user's investor type
+ * Coins the user already follows are never suggested
+ * @param {Object} preferences - User preferences ({ interestedAssets, investorType })
+ * @param {Object} options - { limit } (max suggestions, default and max: 10)
+ * @returns {Promise<Object>} { investorType, trending, suggestions: [{ symbol, name, id, marketCapRank, reason }] }
+ */
+async function getDiscoverFeed(preferences, { limit = MAX_SUGGESTIONS } = {}) {
+  const interestedAssets = preferences?.interestedAssets || [];
+  const investorType = INVESTOR_TYPE_SUGGESTIONS[preferences?.investorType]
+    ? preferences.investorType
+    : DEFAULT_INVESTOR_TYPE;
+  const { symbols, reason } = INVESTOR_TYPE_SUGGESTIONS[investorType];
+
+  const trending = await getTrending(interestedAssets);
+  const { coins: related } = await coinRegistry.resolveSymbols(symbols);
+
+  // Traders also get the trending coins that are moving the most
+  const movers = investorType === 'Day Trader' || investorType === 'Swing Trader'
+    ? trending.coins
+      .filter((coin) => Math.abs(coin.change24h || 0) >= BIG_MOVE_PERCENT)
+      .sort((a, b) => Math.abs(b.change24h) - Math.abs(a.change24h))
+      .map((coin) => ({
+        symbol: coin.symbol,
+        name: coin.name,
+        id: coin.id,
+        marketCapRank: coin.marketCapRank,
+        reason: `Trending with a ${coin.change24h.toFixed(1)}% move in 24h`,
+      }))
+    : [];
+
+  const suggestions = [...movers, ...related.map((coin) => ({ ...coin, reason }))];
+
+  const { coins: followed } = await coinRegistry.resolveSymbols(interestedAssets);
+  const excludedIds = new Set(followed.map((coin) => coin.id));
+
+  return {
+    investorType,
+    trending,
+    suggestions: suggestions
+      .filter((coin) => {
+        if (excludedIds.has(coin.id)) return false;
+        excludedIds.add(coin.id); // Once per coin
+        return true;
+      })
+      .slice(0, Math.min(limit, MAX_SUGGESTIONS)),
+  };
+}
+
+module.exports = {
+  INVESTOR_TYPE_SUGGESTIONS,
+  getTrending,
+  getDiscoverFeed,
+};
@@ -0,0 +1,170 @@
+const axios = require('axios');
+const { VALID_CONTENT_TYPES } = require('../utils/preferences.validator');
+
+/**
+ * News Classifier Service
+ * Tags articles with the onboarding content types (Market News, Charts, Social,
+ * Fun, Technical Analysis, Memes) and ranks news by the user's chosen types
+ *
+ * Tagging is keyword-based. When NEWS_CLASSIFIER_MODEL is set (an OpenRouter
+ * model, using OPENROUTER_API_KEY), headlines are classified by the model
+ * instead, with the keyword rules as the fallback for anything it gets wrong.
+ */
+
+const OPENROUTER_API_BASE = 'https://openrouter.ai/api/v1';
+const DEFAULT_CONTENT_TYPE = 'Market News';
+
+// Keywords per content type, matched as whole words in the title (case-insensitive)
+const CONTENT_TYPE_KEYWORDS = {
+  'Market News': [
+    'market', 'price', 'rally', 'surge', 'surges', 'plunge', 'plunges', 'crash', 'etf', 'sec',
+    'regulation', 'regulators', 'inflows', 'outflows', 'institutional', 'adoption', 'exchange',
+    'listing', 'partnership', 'funding', 'raises', 'acquisition', 'lawsuit', 'hack', 'exploit',
+    'upgrade', 'mainnet', 'treasury', 'reserve', 'trading volume', 'all-time high',
+  ],
+  Charts: [
+    'chart', 'charts', 'candle', 'candlestick', 'pattern', 'breakout', 'breakdown', 'trendline',
+    'head and shoulders', 'wedge', 'triangle', 'weekly close', 'daily close', 'price action',
+  ],
+  'Technical Analysis': [
+    'technical analysis', 'ta', 'support', 'resistance', 'rsi', 'macd', 'moving average', 'ema',
+    'sma', 'fibonacci', 'overbought', 'oversold', 'bollinger', 'golden cross', 'death cross',
+    'price analysis', 'price prediction', 'key levels', 'indicator', 'indicators',
+  ],
+  Social: [
+    'twitter', 'tweet', 'tweets', 'reddit', 'community', 'influencer', 'influencers', 'musk',
+    'social', 'sentiment', 'viral', 'telegram', 'discord', 'followers', 'vitalik', 'saylor',
+    'podcast', 'interview', 'ama',
+  ],
+  Fun: [
+    'fun', 'funny', 'bizarre', 'weird', 'strange', 'pizza', 'quirky', 'unusual', 'prank',
+    'celebrity', 'contest', 'lottery', 'art', 'game', 'gaming',
+  ],
+  Memes: [
+    'meme', 'memes', 'memecoin', 'memecoins', 'doge', 'dogecoin', 'shib', 'shiba', 'pepe',
+    'bonk', 'floki', 'wif',
+  ],
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const CONTENT_TYPE_PATTERNS = Object.fromEntries(
+  Object.entries(CONTENT_TYPE_KEYWORDS).map(([type, keywords]) => [
+    type,
+    new RegExp(`(^|[^a-z0-9])(${keywords.map(escapeRegExp).join('|')})(?=$|[^a-z0-9])`, 'i'),
+  ])
+);
+
+/**
+ * Tag a title with content types using the keyword rules
+ * @param {string} title - Article title
+ * @returns {string[]} Content types (at least 'Market News')
+ */
+function classifyTitle(title) {
+  const types = VALID_CONTENT_TYPES.filter((type) => CONTENT_TYPE_PATTERNS[type]?.test(title || ''));
+  return types.length > 0 ? types : [DEFAULT_CONTENT_TYPE];
+}
+
+/**
+ * Classify titles with the configured model
+ * @param {string[]} titles - Article titles
+ * @returns {Promise<Array<string[]|null>>} Content types per title (null where the answer was unusable)
+ */
+async function classifyWithModel(titles) {
+  const response = await axios.post(
+    `${OPENROUTER_API_BASE}/chat/completions`,
+    {
+      model: process.env.NEWS_CLASSIFIER_MODEL,
+      messages: [
+        {
+          role: 'system',
+          content:
+            `You classify crypto news headlines into these categories: ${VALID_CONTENT_TYPES.join(', ')}. ` +
+            'A headline can have several categories. Reply with only a JSON array whose n-th item is the array of categories for the n-th headline.',
+        },
+        {
+          role: 'user',
+          content: titles.map((title, index) => `${index + 1}. ${title}`).join('\n'),
+        },
+      ],
+      max_tokens: 40 * titles.length,
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY || ''}`,
+        'Content-Type': 'application/json',
+      },
+      timeout: 10000,
+    }
+  );
+
+  const content = response.data.choices?.[0]?.message?.content || '';
+  const answer = JSON.parse(content.slice(content.indexOf('['), content.lastIndexOf(']') + 1));
+  if (!Array.isArray(answer) || answer.length !== titles.length) {
+    throw new Error('Unexpected classifier answer');
+  }
+
+  return answer.map((types) => {
+    if (!Array.isArray(types)) return null;
+    const valid = VALID_CONTENT_TYPES.filter((type) => types.includes(type));
+    return valid.length > 0 ? valid : null;
+  });
+}
+
+/**
+ * Tag articles with content types
+ * @param {Array<Object>} articles - Articles with a title
+ * @returns {Promise<Array<Object>>} { contentTypes, classifiedBy: 'model' | 'rules' } per article
+ */
+async function classifyArticles(articles) {
+  let modelTypes = [];
+
+  if (process.env.NEWS_CLASSIFIER_MODEL && articles.length > 0) {
+    try {
+      modelTypes = await classifyWithModel(articles.map((article) => article.title));
+    } catch (error) {
+      console.error('News classifier model failed, using keyword rules:', error.message);
+    }
+  }
+
+  return articles.map((article, index) =>
+    modelTypes[index]
+      ? { contentTypes: modelTypes[index], classifiedBy: 'model' }
+      : { contentTypes: classifyTitle(article.title), classifiedBy: 'rules' }
+  );
+}
+
+/**
+ * Order articles so those matching the user's content types come first
+ * More matching types rank higher; ties keep the original (provider) order
+ * @param {Array<Object>} articles - Articles with contentTypes
+ * @param {string[]} contentTypes - The user's preferred content types
+ * @returns {Array<Object>} Ranked articles
+ */
+function rankByContentTypes(articles, contentTypes = []) {
+  const preferred = new Set(contentTypes);
+  if (preferred.size === 0) return articles;
+
+  return articles
+    .map((article, index) => ({
+      article,
+      index,
+      matches: (article.contentTypes || []).filter((type) => preferred.has(type)).length,
+    }))
+    .sort((a, b) => b.matches - a.matches || a.index - b.index)
+    .map(({ article }) => article);
+}
+
+module.exports = {
+  CONTENT_TYPE_KEYWORDS,
+  classifyTitle,
+  classifyArticles,
+  rankByContentTypes,
+};
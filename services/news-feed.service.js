@@ -0,0 +1,193 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const axios = require('axios');
+const articleService = require('./article.service');
+const coinRegistry = require('./coin-registry.service');
+const { getNewsFeeds } = require('../config/news-feeds');
+const { parseFeed } = require('../utils/feed.utils');
+const { tagCoins } = require('../utils/news.utils');
+
+/**
+ * News Feed Service
+ * Ingests RSS / Atom feeds (NEWS_FEEDS) into the article store on a schedule
+ *
+ * Items are normalized to the article shape CryptoPanic results use, tagged
+ * with the coins they mention (by symbol or name) and stored through
+ * article.service.js, so they get stable IDs, duplicate folding and content
+ * type tags and sentiment. getCryptoNews merges them with CryptoPanic results.
+ */
+
+const INGEST_INTERVAL_MINUTES = parseInt(process.env.NEWS_FEED_INTERVAL_MINUTES) || 15;
+const MAX_ITEMS_PER_FEED = 50;
+const MAX_ITEM_AGE_DAYS = 7;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+// Feed -> { title, lastFetchedAt, lastSuccessAt, lastError, items }
+const feedStatus = new Map();
+
+let ingestInProgress = null;
+
+/**
+ * Read a feed from a URL or a local file
+ * @param {string} feed - http(s) URL, file: URL or file path
+ * @returns {Promise<string>} Feed XML
+ */
+async function readFeed(feed) {
+  if (/^https?:\/\//i.test(feed)) {
+    const response = await axios.get(feed, {
+      responseType: 'text',
+      timeout: 10000,
+      maxContentLength: MAX_FEED_BYTES,
+      headers: {
+        'User-Agent': 'CryptoAdvisor/1.0 (news ingestion)',
+        Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml',
+      },
+    });
+    return response.data;
+  }
+
+  const filePath = feed.startsWith('file:') ? fileURLToPath(feed) : path.resolve(feed);
+  return fs.readFile(filePath, 'utf8');
+}
+
+/**
+ * Keep a feed link only if it is an absolute http(s) URL
+ * Feeds are third-party input: javascript:, data: and relative links are dropped
+ * @param {string|null} link - Item link
+ * @returns {string|null} URL or null
+ */
+function toArticleUrl(link) {
+  if (!link || !/^https?:\/\//i.test(link)) return null;
+  try {
+    return new URL(link).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Turn parsed feed items into articles
+ * @param {string} feed - Feed URL or path
+ * @param {Object} parsed - parseFeed result
+ * @param {Array<Object>} coins - Coins to tag ({ symbol, name })
+ * @returns {Array<Object>} Articles for articleService.upsertArticles
+ */
+function normalizeItems(feed, parsed, coins) {
+  const oldest = Date.now() - MAX_ITEM_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+  return parsed.items
+    .filter((item) => item.title && (item.id || item.link))
+    .filter((item) => !item.publishedAt || item.publishedAt.getTime() >= oldest)
+    .slice(0, MAX_ITEMS_PER_FEED)
+    .map((item) => ({
+      provider: 'rss',
+      sourceId: item.id || item.link,
+      title: item.title,
+      url: toArticleUrl(item.link),
+      sourceName: parsed.title || (/^https?:\/\//i.test(feed) ? new URL(feed).hostname : 'RSS'),
+      publishedAt: item.publishedAt, // Undated items keep the time they were first seen
+      votes: {},
+      currencies: tagCoins(`${item.title} ${item.summary || ''}`, coins),
+      summary: item.summary, // Sentiment scoring only, not stored
+    }));
+}
+
+/**
+ * Fetch, parse and store one feed
+ * @param {string} feed - Feed URL or path
+ * @param {Array<Object>} coins - Coins to tag
+ * @returns {Promise<number>} Number of items stored
+ */
+async function ingestFeed(feed, coins) {
+  const status = feedStatus.get(feed) || { title: null, lastSuccessAt: null, items: 0 };
+  feedStatus.set(feed, status);
+  status.lastFetchedAt = new Date();
+
+  try {
+    const parsed = parseFeed(await readFeed(feed));
+    const articles = normalizeItems(feed, parsed, coins);
+    await articleService.upsertArticles(articles);
+
+    Object.assign(status, {
+      title: parsed.title,
+      lastSuccessAt: new Date(),
+      lastError: null,
+      items: articles.length,
+    });
+    return articles.length;
+  } catch (error) {
+    status.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+    throw error;
+  }
+}
+
+/**
+ * Ingest every configured feed
+ * A failing feed doesn't stop the others; concurrent calls share one run
+ * @returns {Promise<Object>} { feeds, items, failed }
+ */
+function ingestFeeds() {
+  if (ingestInProgress) return ingestInProgress;
+
+  ingestInProgress = (async () => {
+    const feeds = getNewsFeeds();
+    const coins = await coinRegistry.listTaggableCoins();
+    const result = { feeds: feeds.length, items: 0, failed: 0 };
+
+    for (const feed of feeds) {
+      try {
+        result.items += await ingestFeed(feed, coins);
+      } catch (error) {
+        console.error(`News feed ${feed} failed:`, feedStatus.get(feed).lastError);
+        result.failed++;
+      }
+    }
+
+    return result;
+  })().finally(() => {
+    ingestInProgress = null;
+  });
+
+  return ingestInProgress;
+}
+
+/**
+ * Ingest the feeds now and every NEWS_FEED_INTERVAL_MINUTES
+ * Does nothing when no feeds are configured
+ */
+function startNewsFeedIngestion() {
+  if (getNewsFeeds().length === 0) return;
+
+  const runIngest = () =>
+    ingestFeeds()
+      .then(({ feeds, items, failed }) =>
+        console.log(`News feeds ingested: ${items} items from ${feeds - failed}/${feeds} feeds`)
+      )
+      .catch((error) => console.error('News feed ingestion failed:', error.message));
+
+  runIngest();
+  setInterval(runIngest, INGEST_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+/**
+ * Get the status of the configured feeds
+ * @returns {Array<Object>} [{ feed, title, lastFetchedAt, lastSuccessAt, lastError, items }]
+ */
+function getFeedStatus() {
+  return getNewsFeeds().map((feed) => ({
+    feed,
+    title: null,
+    lastFetchedAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    items: 0,
+    ...feedStatus.get(feed),
+  }));
+}
+
+module.exports = {
+  ingestFeeds,
+  startNewsFeedIngestion,
+  getFeedStatus,
+};
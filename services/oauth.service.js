@@ -0,0 +1,455 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const OAuthState = require('../models/OAuthState');
+const OAuthLoginCode = require('../models/OAuthLoginCode');
+const userStore = require('./user.store');
+const { getOAuthProviders } = require('../config/oauth');
+const { generateRandomToken, hashToken } = require('../utils/crypto.utils');
+const { buildBackendUrl } = require('../utils/url.utils');
+
+/**
+ * OAuth / OpenID Connect Service
+ * Authorization-code flow with PKCE (S256), state and nonce
+ *
+ * 1. createAuthorizationUrl() - stores state/verifier/nonce, returns the IdP URL
+ * 2. handleCallback()          - validates state, exchanges the code, verifies the
+ *                                ID token, then finds/links/creates the user
+ * 3. createLoginCode() / consumeLoginCode() - one-time code the frontend trades for tokens
+ */
+
+const STATE_EXPIRES_MINUTES = 10;
+const LOGIN_CODE_EXPIRES_SECONDS = 60;
+const HTTP_TIMEOUT = 10000;
+
+// Discovery documents and JWKS are cached per process
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * OAuth flow error with a machine-readable code (sent to the frontend)
+ */
+class OAuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider config or null if not enabled
+ */
+function getProvider(name) {
+  const providers = getOAuthProviders();
+  // Own keys only - "constructor" and friends aren't providers
+  return Object.hasOwn(providers, name) ? providers[name] : null;
+}
+
+/**
+ * List enabled providers (public info only)
+ * @returns {Array<Object>} [{ name, displayName, loginUrl }]
+ */
+function listProviders() {
+  return Object.values(getOAuthProviders()).map((provider) => ({
+    name: provider.name,
+    displayName: provider.displayName,
+    loginUrl: `/api/auth/oauth/${provider.name}`,
+  }));
+}
+
+/**
+ * Get redirect URI registered with the provider
+ * @param {Object} provider - Provider config
+ * @returns {string} Callback URL
+ */
+function getRedirectUri(provider) {
+  return buildBackendUrl(`/api/auth/oauth/${provider.name}/callback`);
+}
+
+/**
+ * Resolve provider endpoints (explicit config or OIDC discovery)
+ * @param {Object} provider - Provider config
+ * @returns {Promise<Object>} { authorizationEndpoint, tokenEndpoint, userinfoEndpoint, jwksUri, issuer }
+ */
+async function getEndpoints(provider) {
+  const hasExplicitEndpoints =
+    provider.authorizationEndpoint && provider.tokenEndpoint && provider.jwksUri;
+  if (provider.type !== 'oidc' || hasExplicitEndpoints) {
+    return provider;
+  }
+
+  if (!discoveryCache.has(provider.issuer)) {
+    const discoveryUrl = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const response = await axios.get(discoveryUrl, { timeout: HTTP_TIMEOUT });
+    discoveryCache.set(provider.issuer, response.data);
+  }
+
+  const discovery = discoveryCache.get(provider.issuer);
+  return {
+    ...provider,
+    issuer: discovery.issuer || provider.issuer,
+    authorizationEndpoint: provider.authorizationEndpoint || discovery.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || discovery.token_endpoint,
+    userinfoEndpoint: provider.userinfoEndpoint || discovery.userinfo_endpoint,
+    jwksUri: provider.jwksUri || discovery.jwks_uri,
+  };
+}
+
+/**
+ * Start the authorization-code flow
+ * @param {string} providerName - Provider name
+ * @param {Object} options - { linkUserId: link the identity to this user instead of logging in }
+ * @returns {Promise<string>} Authorization URL to redirect the browser to
+ */
+async function createAuthorizationUrl(providerName, { linkUserId = null } = {}) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw new OAuthError('unknown_provider', `OAuth provider "${providerName}" is not configured`);
+  }
+
+  const endpoints = await getEndpoints(provider);
+  const state = generateRandomToken();
+  const nonce = generateRandomToken();
+  const codeVerifier = generateRandomToken(48);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    linkUserId,
+    expiresAt: new Date(Date.now() + STATE_EXPIRES_MINUTES * 60 * 1000),
+  });
+
+  const url = new URL(endpoints.authorizationEndpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', getRedirectUri(provider));
+  url.searchParams.set('scope', provider.scopes.join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (provider.type === 'oidc') {
+    url.searchParams.set('nonce', nonce);
+  }
+
+  return url.toString();
+}
+
+/**
+ * Get the public key for an ID token from the provider's JWKS
+ * @param {string} jwksUri - JWKS URL
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<KeyObject>} Public key
+ */
+async function getSigningKey(jwksUri, kid) {
+  const findKey = (jwks) => jwks.keys.find((key) => !kid || key.kid === kid);
+
+  let jwks = jwksCache.get(jwksUri);
+  if (!jwks || !findKey(jwks)) {
+    // Unknown kid: the provider may have rotated its keys
+    const response = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT });
+    jwks = response.data;
+    jwksCache.set(jwksUri, jwks);
+  }
+
+  const jwk = findKey(jwks);
+  if (!jwk) {
+    throw new OAuthError('invalid_id_token', 'ID token signing key not found');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify an OIDC ID token (signature, issuer, audience, expiry, nonce)
+ * @param {string} idToken - ID token from the token endpoint
+ * @param {Object} endpoints - Resolved provider endpoints
+ * @param {string} nonce - Nonce stored when the flow started
+ * @returns {Promise<Object>} ID token claims
+ */
+async function verifyIdToken(idToken, endpoints, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OAuthError('invalid_id_token', 'ID token is malformed');
+  }
+
+  const publicKey = await getSigningKey(endpoints.jwksUri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384'],
+      audience: endpoints.clientId,
+      issuer: endpoints.issuer,
+    });
+  } catch (error) {
+    throw new OAuthError('invalid_id_token', `ID token verification failed: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OAuthError('invalid_id_token', 'ID token nonce mismatch');
+  }
+
+  return claims;
+}
+
+/**
+ * Build a normalized profile from OIDC claims
+ * @param {string} providerName - Provider name
+ * @param {Object} claims - ID token / userinfo claims
+ * @returns {Object} Normalized profile
+ */
+function normalizeOidcProfile(providerName, claims) {
+  const [firstFromName, ...restOfName] = (claims.name || '').split(' ');
+  return {
+    provider: providerName,
+    subject: String(claims.sub),
+    email: claims.email || null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || firstFromName || null,
+    lastName: claims.family_name || restOfName.join(' ') || null,
+    picture: claims.picture || null,
+  };
+}
+
+/**
+ * Fetch a GitHub profile (GitHub is OAuth2 only, no ID token)
+ * @param {Object} provider - GitHub provider config
+ * @param {string} accessToken - OAuth access token
+ * @returns {Promise<Object>} Normalized profile
+ */
+async function fetchGithubProfile(provider, accessToken) {
+  const headers = { Authorization: `Bearer ${accessToken}`, Accept: 'application/vnd.github+json' };
+
+  const [userResponse, emailsResponse] = await Promise.all([
+    axios.get(provider.userinfoEndpoint, { headers, timeout: HTTP_TIMEOUT }),
+    axios.get(provider.emailsEndpoint, { headers, timeout: HTTP_TIMEOUT }),
+  ]);
+
+  const primaryEmail =
+    emailsResponse.data.find((entry) => entry.primary && entry.verified) ||
+    emailsResponse.data.find((entry) => entry.verified);
+
+  const [firstName, ...rest] = (userResponse.data.name || userResponse.data.login || '').split(' ');
+
+  return {
+    provider: provider.name,
+    subject: String(userResponse.data.id),
+    email: primaryEmail ? primaryEmail.email : null,
+    emailVerified: !!primaryEmail,
+    firstName: firstName || null,
+    lastName: rest.join(' ') || null,
+    picture: userResponse.data.avatar_url || null,
+  };
+}
+
+/**
+ * Exchange the authorization code for provider tokens
+ * @param {Object} endpoints - Resolved provider endpoints
+ * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE verifier
+ * @returns {Promise<Object>} Token response
+ */
+async function exchangeCode(endpoints, code, codeVerifier) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(endpoints),
+    client_id: endpoints.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (endpoints.clientSecret) {
+    body.set('client_secret', endpoints.clientSecret);
+  }
+
+  try {
+    const response = await axios.post(endpoints.tokenEndpoint, body.toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      timeout: HTTP_TIMEOUT,
+    });
+
+    if (!response.data || response.data.error || !response.data.access_token) {
+      throw new Error(response.data?.error_description || response.data?.error || 'No access token');
+    }
+    return response.data;
+  } catch (error) {
+    throw new OAuthError('token_exchange_failed', `Token exchange failed: ${error.message}`);
+  }
+}
+
+/**
+ * Find, link or create the local user for an external profile
+ * - Known identity -> that user
+ * - Verified email matching an existing user whose email is verified -> link identity to it
+ * - Otherwise -> new user without a local password
+ * Anything else with a matching email is refused: the user has to log in with
+ * their password and link the provider explicitly (see linkIdentityToUser)
+ * @param {Object} profile - Normalized profile
+ * @returns {Promise<Object>} { user, created: boolean, linked: boolean }
+ */
+async function resolveUser(profile) {
+  const existing = await userStore.findByIdentity(profile.provider, profile.subject);
+  if (existing) {
+    return { user: existing, created: false, linked: false };
+  }
+
+  if (!profile.email) {
+    throw new OAuthError('email_required', 'The provider did not return an email address');
+  }
+
+  const userWithEmail = await userStore.findByEmail(profile.email);
+  if (userWithEmail) {
+    // Only link by email when both sides vouch for it. An unverified provider email
+    // lets anyone register the victim's email at the IdP; an unverified local email
+    // may be an account pre-registered by an attacker who knows its password
+    if (!profile.emailVerified || !userWithEmail.emailVerified) {
+      throw new OAuthError(
+        'link_required',
+        'An account with this email already exists. Log in with your password and link this provider from your account.'
+      );
+    }
+
+    const linkedUser = await userStore.linkIdentity(userWithEmail._id, profile);
+    return { user: linkedUser || userWithEmail, created: false, linked: true };
+  }
+
+  const user = await userStore.createFromIdentity(profile);
+  return { user, created: true, linked: false };
+}
+
+/**
+ * Link an external identity to a logged-in user (explicit linking)
+ * @param {string} userId - User who started the link flow
+ * @param {Object} profile - Normalized profile
+ * @returns {Promise<Object>} { user, created: false, linked: boolean }
+ */
+async function linkIdentityToUser(userId, profile) {
+  const user = await userStore.findById(userId);
+  if (!user) {
+    throw new OAuthError('invalid_state', 'The account to link no longer exists');
+  }
+
+  const existing = await userStore.findByIdentity(profile.provider, profile.subject);
+  if (existing) {
+    if (String(existing._id) !== String(user._id)) {
+      throw new OAuthError('identity_in_use', 'This provider account is already linked to another user');
+    }
+    return { user, created: false, linked: false };
+  }
+
+  if ((user.identities || []).some((identity) => identity.provider === profile.provider)) {
+    throw new OAuthError('provider_already_linked', `Another ${profile.provider} account is already linked`);
+  }
+
+  const linkedUser = await userStore.linkIdentity(user._id, profile);
+  return { user: linkedUser || user, created: false, linked: true };
+}
+
+/**
+ * Complete the flow on the callback request
+ * @param {string} providerName - Provider name from the URL
+ * @param {Object} query - Callback query ({ code, state, error })
+ * @returns {Promise<Object>} { user, created, linked }
+ */
+async function handleCallback(providerName, { code, state, error }) {
+  if (error) {
+    throw new OAuthError('access_denied', `Provider returned an error: ${error}`);
+  }
+  if (!code || !state) {
+    throw new OAuthError('invalid_request', 'Missing code or state');
+  }
+
+  // Consume the stored state (single use)
+  const storedState = await OAuthState.findOneAndDelete({
+    stateHash: hashToken(state),
+    provider: providerName,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!storedState) {
+    throw new OAuthError('invalid_state', 'Login session expired or state is invalid');
+  }
+
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw new OAuthError('unknown_provider', `OAuth provider "${providerName}" is not configured`);
+  }
+
+  const endpoints = await getEndpoints(provider);
+  const tokenResponse = await exchangeCode(endpoints, code, storedState.codeVerifier);
+
+  let profile;
+  if (provider.type === 'github') {
+    profile = await fetchGithubProfile(provider, tokenResponse.access_token);
+  } else {
+    if (!tokenResponse.id_token) {
+      throw new OAuthError('invalid_id_token', 'Provider did not return an ID token');
+    }
+    const claims = await verifyIdToken(tokenResponse.id_token, endpoints, storedState.nonce);
+    profile = normalizeOidcProfile(provider.name, claims);
+
+    // Some providers only put email/profile claims in userinfo
+    if (!profile.email && endpoints.userinfoEndpoint) {
+      const userinfo = await axios.get(endpoints.userinfoEndpoint, {
+        headers: { Authorization: `Bearer ${tokenResponse.access_token}` },
+        timeout: HTTP_TIMEOUT,
+      });
+      if (String(userinfo.data.sub) === profile.subject) {
+        profile = normalizeOidcProfile(provider.name, { ...claims, ...userinfo.data });
+      }
+    }
+  }
+
+  return storedState.linkUserId
+    ? linkIdentityToUser(storedState.linkUserId, profile)
+    : resolveUser(profile);
+}
+
+/**
+ * Create a one-time login code for the frontend
+ * @param {Object} user - User document
+ * @param {string} providerName - Provider used
+ * @returns {Promise<string>} Plain login code
+ */
+async function createLoginCode(user, providerName) {
+  const code = generateRandomToken();
+  await OAuthLoginCode.create({
+    codeHash: hashToken(code),
+    userId: user._id,
+    provider: providerName,
+    expiresAt: new Date(Date.now() + LOGIN_CODE_EXPIRES_SECONDS * 1000),
+  });
+  return code;
+}
+
+/**
+ * Consume a one-time login code
+ * @param {string} code - Plain login code
+ * @returns {Promise<Object|null>} User or null if the code is invalid/expired/used
+ */
+async function consumeLoginCode(code) {
+  const loginCode = await OAuthLoginCode.findOneAndDelete({
+    codeHash: hashToken(code),
+    expiresAt: { $gt: new Date() },
+  });
+  if (!loginCode) return null;
+
+  return userStore.findById(loginCode.userId);
+}
+
+module.exports = {
+  OAuthError,
+  listProviders,
+  getProvider,
+  createAuthorizationUrl,
+  handleCallback,
+  createLoginCode,
+  consumeLoginCode,
+};
@@ -0,0 +1,134 @@
+const PasswordResetToken = require('../models/PasswordResetToken');
+const userStore = require('./user.store');
+const tokenService = require('./token.service');
+const mailService = require('./mail.service');
+const { generateRandomToken, hashToken } = require('../utils/crypto.utils');
+const { buildFrontendUrl } = require('../utils/url.utils');
+
+/**
+ * Password Reset Service
+ * Issues single-use, expiring reset tokens and emails them to the user
+ *
+ * Reset requests are rate limited per email and per IP (in memory, per process),
+ * whether or not the account exists.
+ */
+
+const RESET_TOKEN_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+const REQUEST_LIMITS = {
+  email: { maxRequests: 3, windowMs: 15 * 60 * 1000 },
+  ip: { maxRequests: 20, windowMs: 15 * 60 * 1000 },
+};
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+// 'email:<email>' / 'ip:<ip>' -> { count, resetAt }
+const requestCounters = new Map();
+
+/**
+ * Count a reset request against the per-email and per-IP limits
+ * @param {Object} input - { email, ip }
+ * @returns {Object} { allowed: boolean, retryAfter?: number (seconds) }
+ */
+function checkRequestLimit({ email, ip }) {
+  const now = Date.now();
+
+  // Drop expired counters so random emails can't grow the map forever
+  if (requestCounters.size > MEMORY_SWEEP_THRESHOLD) {
+    for (const [key, counter] of requestCounters) {
+      if (counter.resetAt <= now) requestCounters.delete(key);
+    }
+  }
+
+  const keys = [
+    ['email', `email:${String(email).toLowerCase().trim()}`],
+    ['ip', `ip:${ip}`],
+  ];
+
+  const counters = keys.map(([type, key]) => {
+    let counter = requestCounters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + REQUEST_LIMITS[type].windowMs };
+      requestCounters.set(key, counter);
+    }
+    return { counter, limit: REQUEST_LIMITS[type] };
+  });
+
+  const blocked = counters.filter(({ counter, limit }) => counter.count >= limit.maxRequests);
+  if (blocked.length > 0) {
+    const resetAt = Math.max(...blocked.map(({ counter }) => counter.resetAt));
+    return { allowed: false, retryAfter: Math.ceil((resetAt - now) / 1000) };
+  }
+
+  counters.forEach(({ counter }) => counter.count++);
+  return { allowed: true };
+}
+
+/**
+ * Start a password reset for an email address
+ * Does nothing (silently) if no account uses the address,
+ * so callers can't tell which emails are registered
+ * @param {string} email - User email
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  const user = await userStore.findByEmail(email);
+  if (!user) return;
+
+  // Only the most recent link stays valid
+  await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+  const token = generateRandomToken();
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_EXPIRES_MINUTES * 60 * 1000),
+  });
+
+  const resetUrl = buildFrontendUrl('/reset-password', { token });
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Reset your CryptoAdvisor password',
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `We received a request to reset your password. Use the link below to choose a new one:\n\n` +
+      `${resetUrl}\n\n` +
+      `This link expires in ${RESET_TOKEN_EXPIRES_MINUTES} minutes and can only be used once.\n` +
+      `If you didn't request this, you can ignore this email.`,
+  });
+}
+
+/**
+ * Complete a password reset
+ * Consumes the token, sets the new password and revokes every session
+ * @param {string} token - Plain reset token from the email link
+ * @param {string} newPassword - New password
+ * @returns {Promise<boolean>} True if the password was reset
+ */
+async function resetPassword(token, newPassword) {
+  // Atomically mark the token as used so it can't be replayed
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!resetToken) return false;
+
+  const user = await userStore.findById(resetToken.userId);
+  if (!user) return false;
+
+  user.password = newPassword; // Hashed by pre-save hook
+  await user.save();
+
+  await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+  await tokenService.revokeAllSessions(user._id, 'password_reset');
+
+  return true;
+}
+
+module.exports = {
+  checkRequestLimit,
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,348 @@
+const mongoose = require('mongoose');
+const PortfolioTransaction = require('../models/PortfolioTransaction');
+const coinRegistry = require('./coin-registry.service');
+const priceService = require('./price.service');
+const { DEFAULT_QUOTE_CURRENCY } = require('../config/currencies');
+const { buildLedger } = require('../utils/portfolio.utils');
+
+/**
+ * Portfolio Service
+ * Transaction ledger, FIFO holdings and P&L valued with current prices
+ *
+ * A portfolio has one currency: the currency of its first transaction
+ * (or the user's quoteCurrency while it is empty). All transactions and
+ * valuations use it, so cost basis and prices are always comparable.
+ */
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'transfer_in', 'transfer_out'];
+const MAX_TRANSACTIONS_PER_USER = 5000;
+const MAX_LIST_RESULTS = 500;
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Get the portfolio currency
+ * @param {string} userId - Owner
+ * @param {string} fallbackCurrency - Currency while the portfolio is empty
+ * @returns {Promise<string>} Currency code
+ */
+async function getPortfolioCurrency(userId, fallbackCurrency = DEFAULT_QUOTE_CURRENCY) {
+  const first = await PortfolioTransaction.findOne({ userId }).sort({ createdAt: 1 }).select('currency');
+  return first?.currency || fallbackCurrency;
+}
+
+/**
+ * Validate transaction input
+ * Resolves the symbol through the coin registry
+ * @param {Object} input - { symbol, type, quantity, price, fee, executedAt, note }
+ * @returns {Promise<Object>} { errors: string[], values: Object }
+ */
+async function validateTransactionInput(input) {
+  const errors = [];
+  const values = {};
+
+  if (typeof input.symbol !== 'string' || !input.symbol.trim()) {
+    errors.push('symbol is required');
+  } else {
+    const { coins, ambiguous } = await coinRegistry.resolveSymbols([input.symbol]);
+    if (ambiguous.length > 0) {
+      errors.push(`symbol ${ambiguous[0].symbol} is ambiguous`);
+    } else if (coins.length === 0) {
+      errors.push(`Unknown symbol: ${input.symbol.toUpperCase()}`);
+    } else {
+      values.symbol = coins[0].symbol;
+      values.coinId = coins[0].id;
+    }
+  }
+
+  if (!TRANSACTION_TYPES.includes(input.type)) {
+    errors.push(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+  }
+  values.type = input.type;
+
+  values.quantity = Number(input.quantity);
+  if (!Number.isFinite(values.quantity) || values.quantity <= 0) {
+    errors.push('quantity must be a positive number');
+  }
+
+  // Price: required for buy/sell, optional cost basis for transfer_in, ignored for transfer_out
+  if (input.price !== undefined && input.price !== null) {
+    values.price = Number(input.price);
+    if (!Number.isFinite(values.price) || values.price < 0) {
+      errors.push('price must be a number >= 0');
+    }
+  } else if (input.type === 'buy' || input.type === 'sell') {
+    errors.push('price is required for buy and sell');
+  } else {
+    values.price = null;
+  }
+  if (input.type === 'transfer_out') values.price = null;
+
+  values.fee = input.fee === undefined ? 0 : Number(input.fee);
+  if (!Number.isFinite(values.fee) || values.fee < 0) {
+    errors.push('fee must be a number >= 0');
+  }
+
+  values.executedAt = input.executedAt ? new Date(input.executedAt) : new Date();
+  if (Number.isNaN(values.executedAt.getTime())) {
+    errors.push('executedAt must be a valid date');
+  } else if (values.executedAt.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+    errors.push('executedAt cannot be in the future');
+  }
+
+  if (input.note !== undefined) {
+    if (typeof input.note !== 'string' || input.note.length > 200) {
+      errors.push('note must be a string of 200 characters or less');
+    }
+    values.note = input.note;
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Describe a ledger error
+ * @param {Object} error - { transaction, available } from buildLedger
+ * @returns {string} Message
+ */
+function describeLedgerError({ transaction, available }) {
+  return (
+    `${transaction.type} of ${transaction.quantity} ${transaction.symbol} on ` +
+    `${new Date(transaction.executedAt).toISOString()} exceeds the holding at that time (${available})`
+  );
+}
+
+/**
+ * Record a transaction
+ * Rejected when it would make a holding negative at any point of the ledger.
+ * The ledger is checked again after the insert, and the transaction removed if
+ * it no longer replays: two concurrent sells can each pass the first check.
+ * @param {string} userId - Owner
+ * @param {Object} values - Validated values
+ * @param {string} currency - Portfolio currency
+ * @returns {Promise<Object>} { transaction } or { error: string }
+ */
+async function addTransaction(userId, values, currency) {
+  const count = await PortfolioTransaction.countDocuments({ userId });
+  if (count >= MAX_TRANSACTIONS_PER_USER) {
+    return { error: 'Too many transactions' };
+  }
+
+  const ledger = await PortfolioTransaction.find({ userId, coinId: values.coinId }).lean();
+  const { error } = buildLedger([...ledger, { ...values, createdAt: new Date() }]);
+  if (error) {
+    return { error: describeLedgerError(error) };
+  }
+
+  const transaction = await PortfolioTransaction.create({ ...values, userId, currency });
+
+  const updatedLedger = await PortfolioTransaction.find({ userId, coinId: values.coinId }).lean();
+  const recheck = buildLedger(updatedLedger);
+  if (recheck.error) {
+    await PortfolioTransaction.deleteOne({ _id: transaction._id });
+    return { error: describeLedgerError(recheck.error) };
+  }
+
+  return { transaction };
+}
+
+/**
+ * List a user's transactions
+ * @param {string} userId - Owner
+ * @param {Object} options - { symbol, limit }
+ * @returns {Promise<Array>} Transactions, newest first
+ */
+async function listTransactions(userId, { symbol, limit } = {}) {
+  const query = { userId };
+  if (symbol) query.symbol = String(symbol).toUpperCase();
+
+  return PortfolioTransaction.find(query)
+    .sort({ executedAt: -1, createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 100, MAX_LIST_RESULTS));
+}
+
+/**
+ * Delete a transaction
+ * Rejected when later sells or transfers depend on it
+ * @param {string} userId - Owner
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<Object>} { deleted: boolean, error?: string }
+ */
+async function deleteTransaction(userId, transactionId) {
+  if (!mongoose.isValidObjectId(transactionId)) return { deleted: false };
+
+  const transaction = await PortfolioTransaction.findOne({ _id: transactionId, userId });
+  if (!transaction) return { deleted: false };
+
+  const ledger = await PortfolioTransaction.find({
+    userId,
+    coinId: transaction.coinId,
+    _id: { $ne: transaction._id },
+  }).lean();
+  const { error } = buildLedger(ledger);
+  if (error) {
+    return { deleted: false, error: `Can't delete: ${describeLedgerError(error)}` };
+  }
+
+  await PortfolioTransaction.deleteOne({ _id: transaction._id });
+  return { deleted: true };
+}
+
+/**
+ * Round a money amount for responses
+ * @param {number|null} value - Amount
+ * @returns {number|null} Rounded amount
+ */
+function roundAmount(value) {
+  return value === null ? null : Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * Get a user's portfolio: holdings, cost basis and P&L valued with current prices
+ * @param {string} userId - Owner
+ * @param {string} fallbackCurrency - Currency while the portfolio is empty
+ * @returns {Promise<Object>} { currency, holdings, closedPositions, totals, provider, pricesUpdatedAt, error? },
+ *   or { currency, ledgerError: { message, transactionId } } when the stored ledger doesn't replay
+ */
+async function getPortfolio(userId, fallbackCurrency) {
+  const transactions = await PortfolioTransaction.find({ userId }).lean();
+  const currency = transactions.length > 0
+    ? transactions.reduce((first, tx) => (tx.createdAt < first.createdAt ? tx : first)).currency
+    : fallbackCurrency || DEFAULT_QUOTE_CURRENCY;
+
+  // Every change is checked, but a broken ledger must not look like an empty portfolio
+  const ledger = buildLedger(transactions);
+  if (ledger.error) {
+    return {
+      currency,
+      ledgerError: {
+        message: describeLedgerError(ledger.error),
+        transactionId: String(ledger.error.transaction._id),
+      },
+    };
+  }
+
+  const { positions } = ledger;
+  const open = Object.values(positions).filter((position) => position.quantity > 0);
+  const closed = Object.values(positions).filter((position) => position.quantity === 0);
+
+  let prices = { coins: [] };
+  if (open.length > 0) {
+    prices = await priceService.getCoinPrices(
+      open.map((position) => position.symbol),
+      { quoteCurrency: currency }
+    );
+  }
+  const pricesById = Object.fromEntries(prices.coins.map((coin) => [coin.id, coin]));
+
+  const holdings = open.map((position) => {
+    const price = pricesById[position.coinId]?.price ?? null;
+    const value = price === null ? null : price * position.quantity;
+    const unrealizedPnl = value === null ? null : value - position.costBasis;
+
+    return {
+      symbol: position.symbol,
+      coinId: position.coinId,
+      quantity: position.quantity,
+      averageCost: roundAmount(position.costBasis / position.quantity),
+      costBasis: roundAmount(position.costBasis),
+      price,
+      value: roundAmount(value),
+      unrealizedPnl: roundAmount(unrealizedPnl),
+      unrealizedPnlPercent:
+        unrealizedPnl === null || position.costBasis === 0
+          ? null
+          : roundAmount((unrealizedPnl / position.costBasis) * 100),
+      realizedPnl: roundAmount(position.realizedPnl),
+    };
+  });
+
+  const priced = holdings.filter((holding) => holding.value !== null);
+  const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+  const realizedPnl = Object.values(positions).reduce((total, position) => total + position.realizedPnl, 0);
+  const unrealizedPnl = sum(priced, 'unrealizedPnl');
+
+  return {
+    currency,
+    holdings: holdings.sort((a, b) => (b.value ?? -1) - (a.value ?? -1)),
+    closedPositions: closed.map((position) => ({
+      symbol: position.symbol,
+      coinId: position.coinId,
+      realizedPnl: roundAmount(position.realizedPnl),
+    })),
+    totals: {
+      value: roundAmount(sum(priced, 'value')),
+      costBasis: roundAmount(sum(holdings, 'costBasis')),
+      unrealizedPnl: roundAmount(unrealizedPnl),
+      realizedPnl: roundAmount(realizedPnl),
+      totalPnl: roundAmount(unrealizedPnl + realizedPnl),
+      pricedHoldings: priced.length,
+      holdings: holdings.length,
+    },
+    provider: prices.provider || null,
+    pricesUpdatedAt: prices.fetchedAt || null,
+    ...(prices.error && { error: prices.error }),
+  };
+}
+
+/**
+ * Get the compact portfolio summary for the dashboard
+ * @param {string} userId - Owner
+ * @param {string} fallbackCurrency - Currency while the portfolio is empty
+ * @returns {Promise<Object|null>} Summary, or null if the user has no transactions
+ */
+async function getPortfolioSummary(userId, fallbackCurrency) {
+  const hasTransactions = await PortfolioTransaction.exists({ userId });
+  if (!hasTransactions) return null;
+
+  const portfolio = await getPortfolio(userId, fallbackCurrency);
+  if (portfolio.ledgerError) {
+    return { currency: portfolio.currency, error: portfolio.ledgerError.message };
+  }
+
+  return {
+    currency: portfolio.currency,
+    totals: portfolio.totals,
+    topHoldings: portfolio.holdings.slice(0, 5).map((holding) => ({
+      symbol: holding.symbol,
+      quantity: holding.quantity,
+      value: holding.value,
+      unrealizedPnl: holding.unrealizedPnl,
+      unrealizedPnlPercent: holding.unrealizedPnlPercent,
+    })),
+    provider: portfolio.provider,
+    pricesUpdatedAt: portfolio.pricesUpdatedAt,
+    ...(portfolio.error && { error: portfolio.error }),
+  };
+}
+
+/**
+ * Format a transaction for API responses
+ * @param {Object} transaction - Transaction document
+ * @returns {Object} Public transaction info
+ */
+function formatTransaction(transaction) {
+  return {
+    id: transaction._id,
+    symbol: transaction.symbol,
+    type: transaction.type,
+    quantity: transaction.quantity,
+    price: transaction.price,
+    fee: transaction.fee,
+    currency: transaction.currency,
+    executedAt: transaction.executedAt,
+    note: transaction.note,
+    createdAt: transaction.createdAt,
+  };
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  getPortfolioCurrency,
+  validateTransactionInput,
+  addTransaction,
+  listTransactions,
+  deleteTransaction,
+  getPortfolio,
+  getPortfolioSummary,
+  formatTransaction,
+};
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const priceService = require('./price.service');
+const tokenService = require('./token.service');
+const { generateStreamTicket, verifyStreamTicket } = require('../utils/jwt.utils');
+
+/**
+ * Price Stream Service
+ * Pushes live prices to Server-Sent Events clients
+ *
+ * One shared poller serves every stream: each tick fetches the union of all
+ * subscribed coins once per quote currency and fans the prices out, so the
+ * upstream load doesn't grow with the number of clients. Clients only get
+ * the coins whose price changed since their last update.
+ *
+ * - Auth: streams are opened with a single-use ticket (30 seconds) instead of
+ *   the access token, and live as long as the login session. The heartbeat ends
+ *   streams whose session was revoked or expired
+ * - Heartbeat: a comment line every 25 seconds keeps proxies from closing the
+ *   connection
+ * - Backpressure: while a client's socket buffer is full, updates are not
+ *   written; only the latest snapshot is kept and sent on 'drain'. Clients
+ *   that stay blocked too long are disconnected
+ */
+
+const POLL_INTERVAL_SECONDS = parseInt(process.env.PRICE_STREAM_INTERVAL_SECONDS) || 15;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const SLOW_CLIENT_TIMEOUT_MS = 60 * 1000;
+const MAX_STREAMS_PER_USER = 5;
+const MAX_SYMBOLS_PER_STREAM = 50;
+const RECONNECT_DELAY_MS = 5000;
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+// Stream ID -> client { id, userId, sessionId, res, currency, coins: Map(coinId -> symbol), lastSent: Map(coinId -> price), blocked, blockedSince, pending }
+const clients = new Map();
+
+// Redeemed ticket ID -> expiry (ms), so each ticket opens one stream
+const redeemedTickets = new Map();
+
+let pollTimer = null;
+let heartbeatTimer = null;
+let pollInProgress = false;
+let immediatePoll = null;
+
+/**
+ * Write an SSE event to a client, respecting backpressure
+ * @param {Object} client - Stream client
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function send(client, event, data) {
+  if (client.blocked) {
+    // Keep only the latest of each event; price updates only carry changed
+    // coins, so they are merged instead
+    const pending = client.pending.get(event);
+    if (event === 'prices' && pending) {
+      const coins = new Map(pending.coins.map((coin) => [coin.id, coin]));
+      data.coins.forEach((coin) => coins.set(coin.id, coin));
+      data = { ...data, coins: [...coins.values()] };
+    }
+    client.pending.set(event, data);
+    return;
+  }
+
+  const ok = client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (!ok) {
+    client.blocked = true;
+    client.blockedSince = Date.now();
+    client.res.once('drain', () => {
+      client.blocked = false;
+      client.blockedSince = null;
+      const pending = [...client.pending];
+      client.pending.clear();
+      pending.forEach(([pendingEvent, pendingData]) => send(client, pendingEvent, pendingData));
+    });
+  }
+}
+
+/**
+ * Close a stream, optionally telling the client why
+ * @param {Object} client - Stream client
+ * @param {string} reason - Message sent in a final 'error' event
+ */
+function closeStream(client, reason) {
+  if (reason && !client.blocked) {
+    client.res.write(`event: error\ndata: ${JSON.stringify({ message: reason })}\n\n`);
+  }
+  client.res.end();
+  removeClient(client.id);
+}
+
+/**
+ * Forget a client and stop the timers once nobody is listening
+ * @param {string} streamId - Stream ID
+ */
+function removeClient(streamId) {
+  clients.delete(streamId);
+
+  if (clients.size === 0) {
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    clearTimeout(immediatePoll);
+    pollTimer = null;
+    heartbeatTimer = null;
+    immediatePoll = null;
+  }
+}
+
+/**
+ * Describe a client's subscription
+ * @param {Object} client - Stream client
+ * @returns {Object} { streamId, symbols, currency }
+ */
+function describeStream(client) {
+  return {
+    streamId: client.id,
+    symbols: [...client.coins.values()],
+    currency: client.currency,
+  };
+}
+
+/**
+ * Fetch prices for every subscribed coin and push the changes
+ * One price request per quote currency, shared by all clients using it
+ * @returns {Promise<void>}
+ */
+async function poll() {
+  if (pollInProgress || clients.size === 0) return;
+  pollInProgress = true;
+
+  try {
+    // Currency -> symbols subscribed by any client
+    const symbolsByCurrency = new Map();
+    for (const client of clients.values()) {
+      if (!symbolsByCurrency.has(client.currency)) symbolsByCurrency.set(client.currency, new Set());
+      client.coins.forEach((symbol) => symbolsByCurrency.get(client.currency).add(symbol));
+    }
+
+    for (const [currency, symbols] of symbolsByCurrency) {
+      if (symbols.size === 0) continue;
+
+      const prices = await priceService.getCoinPrices([...symbols], { quoteCurrency: currency });
+      if (prices.error) {
+        console.error(`Price stream fetch failed (${currency}):`, prices.error);
+        continue;
+      }
+
+      for (const client of clients.values()) {
+        if (client.currency !== currency) continue;
+
+        const changed = prices.coins.filter(
+          (coin) => client.coins.has(coin.id) && client.lastSent.get(coin.id) !== coin.price
+        );
+        if (changed.length === 0) continue;
+
+        changed.forEach((coin) => client.lastSent.set(coin.id, coin.price));
+        send(client, 'prices', {
+          coins: changed,
+          currency,
+          provider: prices.provider,
+          updatedAt: prices.fetchedAt,
+          stale: prices.stale,
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Price stream poll failed:', error.message);
+  } finally {
+    pollInProgress = false;
+  }
+}
+
+/**
+ * Poll soon, so a new subscription gets prices without waiting a full interval
+ * Several subscriptions in a row share one poll
+ */
+function schedulePoll() {
+  if (immediatePoll) return;
+  immediatePoll = setTimeout(() => {
+    immediatePoll = null;
+    poll();
+  }, 250);
+  immediatePoll.unref();
+}
+
+/**
+ * Send heartbeats; end streams whose auth is gone or that stay blocked
+ * @returns {Promise<void>}
+ */
+async function heartbeat() {
+  const now = Date.now();
+
+  for (const client of [...clients.values()]) {
+    if (client.blocked) {
+      if (now - client.blockedSince > SLOW_CLIENT_TIMEOUT_MS) {
+        closeStream(client);
+      }
+      continue;
+    }
+
+    if (!(await tokenService.isSessionActive(client.sessionId))) {
+      closeStream(client, 'Session has ended');
+      continue;
+    }
+
+    client.res.write(': heartbeat\n\n');
+  }
+}
+
+/**
+ * Start the shared timers if they aren't running
+ */
+function startTimers() {
+  if (!pollTimer) {
+    pollTimer = setInterval(poll, POLL_INTERVAL_SECONDS * 1000);
+    pollTimer.unref();
+  }
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+  }
+}
+
+/**
+ * Issue a single-use ticket for opening a stream
+ * @param {Object} user - { userId, sessionId }
+ * @returns {Object} { ticket, expiresIn (seconds) }
+ */
+function issueTicket({ userId, sessionId }) {
+  const ticket = generateStreamTicket({ userId, sessionId, ticketId: crypto.randomUUID() });
+  const { exp, iat } = verifyStreamTicket(ticket);
+  return { ticket, expiresIn: exp - iat };
+}
+
+/**
+ * Redeem a stream ticket (each ticket works once)
+ * @param {string} ticket - Ticket from issueTicket
+ * @returns {Object|null} { userId, sessionId }, or null if the ticket is invalid, expired or used
+ */
+function redeemTicket(ticket) {
+  let payload;
+  try {
+    payload = verifyStreamTicket(ticket);
+  } catch (error) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (redeemedTickets.size > MEMORY_SWEEP_THRESHOLD) {
+    for (const [ticketId, expiresAt] of redeemedTickets) {
+      if (expiresAt <= now) redeemedTickets.delete(ticketId);
+    }
+  }
+
+  if (!payload.jti || redeemedTickets.has(payload.jti)) return null;
+  redeemedTickets.set(payload.jti, payload.exp * 1000);
+
+  return { userId: payload.userId, sessionId: payload.sessionId };
+}
+
+/**
+ * Open a stream on an HTTP response
+ * @param {Object} req - Express request (closing it ends the stream)
+ * @param {Object} res - Express response
+ * @param {Object} options - { userId, sessionId, coins: [{ id, symbol }], currency }
+ * @returns {Object} { client } or { error } when the user has too many streams
+ */
+function openStream(req, res, { userId, sessionId, coins, currency }) {
+  const userStreams = [...clients.values()].filter((client) => client.userId === userId);
+  if (userStreams.length >= MAX_STREAMS_PER_USER) {
+    return { error: `At most ${MAX_STREAMS_PER_USER} open streams per user` };
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const client = {
+    id: crypto.randomUUID(),
+    userId,
+    sessionId,
+    res,
+    currency,
+    coins: new Map(coins.map((coin) => [coin.id, coin.symbol])),
+    lastSent: new Map(),
+    blocked: false,
+    blockedSince: null,
+    pending: new Map(),
+  };
+  clients.set(client.id, client);
+
+  req.on('close', () => removeClient(client.id));
+
+  send(client, 'ready', { ...describeStream(client), intervalSeconds: POLL_INTERVAL_SECONDS });
+  startTimers();
+  schedulePoll();
+
+  return { client };
+}
+
+/**
+ * Get one of a user's open streams
+ * @param {string} streamId - Stream ID
+ * @param {string} userId - Owner
+ * @returns {Object|null} Stream client or null
+ */
+function getStream(streamId, userId) {
+  const client = clients.get(streamId);
+  return client && client.userId === userId ? client : null;
+}
+
+/**
+ * Add coins to a stream
+ * @param {Object} client - Stream client
+ * @param {Array<Object>} coins - Registry coins ({ id, symbol })
+ * @returns {Object} { stream } or { error } when the stream would get too many coins
+ */
+function subscribe(client, coins) {
+  const added = coins.filter((coin) => !client.coins.has(coin.id));
+  if (client.coins.size + added.length > MAX_SYMBOLS_PER_STREAM) {
+    return { error: `A stream can follow at most ${MAX_SYMBOLS_PER_STREAM} coins` };
+  }
+
+  added.forEach((coin) => client.coins.set(coin.id, coin.symbol));
+  send(client, 'subscriptions', describeStream(client));
+  if (added.length > 0) schedulePoll();
+
+  return { stream: describeStream(client) };
+}
+
+/**
+ * Remove coins from a stream
+ * @param {Object} client - Stream client
+ * @param {string[]} symbols - Symbols to drop (case-insensitive)
+ * @returns {Object} { stream }
+ */
+function unsubscribe(client, symbols) {
+  const dropped = new Set(symbols.map((symbol) => String(symbol).toUpperCase().trim()));
+
+  for (const [coinId, symbol] of client.coins) {
+    if (dropped.has(symbol)) {
+      client.coins.delete(coinId);
+      client.lastSent.delete(coinId);
+    }
+  }
+
+  send(client, 'subscriptions', describeStream(client));
+  return { stream: describeStream(client) };
+}
+
+/**
+ * Get stream counts (for monitoring)
+ * @returns {Object} { streams, users, coins }
+ */
+function getStreamStats() {
+  const coinIds = new Set();
+  const userIds = new Set();
+  for (const client of clients.values()) {
+    userIds.add(client.userId);
+    client.coins.forEach((symbol, coinId) => coinIds.add(coinId));
+  }
+
+  return { streams: clients.size, users: userIds.size, coins: coinIds.size };
+}
+
+module.exports = {
+  MAX_SYMBOLS_PER_STREAM,
+  issueTicket,
+  redeemTicket,
+  openStream,
+  getStream,
+  subscribe,
+  unsubscribe,
+  getStreamStats,
+};
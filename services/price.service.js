@@ -0,0 +1,400 @@
+const cacheService = require('./cache.service');
+const coinRegistry = require('./coin-registry.service');
+const coingeckoProvider = require('./coingecko.service');
+const binanceProvider = require('./binance.service');
+const fixtureProvider = require('./fixture-price.service');
+const { DEFAULT_QUOTE_CURRENCY } = require('../config/currencies');
+const { downsample, buildCandles } = require('../utils/chart.utils');
+
+/**
+ * Price Service
+ * Facade over the market data providers: prices and price history with
+ * caching and health-based failover
+ *
+ * A provider is an object with:
+ * - name
+ * - supportsCurrency(currency) -> boolean
+ * - async fetchPrices(coins, currency) -> [{ id, symbol, price, change24h, change7d, currency }]
+ * - async fetchHistory(coin, currency, days) -> [[timestamp (ms), price], ...]
+ * - async fetchTrending() -> [{ id, symbol, name, marketCapRank, trendingRank, thumb, priceUsd, change24h }] (optional)
+ * Providers throw when they fail and return an empty result when they have no data.
+ *
+ * Providers are tried in PRICE_PROVIDERS order (default: coingecko,binance).
+ * A failing provider is skipped for a growing cooldown (30s, 60s... max 5 min,
+ * or the upstream Retry-After) and only retried after the healthy ones.
+ */
+
+const PROVIDERS = {
+  [coingeckoProvider.name]: coingeckoProvider,
+  [binanceProvider.name]: binanceProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+
+const BASE_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+
+// History ranges: candles can't be finer than the providers' sample
+// granularity (5 minutes for 1 day, hourly up to 30 days, daily beyond).
+// No prototype, so lookups with user input ("constructor") find nothing
+const HISTORY_RANGES = Object.assign(Object.create(null), {
+  '1d': { days: 1, intervals: ['15m', '30m', '1h', '4h'], defaultInterval: '15m', ttlMs: 5 * 60 * 1000 },
+  '7d': { days: 7, intervals: ['1h', '4h', '12h', '1d'], defaultInterval: '1h', ttlMs: 15 * 60 * 1000 },
+  '30d': { days: 30, intervals: ['4h', '12h', '1d'], defaultInterval: '4h', ttlMs: 60 * 60 * 1000 },
+  '1y': { days: 365, intervals: ['1d', '1w'], defaultInterval: '1d', ttlMs: 6 * 60 * 60 * 1000 },
+});
+
+const MAX_SERIES_POINTS = 200;
+const PRICE_CHANGE_TOLERANCE_MS = 5 * 60 * 1000; // 1d history sample spacing
+
+/**
+ * Market data error
+ * Codes: UNSUPPORTED_CURRENCY, NO_DATA, RATE_LIMITED, UNAVAILABLE
+ */
+class MarketDataError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MarketDataError';
+    this.code = code;
+  }
+}
+
+// Shared price cache: fresh for PRICE_CACHE_TTL_SECONDS, then served stale
+// (while refreshing in the background) for PRICE_CACHE_STALE_SECONDS more
+const priceCache = cacheService.createCache({
+  namespace: 'prices',
+  ttlMs: (parseInt(process.env.PRICE_CACHE_TTL_SECONDS) || 60) * 1000,
+  staleMs: (parseInt(process.env.PRICE_CACHE_STALE_SECONDS) || 600) * 1000,
+});
+
+// One history cache per range, so short ranges refresh more often
+const historyCaches = new Map(
+  Object.entries(HISTORY_RANGES).map(([range, { ttlMs }]) => [
+    range,
+    cacheService.createCache({ namespace: `history:${range}`, ttlMs, staleMs: ttlMs }),
+  ])
+);
+
+// Trending coins change slowly and the endpoint is heavily rate-limited
+const trendingCache = cacheService.createCache({
+  namespace: 'trending',
+  ttlMs: (parseInt(process.env.TRENDING_CACHE_TTL_SECONDS) || 600) * 1000,
+  staleMs: 60 * 60 * 1000,
+});
+
+// Provider name -> { failures, unhealthyUntil, lastError, lastFailureAt, lastSuccessAt }
+const health = new Map();
+
+/**
+ * Get the configured provider chain
+ * @returns {Array<Object>} Providers in priority order
+ */
+function getProviderChain() {
+  return (process.env.PRICE_PROVIDERS || 'coingecko,binance')
+    .split(',')
+    .map((name) => PROVIDERS[name.trim()])
+    .filter(Boolean);
+}
+
+/**
+ * Get a provider's health record
+ * @param {string} name - Provider name
+ * @returns {Object} Health record
+ */
+function getHealth(name) {
+  if (!health.has(name)) {
+    health.set(name, {
+      failures: 0,
+      unhealthyUntil: null,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+    });
+  }
+  return health.get(name);
+}
+
+/**
+ * Record a successful provider call
+ * @param {string} name - Provider name
+ */
+function recordSuccess(name) {
+  const record = getHealth(name);
+  record.failures = 0;
+  record.unhealthyUntil = null;
+  record.lastSuccessAt = new Date();
+}
+
+/**
+ * Record a failed provider call and start its cooldown
+ * @param {string} name - Provider name
+ * @param {Error} error - Upstream error
+ */
+function recordFailure(name, error) {
+  const record = getHealth(name);
+  record.failures += 1;
+  record.lastFailureAt = new Date();
+  record.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+
+  let cooldownMs = Math.min(BASE_COOLDOWN_MS * 2 ** (record.failures - 1), MAX_COOLDOWN_MS);
+  const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+  if (error.response?.status === 429 && retryAfter > 0) {
+    cooldownMs = Math.min(retryAfter * 1000, MAX_COOLDOWN_MS);
+  }
+  record.unhealthyUntil = new Date(Date.now() + cooldownMs);
+}
+
+/**
+ * Check whether a provider is in its cooldown
+ * @param {string} name - Provider name
+ * @returns {boolean} True if healthy
+ */
+function isHealthy(name) {
+  const { unhealthyUntil } = getHealth(name);
+  return !unhealthyUntil || unhealthyUntil <= new Date();
+}
+
+/**
+ * Call providers in order until one returns data
+ * Healthy providers are tried first; providers in cooldown only as a last resort
+ * @param {string} currency - Quote currency code
+ * @param {Function} call - async (provider) => result (array)
+ * @param {string} method - Provider method the call needs (skips providers without it)
+ * @returns {Promise<Object>} { value, provider }
+ */
+async function callWithFailover(currency, call, method = 'fetchPrices') {
+  const candidates = getProviderChain().filter(
+    (provider) => typeof provider[method] === 'function' && provider.supportsCurrency(currency)
+  );
+  if (candidates.length === 0) {
+    throw new MarketDataError('UNSUPPORTED_CURRENCY', `No price provider supports ${currency}`);
+  }
+
+  const ordered = [
+    ...candidates.filter((provider) => isHealthy(provider.name)),
+    ...candidates.filter((provider) => !isHealthy(provider.name)),
+  ];
+
+  let lastError = null;
+  for (const provider of ordered) {
+    try {
+      const value = await call(provider);
+      recordSuccess(provider.name);
+      if (value.length > 0) {
+        return { value, provider: provider.name };
+      }
+    } catch (error) {
+      console.error(`Price provider ${provider.name} failed:`, error.response?.status || error.message);
+      recordFailure(provider.name, error);
+      lastError = error;
+    }
+  }
+
+  if (!lastError) {
+    throw new MarketDataError('NO_DATA', 'No market data available');
+  }
+  if (lastError.response?.status === 429) {
+    throw new MarketDataError('RATE_LIMITED', 'Rate limit exceeded. Please try again later.');
+  }
+  throw new MarketDataError('UNAVAILABLE', 'Market data providers are unavailable');
+}
+
+/**
+ * Get coin prices for user's interested assets
+ * Served from the shared cache; concurrent requests for the same coins share one upstream call
+ * @param {string[]} symbols - Array of coin symbols (e.g., ['BTC', 'ETH']), resolved through the coin registry
+ * @param {Object} options - Options
+ * @param {string} options.quoteCurrency - Currency for prices and changes (default: USD)
+ * @param {boolean} options.allowStale - Serve stale cached prices (default: true); false waits for fresh ones
+ * @returns {Promise<Object>} { coins, currency, provider, fetchedAt, ageSeconds, stale } or { coins: [], currency, error }
+ */
+async function getCoinPrices(symbols, { quoteCurrency = DEFAULT_QUOTE_CURRENCY, allowStale = true } = {}) {
+  const currency = quoteCurrency.toUpperCase();
+
+  try {
+    const { coins: registryCoins } = await coinRegistry.resolveSymbols(symbols);
+    if (registryCoins.length === 0) {
+      return { coins: [], currency };
+    }
+
+    // Sorted, so any order shares a cache entry
+    const ids = registryCoins.map((coin) => coin.id).sort();
+    const result = await priceCache.wrap(
+      `${currency}:${ids.join(',')}`,
+      () => callWithFailover(currency, (provider) => provider.fetchPrices(registryCoins, currency)),
+      { allowStale }
+    );
+
+    return {
+      coins: result.value.value,
+      currency,
+      provider: result.value.provider,
+      fetchedAt: result.fetchedAt.toISOString(),
+      ageSeconds: result.ageSeconds,
+      stale: result.stale,
+    };
+  } catch (error) {
+    if (!(error instanceof MarketDataError)) {
+      console.error('Price service error:', error.message);
+    }
+
+    // Return empty data on error (graceful degradation)
+    return {
+      coins: [],
+      currency,
+      error: error instanceof MarketDataError ? error.message : 'Failed to fetch coin prices',
+    };
+  }
+}
+
+/**
+ * Get a coin's cached raw price samples for a range
+ * @param {Object} coin - Registry coin ({ id, symbol })
+ * @param {string} range - One of HISTORY_RANGES keys
+ * @param {string} currency - Quote currency code
+ * @returns {Promise<Object>} Cache result whose value is { value: samples, provider }
+ */
+function getHistorySamples(coin, range, currency) {
+  return historyCaches.get(range).wrap(`${currency}:${coin.id}`, () =>
+    callWithFailover(
+      currency,
+      (provider) => provider.fetchHistory(coin, currency, HISTORY_RANGES[range].days),
+      'fetchHistory'
+    )
+  );
+}
+
+/**
+ * Get price history for one coin: a line series and OHLC candles
+ * Raw samples are cached per coin, currency and range
+ * @param {Object} coin - Registry coin ({ id, symbol, name })
+ * @param {Object} options - Options
+ * @param {string} options.range - One of HISTORY_RANGES keys
+ * @param {string} options.interval - Candle interval (default depends on range)
+ * @param {string} options.quoteCurrency - Currency (default: USD)
+ * @returns {Promise<Object>} { symbol, id, name, currency, range, interval, provider, series, candles, fetchedAt, ageSeconds, stale }
+ * @throws {MarketDataError} When no provider can serve the history
+ * @throws {TypeError} When range is not one of HISTORY_RANGES
+ */
+async function getCoinHistory(coin, { range, interval, quoteCurrency = DEFAULT_QUOTE_CURRENCY }) {
+  if (!Object.hasOwn(HISTORY_RANGES, range)) {
+    throw new TypeError(`Unknown history range: ${range}`);
+  }
+
+  const rangeConfig = HISTORY_RANGES[range];
+  const candleInterval = interval || rangeConfig.defaultInterval;
+  const currency = quoteCurrency.toUpperCase();
+
+  const result = await getHistorySamples(coin, range, currency);
+  const samples = result.value.value;
+
+  return {
+    symbol: coin.symbol,
+    id: coin.id,
+    name: coin.name,
+    currency,
+    range,
+    interval: candleInterval,
+    provider: result.value.provider,
+    series: downsample(samples, MAX_SERIES_POINTS).map(([timestamp, price]) => ({
+      time: new Date(timestamp).toISOString(),
+      price,
+    })),
+    candles: buildCandles(samples, candleInterval),
+    fetchedAt: result.fetchedAt.toISOString(),
+    ageSeconds: result.ageSeconds,
+    stale: result.stale,
+  };
+}
+
+/**
+ * Get a coin's price change over a recent window
+ * Compares the given (fresh) spot price with the cached history sample closest
+ * to the start of the window: the 1d history (5-minute samples) for windows up
+ * to a day, the 7d history (hourly) beyond
+ * @param {Object} coin - Registry coin ({ id, symbol })
+ * @param {Object} options - Options
+ * @param {number} options.price - Current price, e.g. from getCoinPrices
+ * @param {number} options.windowMinutes - Window length (max 7 days)
+ * @param {string} options.quoteCurrency - Currency (default: USD)
+ * @returns {Promise<Object|null>} { price, previousPrice, changePercent, provider } or null if the history doesn't cover the window start
+ * @throws {MarketDataError} When no provider can serve the history
+ */
+async function getPriceChange(coin, { price, windowMinutes, quoteCurrency = DEFAULT_QUOTE_CURRENCY }) {
+  const range = windowMinutes <= 24 * 60 ? '1d' : '7d';
+  const result = await getHistorySamples(coin, range, quoteCurrency.toUpperCase());
+  const samples = result.value.value;
+
+  const windowMs = windowMinutes * 60 * 1000;
+  const targetTime = Date.now() - windowMs;
+
+  // History must reach back to (about) the start of the window
+  if (samples[0][0] - targetTime > windowMs * 0.05) return null;
+
+  // Closest sample to the start of the window; the cached history may lag
+  // behind, so it must actually be near the window start
+  const previous = samples.reduce((closest, sample) =>
+    Math.abs(sample[0] - targetTime) < Math.abs(closest[0] - targetTime) ? sample : closest
+  );
+  if (Math.abs(previous[0] - targetTime) > Math.max(windowMs * 0.25, PRICE_CHANGE_TOLERANCE_MS)) return null;
+  const previousPrice = previous[1];
+
+  return {
+    price,
+    previousPrice,
+    changePercent: ((price - previousPrice) / previousPrice) * 100,
+    provider: result.value.provider,
+  };
+}
+
+/**
+ * Get the coins trending on the market data providers
+ * Served from the shared cache; prices are in USD
+ * @returns {Promise<Object>} { coins, provider, fetchedAt, ageSeconds, stale } or { coins: [], error }
+ */
+async function getTrendingCoins() {
+  try {
+    const result = await trendingCache.wrap('trending', () =>
+      callWithFailover('USD', (provider) => provider.fetchTrending(), 'fetchTrending')
+    );
+
+    return {
+      coins: result.value.value,
+      provider: result.value.provider,
+      fetchedAt: result.fetchedAt.toISOString(),
+      ageSeconds: result.ageSeconds,
+      stale: result.stale,
+    };
+  } catch (error) {
+    if (!(error instanceof MarketDataError)) {
+      console.error('Trending coins error:', error.message);
+    }
+
+    // Return empty data on error (graceful degradation)
+    return {
+      coins: [],
+      error: error instanceof MarketDataError ? error.message : 'Failed to fetch trending coins',
+    };
+  }
+}
+
+/**
+ * Get the health of the configured providers
+ * @returns {Array<Object>} [{ name, healthy, failures, unhealthyUntil, lastError, lastFailureAt, lastSuccessAt }]
+ */
+function getProviderHealth() {
+  return getProviderChain().map((provider) => ({
+    name: provider.name,
+    healthy: isHealthy(provider.name),
+    ...getHealth(provider.name),
+  }));
+}
+
+module.exports = {
+  HISTORY_RANGES,
+  MarketDataError,
+  getCoinPrices,
+  getCoinHistory,
+  getPriceChange,
+  getTrendingCoins,
+  getProviderHealth,
+};
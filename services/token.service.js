@@ -0,0 +1,256 @@
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const userStore = require('./user.store');
+const { generateToken } = require('../utils/jwt.utils');
+const { generateRandomToken, hashToken } = require('../utils/crypto.utils');
+
+/**
+ * Token Service
+ * Issues short-lived access tokens plus rotating refresh tokens
+ * Refresh tokens are opaque, stored hashed and scoped to a Session
+ */
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000;
+
+// lastSeenAt is written at most once per interval, not on every request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a refresh token for a session
+ * @param {Object} session - Session document
+ * @returns {Promise<string>} Plain refresh token (only returned once)
+ */
+async function createRefreshToken(session) {
+  const refreshToken = generateRandomToken();
+
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    userId: session.userId,
+    sessionId: session._id,
+    expiresAt: session.expiresAt,
+  });
+
+  return refreshToken;
+}
+
+/**
+ * Start a new session and issue its tokens
+ * @param {Object} user - User document
+ * @param {Object} client - Device info recorded on the session
+ * @param {string} client.userAgent - User-Agent header
+ * @param {string} client.ip - Client IP
+ * @returns {Promise<Object>} { token, refreshToken, sessionId }
+ */
+async function issueTokens(user, client = {}) {
+  const session = await Session.create({
+    userId: user._id,
+    userAgent: client.userAgent || null,
+    ip: client.ip || null,
+    lastSeenIp: client.ip || null,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  const refreshToken = await createRefreshToken(session);
+  const token = generateToken({
+    userId: user._id,
+    email: user.email,
+    sessionId: session._id,
+  });
+
+  return { token, refreshToken, sessionId: session._id };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Reusing an already rotated token revokes the whole session,
+ * since it means the token was copied by someone else
+ * @param {string} refreshToken - Plain refresh token
+ * @param {Object} client - Current device info ({ ip })
+ * @returns {Promise<Object|null>} { token, refreshToken, user } or null if invalid
+ */
+async function rotateRefreshToken(refreshToken, client = {}) {
+  if (!refreshToken) return null;
+
+  const tokenHash = hashToken(refreshToken);
+
+  // Atomically claim the token so concurrent refreshes can't both succeed
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!stored) {
+    const reused = await RefreshToken.findOne({ tokenHash, usedAt: { $ne: null } });
+    if (reused) {
+      await revokeSession(reused.sessionId, 'token_reuse');
+    }
+    return null;
+  }
+
+  const session = await Session.findById(stored.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const user = await userStore.findById(stored.userId);
+  if (!user) {
+    await revokeSession(session._id, 'logout');
+    return null;
+  }
+
+  await Session.updateOne(
+    { _id: session._id },
+    { $set: { lastSeenAt: new Date(), lastSeenIp: client.ip || session.lastSeenIp } }
+  );
+
+  const newRefreshToken = await createRefreshToken(session);
+  const token = generateToken({
+    userId: user._id,
+    email: user.email,
+    sessionId: session._id,
+  });
+
+  return { token, refreshToken: newRefreshToken, user };
+}
+
+/**
+ * Find the session a refresh token belongs to
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<string|null>} Session ID or null
+ */
+async function getSessionIdForRefreshToken(refreshToken) {
+  if (!refreshToken) return null;
+  try {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    return stored ? stored.sessionId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Revoke a single session and its refresh tokens
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await RefreshToken.deleteMany({ sessionId });
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user ("log out everywhere")
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} options - Options
+ * @param {string} options.exceptSessionId - Session to keep (e.g., the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason = 'logout_all', options = {}) {
+  const sessionQuery = { userId, revokedAt: null };
+  const tokenQuery = { userId };
+  if (options.exceptSessionId) {
+    sessionQuery._id = { $ne: options.exceptSessionId };
+    tokenQuery.sessionId = { $ne: options.exceptSessionId };
+  }
+
+  const result = await Session.updateMany(sessionQuery, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  await RefreshToken.deleteMany(tokenQuery);
+  return result.modifiedCount;
+}
+
+/**
+ * Delete all sessions and refresh tokens of a user (account deletion)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function deleteAllSessions(userId) {
+  await RefreshToken.deleteMany({ userId });
+  await Session.deleteMany({ userId });
+}
+
+/**
+ * Check whether a session is still valid
+ * Fails closed: any lookup error counts as revoked
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<boolean>} True if session exists and is not revoked
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  try {
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return !!session && !session.revokedAt && session.expiresAt > new Date();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Record activity on a session (throttled to one write per minute)
+ * @param {string} sessionId - Session ID
+ * @param {Object} client - Current device info ({ ip })
+ * @returns {Promise<void>}
+ */
+async function touchSession(sessionId, client = {}) {
+  try {
+    const now = new Date();
+    await Session.updateOne(
+      {
+        _id: sessionId,
+        $or: [
+          { lastSeenAt: { $lt: new Date(now - LAST_SEEN_UPDATE_INTERVAL_MS) } },
+          { lastSeenAt: { $exists: false } }, // Sessions created before activity tracking
+        ],
+      },
+      { $set: { lastSeenAt: now, ...(client.ip && { lastSeenIp: client.ip }) } }
+    );
+  } catch (error) {
+    // Activity tracking must never block a request
+  }
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Session documents
+ */
+async function listActiveSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 })
+    .select('-__v');
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if revoked, false if not found/not owned/already revoked
+ */
+async function revokeUserSession(userId, sessionId) {
+  const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null });
+  if (!session) return false;
+  return revokeSession(session._id, 'logout');
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  getSessionIdForRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  deleteAllSessions,
+  isSessionActive,
+  touchSession,
+  listActiveSessions,
+  revokeUserSession,
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const totp = require('../utils/totp.utils');
+const {
+  hashToken,
+  encryptSecret,
+  decryptSecret,
+} = require('../utils/crypto.utils');
+
+/**
+ * Two-Factor Authentication Service
+ * Optional TOTP (RFC 6238) second factor with one-time recovery codes
+ *
+ * Enrollment is two-step: beginEnrollment() stores a pending secret and returns
+ * the otpauth URI, confirmEnrollment() enables 2FA once the user proves their
+ * authenticator app produces valid codes
+ */
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'CryptoAdvisor';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalize a recovery code before hashing (case and dashes don't matter)
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes: string[] (plain), hashes: string[] }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+}
+
+/**
+ * Start 2FA enrollment
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+async function beginEnrollment(user) {
+  const secret = totp.generateSecret();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } }
+  );
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: TOTP_ISSUER,
+    }),
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {Object} user - User document (must have a pending secret)
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]|null>} Plain recovery codes (shown once), or null if the code is invalid
+ */
+async function confirmEnrollment(user, code) {
+  if (!user.twoFactor?.pendingSecret) return null;
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = totp.verifyCode(secret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date(),
+      },
+    }
+  );
+
+  return codes;
+}
+
+/**
+ * Verify a second factor: a TOTP code or a one-time recovery code
+ * Each TOTP code and recovery code is accepted only once
+ * @param {Object} user - User document with 2FA enabled
+ * @param {Object} factor - Submitted factor
+ * @param {string} factor.code - TOTP code
+ * @param {string} factor.recoveryCode - Recovery code
+ * @returns {Promise<Object>} { valid: boolean, method?: 'totp'|'recovery_code', remainingRecoveryCodes?: number }
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const step = totp.verifyCode(decryptSecret(user.twoFactor.secret), code);
+    if (step === null) return { valid: false };
+
+    // Only accept a step newer than the last one used (no replay)
+    const updated = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } },
+      { new: true }
+    );
+
+    return updated ? { valid: true, method: 'totp' } : { valid: false };
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+    // Remove the code atomically so it can only be used once
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+      { $pull: { 'twoFactor.recoveryCodes': codeHash } },
+      { new: true }
+    );
+
+    return updated
+      ? {
+          valid: true,
+          method: 'recovery_code',
+          remainingRecoveryCodes: updated.twoFactor.recoveryCodes.length,
+        }
+      : { valid: false };
+  }
+
+  return { valid: false };
+}
+
+/**
+ * Replace all recovery codes
+ * @param {Object} user - User document with 2FA enabled
+ * @returns {Promise<string[]>} New plain recovery codes
+ */
+async function regenerateRecoveryCodes(user) {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.recoveryCodes': hashes } }
+  );
+
+  return codes;
+}
+
+/**
+ * Turn 2FA off and remove all secrets
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+async function disable(user) {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': false,
+        'twoFactor.secret': null,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.recoveryCodes': [],
+        'twoFactor.lastUsedStep': null,
+        'twoFactor.enabledAt': null,
+      },
+    }
+  );
+}
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+};
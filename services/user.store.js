@@ -1,5 +1,9 @@
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 
+// Hash compared against when an email has no account, so login timing is the same
+let dummyPasswordHash = null;
+
 /**
  * User Store - MongoDB Implementation
  * All methods now use MongoDB via Mongoose
@@ -12,6 +16,8 @@ async function initializeDefaultUser() {
     if (userCount === 0) {
       const adminUser = new User({
         email: 'admin@example.com',
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
         password: 'admin123', // Will be hashed by pre-save hook
         firstName: 'Admin',
         lastName: 'User',
@@ -29,6 +35,26 @@ async function initializeDefaultUser() {
   }
 }
 
+/**
+ * Mark accounts created before email verification existed as verified
+ * They were stored without an emailVerified field and would otherwise be
+ * locked out of routes that require a verified email. Safe to run on every start
+ * @returns {Promise<void>}
+ */
+async function backfillEmailVerified() {
+  try {
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: null } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Marked ${result.modifiedCount} existing users as email-verified`);
+    }
+  } catch (error) {
+    // Silently fail - allows server to start even if DB not connected
+  }
+}
+
 // User store methods
 const userStore = {
   /**
@@ -63,7 +89,7 @@ const userStore = {
    */
   async getAll() {
     try {
-      return await User.find({}).select('-password');
+      return await User.find({}).select('-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes');
     } catch (error) {
       return [];
     }
@@ -72,6 +98,7 @@ const userStore = {
   /**
    * Create new user
    * Password will be automatically hashed by pre-save hook
+   * New users always get the 'user' role - admins are never created from client input
    * @param {Object} userData - User data
    * @returns {Promise<Object>} Created user object
    */
@@ -83,10 +110,11 @@ const userStore = {
         firstName: userData.firstName || '',
         lastName: userData.lastName || '',
         profileImg: userData.profileImg || '',
+        emailVerified: false, // Set once the verification link is used
         account: 'basic',
         score: 0,
         isAdmin: false,
-        role: userData.role || 'user',
+        role: 'user',
       });
 
       const savedUser = await newUser.save();
@@ -96,6 +124,74 @@ const userStore = {
     }
   },
 
+  /**
+   * Find user by linked external identity
+   * @param {string} provider - Provider name (e.g., 'google')
+   * @param {string} subject - Provider's user ID
+   * @returns {Promise<Object|null>} User object or null
+   */
+  async findByIdentity(provider, subject) {
+    try {
+      return await User.findOne({
+        identities: { $elemMatch: { provider, subject: String(subject) } },
+      });
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Create a user from an external identity (no local password)
+   * @param {Object} profile - Normalized provider profile
+   * @returns {Promise<Object>} Created user object
+   */
+  async createFromIdentity(profile) {
+    const newUser = new User({
+      email: profile.email.toLowerCase(),
+      firstName: profile.firstName || 'User',
+      lastName: profile.lastName || '-',
+      profileImg: profile.picture || '',
+      emailVerified: !!profile.emailVerified,
+      emailVerifiedAt: profile.emailVerified ? new Date() : null,
+      account: 'basic',
+      score: 0,
+      isAdmin: false,
+      role: 'user',
+      identities: [
+        { provider: profile.provider, subject: String(profile.subject), email: profile.email },
+      ],
+    });
+
+    return await newUser.save();
+  },
+
+  /**
+   * Link an external identity to an existing user
+   * @param {string} userId - User ID
+   * @param {Object} profile - Normalized provider profile
+   * @returns {Promise<Object|null>} Updated user or null
+   */
+  async linkIdentity(userId, profile) {
+    try {
+      return await User.findByIdAndUpdate(
+        userId,
+        {
+          $push: {
+            identities: {
+              provider: profile.provider,
+              subject: String(profile.subject),
+              email: profile.email,
+              linkedAt: new Date(),
+            },
+          },
+        },
+        { new: true }
+      );
+    } catch (error) {
+      return null;
+    }
+  },
+
   /**
    * Update user
    * @param {string} id - User ID
@@ -118,6 +214,7 @@ const userStore = {
 
   /**
    * Update user preferences
+   * quoteCurrency is optional and kept when not given
    * @param {string} userId - User ID
    * @param {Object} preferences - Preferences data
    * @returns {Promise<Object|null>} Updated user or null
@@ -131,6 +228,7 @@ const userStore = {
             'preferences.interestedAssets': preferences.interestedAssets,
             'preferences.investorType': preferences.investorType,
             'preferences.contentTypes': preferences.contentTypes,
+            ...(preferences.quoteCurrency && { 'preferences.quoteCurrency': preferences.quoteCurrency }),
             'preferences.completedOnboarding': true,
             'preferences.updatedAt': new Date(),
           },
@@ -193,7 +291,25 @@ const userStore = {
   },
 
   /**
-   * Get user without password
+   * Spend the same time as verifyPassword for an unknown account
+   * Keeps login response times from revealing which emails are registered
+   * @param {string} password - Plain text password
+   * @returns {Promise<boolean>} Always false
+   */
+  async verifyPasswordForUnknownUser(password) {
+    try {
+      if (!dummyPasswordHash) {
+        dummyPasswordHash = await bcrypt.hash('unknown-user-placeholder', 10);
+      }
+      await bcrypt.compare(String(password), dummyPasswordHash);
+    } catch (error) {
+      // Ignore - result is always false
+    }
+    return false;
+  },
+
+  /**
+   * Get user without password and 2FA secrets
    * Note: User model's toJSON already removes password, but keeping for compatibility
    * @param {Object} user - User object
    * @returns {Object} User object without password
@@ -202,7 +318,11 @@ const userStore = {
     if (!user) return null;
     // User model's toJSON already handles this, but we'll ensure it
     const userObj = user.toObject ? user.toObject() : user;
+    userObj.hasPassword = !!userObj.password;
     delete userObj.password;
+    if (userObj.twoFactor) {
+      userObj.twoFactor = { enabled: userObj.twoFactor.enabled };
+    }
     return userObj;
   },
 };
@@ -216,6 +336,7 @@ if (require.main === module) {
 
 // Export initialization function for server.js
 userStore.initializeDefaultUser = initializeDefaultUser;
+userStore.backfillEmailVerified = backfillEmailVerified;
 
 module.exports = userStore;
 
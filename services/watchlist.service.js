@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const Watchlist = require('../models/Watchlist');
+const coinRegistry = require('./coin-registry.service');
+
+/**
+ * Watchlist Service
+ * Named, ordered coin lists with per-coin notes
+ */
+
+const MAX_WATCHLISTS_PER_USER = 20;
+const MAX_ITEMS_PER_WATCHLIST = 50;
+const MAX_NAME_LENGTH = 50;
+const MAX_NOTE_LENGTH = 200;
+
+/**
+ * Validate a watchlist name
+ * @param {*} name - Name to check
+ * @returns {string|null} Error message or null
+ */
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  if (name.trim().length > MAX_NAME_LENGTH) return `name must be ${MAX_NAME_LENGTH} characters or less`;
+  return null;
+}
+
+/**
+ * Validate a note
+ * @param {*} note - Note to check
+ * @returns {string|null} Error message or null
+ */
+function validateNote(note) {
+  if (note === undefined) return null;
+  if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+    return `note must be a string of ${MAX_NOTE_LENGTH} characters or less`;
+  }
+  return null;
+}
+
+/**
+ * Validate watchlist items and resolve their symbols through the coin registry
+ * @param {Array} items - [{ symbol, note? }] or symbols
+ * @returns {Promise<Object>} { errors: string[], items: [{ symbol, coinId, note }] }
+ */
+async function validateItems(items) {
+  const errors = [];
+
+  if (!Array.isArray(items)) {
+    return { errors: ['items must be an array'], items: [] };
+  }
+  if (items.length > MAX_ITEMS_PER_WATCHLIST) {
+    return { errors: [`items must contain at most ${MAX_ITEMS_PER_WATCHLIST} coins`], items: [] };
+  }
+
+  const entries = items.map((item) => (typeof item === 'string' ? { symbol: item } : item || {}));
+  if (entries.some((entry) => typeof entry.symbol !== 'string' || !entry.symbol.trim())) {
+    return { errors: ['each item needs a symbol'], items: [] };
+  }
+
+  for (const entry of entries) {
+    const noteError = validateNote(entry.note);
+    if (noteError) errors.push(`${entry.symbol}: ${noteError}`);
+  }
+
+  const { coins, unknown, ambiguous } = await coinRegistry.resolveSymbols(entries.map((entry) => entry.symbol));
+  if (unknown.length > 0) errors.push(`Unknown symbols: ${unknown.join(', ')}`);
+  if (ambiguous.length > 0) errors.push(`Ambiguous symbols: ${ambiguous.map((entry) => entry.symbol).join(', ')}`);
+
+  const symbols = entries.map((entry) => entry.symbol.toUpperCase().trim());
+  const duplicates = symbols.filter((symbol, index) => symbols.indexOf(symbol) !== index);
+  if (duplicates.length > 0) errors.push(`Duplicate symbols: ${[...new Set(duplicates)].join(', ')}`);
+
+  const coinsBySymbol = Object.fromEntries(coins.map((coin) => [coin.symbol, coin]));
+  return {
+    errors,
+    items: entries
+      .map((entry, index) => ({ coin: coinsBySymbol[symbols[index]], note: entry.note || '' }))
+      .filter(({ coin }) => coin)
+      .map(({ coin, note }) => ({ symbol: coin.symbol, coinId: coin.id, note })),
+  };
+}
+
+/**
+ * Check whether an error is a duplicate name
+ * @param {Error} error - Mongo error
+ * @returns {boolean} True for the (userId, name) unique index
+ */
+function isDuplicateName(error) {
+  return error.code === 11000;
+}
+
+/**
+ * Create a watchlist (added last)
+ * @param {string} userId - Owner
+ * @param {Object} values - { name, items (validated) }
+ * @returns {Promise<Object>} { watchlist } or { error }
+ */
+async function createWatchlist(userId, { name, items = [] }) {
+  const count = await Watchlist.countDocuments({ userId });
+  if (count >= MAX_WATCHLISTS_PER_USER) {
+    return { error: 'Too many watchlists. Delete one first.' };
+  }
+
+  const last = await Watchlist.findOne({ userId }).sort({ position: -1 }).select('position');
+
+  try {
+    const watchlist = await Watchlist.create({
+      userId,
+      name: name.trim(),
+      position: last ? last.position + 1 : 0,
+      items,
+    });
+    return { watchlist };
+  } catch (error) {
+    if (isDuplicateName(error)) return { error: 'A watchlist with this name already exists' };
+    throw error;
+  }
+}
+
+/**
+ * List a user's watchlists in order
+ * @param {string} userId - Owner
+ * @returns {Promise<Array>} Watchlists
+ */
+async function listWatchlists(userId) {
+  return Watchlist.find({ userId }).sort({ position: 1, createdAt: 1 });
+}
+
+/**
+ * Get one of a user's watchlists
+ * @param {string} userId - Owner
+ * @param {string} watchlistId - Watchlist ID
+ * @returns {Promise<Object|null>} Watchlist or null
+ */
+async function getWatchlist(userId, watchlistId) {
+  if (!mongoose.isValidObjectId(watchlistId)) return null;
+  return Watchlist.findOne({ _id: watchlistId, userId });
+}
+
+/**
+ * Rename a watchlist and/or replace its items (the array order is the new order)
+ * @param {Object} watchlist - Watchlist document
+ * @param {Object} values - { name?, items? (validated) }
+ * @returns {Promise<Object>} { watchlist } or { error }
+ */
+async function updateWatchlist(watchlist, { name, items }) {
+  if (name !== undefined) watchlist.name = name.trim();
+  if (items !== undefined) {
+    // Keep addedAt for coins that stay on the list
+    const addedAt = Object.fromEntries(watchlist.items.map((item) => [item.coinId, item.addedAt]));
+    watchlist.items = items.map((item) => ({ ...item, addedAt: addedAt[item.coinId] || new Date() }));
+  }
+
+  try {
+    await watchlist.save();
+    return { watchlist };
+  } catch (error) {
+    if (isDuplicateName(error)) return { error: 'A watchlist with this name already exists' };
+    throw error;
+  }
+}
+
+/**
+ * Delete a watchlist
+ * @param {string} userId - Owner
+ * @param {string} watchlistId - Watchlist ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteWatchlist(userId, watchlistId) {
+  if (!mongoose.isValidObjectId(watchlistId)) return false;
+  const result = await Watchlist.deleteOne({ _id: watchlistId, userId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Reorder a user's watchlists
+ * @param {string} userId - Owner
+ * @param {string[]} ids - Every watchlist ID, in the new order
+ * @returns {Promise<Object>} { watchlists } or { error }
+ */
+async function reorderWatchlists(userId, ids) {
+  const watchlists = await Watchlist.find({ userId }).select('_id');
+  const existingIds = watchlists.map((watchlist) => String(watchlist._id));
+
+  if (
+    !Array.isArray(ids) ||
+    ids.length !== existingIds.length ||
+    new Set(ids.map(String)).size !== ids.length ||
+    !ids.every((id) => existingIds.includes(String(id)))
+  ) {
+    return { error: 'ids must list each of your watchlists exactly once' };
+  }
+
+  await Watchlist.bulkWrite(
+    ids.map((id, position) => ({
+      updateOne: { filter: { _id: id, userId }, update: { $set: { position } } },
+    }))
+  );
+
+  return { watchlists: await listWatchlists(userId) };
+}
+
+/**
+ * Add a coin to a watchlist
+ * @param {Object} watchlist - Watchlist document
+ * @param {Object} item - Validated item { symbol, coinId, note }
+ * @param {number} position - Index to insert at (default: end)
+ * @returns {Promise<Object>} { watchlist } or { error }
+ */
+async function addItem(watchlist, item, position) {
+  if (watchlist.items.some((existing) => existing.coinId === item.coinId)) {
+    return { error: `${item.symbol} is already on this watchlist` };
+  }
+  if (watchlist.items.length >= MAX_ITEMS_PER_WATCHLIST) {
+    return { error: `A watchlist can hold at most ${MAX_ITEMS_PER_WATCHLIST} coins` };
+  }
+
+  const index = position === undefined ? watchlist.items.length : position;
+  watchlist.items.splice(index, 0, { ...item, addedAt: new Date() });
+  await watchlist.save();
+  return { watchlist };
+}
+
+/**
+ * Update a coin's note and/or move it
+ * @param {Object} watchlist - Watchlist document
+ * @param {string} symbol - Coin symbol
+ * @param {Object} changes - { note?, position? }
+ * @returns {Promise<Object|null>} { watchlist }, or null if the coin isn't on the list
+ */
+async function updateItem(watchlist, symbol, { note, position }) {
+  const index = watchlist.items.findIndex((item) => item.symbol === symbol.toUpperCase());
+  if (index === -1) return null;
+
+  const item = watchlist.items[index].toObject();
+  if (note !== undefined) item.note = note;
+
+  watchlist.items.splice(index, 1);
+  watchlist.items.splice(position === undefined ? index : position, 0, item);
+  await watchlist.save();
+  return { watchlist };
+}
+
+/**
+ * Remove a coin from a watchlist
+ * @param {Object} watchlist - Watchlist document
+ * @param {string} symbol - Coin symbol
+ * @returns {Promise<boolean>} True if removed
+ */
+async function removeItem(watchlist, symbol) {
+  const index = watchlist.items.findIndex((item) => item.symbol === symbol.toUpperCase());
+  if (index === -1) return false;
+
+  watchlist.items.splice(index, 1);
+  await watchlist.save();
+  return true;
+}
+
+/**
+ * Format a watchlist for API responses
+ * @param {Object} watchlist - Watchlist document
+ * @returns {Object} Public watchlist info
+ */
+function formatWatchlist(watchlist) {
+  return {
+    id: watchlist._id,
+    name: watchlist.name,
+    position: watchlist.position,
+    items: watchlist.items.map((item) => ({
+      symbol: item.symbol,
+      note: item.note,
+      addedAt: item.addedAt,
+    })),
+    createdAt: watchlist.createdAt,
+    updatedAt: watchlist.updatedAt,
+  };
+}
+
+module.exports = {
+  MAX_ITEMS_PER_WATCHLIST,
+  validateName,
+  validateNote,
+  validateItems,
+  createWatchlist,
+  listWatchlists,
+  getWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  reorderWatchlists,
+  addItem,
+  updateItem,
+  removeItem,
+  formatWatchlist,
+};
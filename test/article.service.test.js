@@ -0,0 +1,329 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const {
+  parseNewsQuery,
+  searchArticles,
+  getArticle,
+  upsertArticles,
+  getCoinSentiment,
+} = require('../services/article.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Stub Article.find with a fixed result for one test
+ * @param {Object} t - Test context
+ * @param {Array<Object>} results - Documents the query resolves to
+ * @returns {Object} { filters: the filters find was called with }
+ */
+function stubFind(t, results) {
+  const calls = { filters: [] };
+  t.mock.method(Article, 'find', (filter) => {
+    calls.filters.push(filter);
+    const query = {
+      sort: () => query,
+      limit: (limit) => Promise.resolve(results.slice(0, limit)),
+    };
+    return query;
+  });
+  return calls;
+}
+
+/**
+ * Check a stored document against a (small subset of a) MongoDB filter
+ * @param {Object} doc - Stored document
+ * @param {Object} filter - { $or, field: value | { $in } | { $gte, $lte } }
+ * @returns {boolean} True if the document matches
+ */
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some((branch) => matches(doc, branch));
+    const value = doc[field] ?? null;
+    if (condition && condition.$in) return condition.$in.some((option) => String(option) === String(value));
+    if (condition && (condition.$gte || condition.$lte)) {
+      return (!condition.$gte || value >= condition.$gte) && (!condition.$lte || value <= condition.$lte);
+    }
+    return String(value) === String(condition ?? null);
+  });
+}
+
+/**
+ * Replace Article.find and Article.bulkWrite with an in-memory collection
+ * @param {Object} t - Test context
+ * @param {Array<Object>} docs - Stored articles (modified in place)
+ * @returns {Array<Object>} The collection
+ */
+function stubCollection(t, docs = []) {
+  t.mock.method(Article, 'find', (filter) => {
+    const query = {
+      sort: () => query,
+      limit: () => query,
+      select: () => query,
+      lean: () => query,
+      then: (resolve, reject) =>
+        Promise.resolve(docs.filter((doc) => matches(doc, filter)).map((doc) => ({ ...doc }))).then(resolve, reject),
+    };
+    return query;
+  });
+
+  t.mock.method(Article, 'bulkWrite', async (operations) => {
+    for (const { updateOne: { filter, update, upsert } } of operations) {
+      let doc = docs.find((stored) => matches(stored, filter));
+      if (!doc && upsert) {
+        doc = { _id: new mongoose.Types.ObjectId(), ...filter, ...update.$setOnInsert };
+        docs.push(doc);
+      }
+      if (doc) Object.assign(doc, update.$set);
+    }
+  });
+
+  return docs;
+}
+
+/**
+ * Build upsertArticles input
+ * @param {string} provider - cryptopanic | rss
+ * @param {string} sourceId - Provider's ID
+ * @param {string} title - Headline
+ * @param {Date} publishedAt - Publish date
+ * @returns {Object} Article input
+ */
+function item(provider, sourceId, title, publishedAt) {
+  return { provider, sourceId, title, url: `https://news.example.com/${sourceId}`, publishedAt };
+}
+
+/**
+ * Build an article document
+ * @param {string} publishedAt - ISO date
+ * @returns {Object} Article
+ */
+function article(publishedAt) {
+  return { _id: new mongoose.Types.ObjectId(), title: 'Story', publishedAt: new Date(publishedAt) };
+}
+
+test('parseNewsQuery applies defaults', () => {
+  const { errors, filters } = parseNewsQuery({});
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters, { coins: [], sources: [], limit: 20 });
+});
+
+test('parseNewsQuery normalizes lists, words and dates', () => {
+  const { errors, filters } = parseNewsQuery({
+    coins: 'btc, eth,,',
+    source: 'CoinDesk,rss',
+    from: '2024-10-01',
+    to: '2024-10-14T12:00:00Z',
+    q: 'ETH  Upgrade!',
+    sentiment: 'bullish',
+    limit: '100',
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters.coins, ['BTC', 'ETH']);
+  assert.deepEqual(filters.sources, ['CoinDesk', 'rss']);
+  assert.deepEqual(filters.from, new Date('2024-10-01'));
+  assert.deepEqual(filters.to, new Date('2024-10-14T12:00:00Z'));
+  assert.deepEqual(filters.words, ['eth', 'upgrade']);
+  assert.equal(filters.sentiment, 'bullish');
+  assert.equal(filters.limit, 50);
+});
+
+test('parseNewsQuery reports every invalid param', () => {
+  const { errors } = parseNewsQuery({
+    coins: Array.from({ length: 21 }, (_, index) => `C${index}`).join(','),
+    from: '2024-10-14',
+    to: '2024-10-01',
+    q: 'x'.repeat(101),
+    sentiment: 'euphoric',
+    cursor: 'not-a-cursor',
+    limit: '-5',
+  });
+
+  assert.deepEqual(errors, [
+    'coins can list at most 20 symbols',
+    'limit must be a positive integer',
+    'from must be before to',
+    'q must be at most 100 characters',
+    'sentiment must be one of: bullish, bearish, neutral',
+    'cursor is invalid',
+  ]);
+});
+
+test('parseNewsQuery rejects unparseable dates and non-string q', () => {
+  const { errors } = parseNewsQuery({ from: 'yesterday', q: ['a', 'b'] });
+
+  assert.deepEqual(errors, ['from must be a valid date', 'q must be at most 100 characters']);
+});
+
+test('searchArticles returns a cursor that parseNewsQuery decodes', async (t) => {
+  const articles = [article('2024-10-14T10:00:00Z'), article('2024-10-14T09:00:00Z'), article('2024-10-14T08:00:00Z')];
+  stubFind(t, articles);
+
+  const page = await searchArticles({ limit: 2 });
+  assert.deepEqual(page.articles, articles.slice(0, 2));
+  assert.equal(typeof page.nextCursor, 'string');
+
+  const { errors, filters } = parseNewsQuery({ cursor: page.nextCursor });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters.cursor, { publishedAt: articles[1].publishedAt, id: articles[1]._id });
+});
+
+test('searchArticles continues after the cursor and ends with a null cursor', async (t) => {
+  const last = article('2024-10-14T08:00:00Z');
+  const calls = stubFind(t, [last]);
+  const cursor = { publishedAt: new Date('2024-10-14T09:00:00Z'), id: new mongoose.Types.ObjectId() };
+
+  const page = await searchArticles({ cursor, limit: 2 });
+
+  assert.deepEqual(page, { articles: [last], nextCursor: null });
+  assert.deepEqual(calls.filters[0].$and.at(-1), {
+    $or: [
+      { publishedAt: { $lt: cursor.publishedAt } },
+      { publishedAt: cursor.publishedAt, _id: { $lt: cursor.id } },
+    ],
+  });
+});
+
+test('searchArticles leaves out near-duplicates and fallback articles', async (t) => {
+  const calls = stubFind(t, []);
+
+  await searchArticles({});
+
+  assert.deepEqual(calls.filters[0].$and[0], { provider: { $ne: 'fallback' }, duplicateOf: null });
+});
+
+test('getArticle treats fallback articles and invalid IDs as missing', async (t) => {
+  const id = new mongoose.Types.ObjectId();
+  const findOne = t.mock.method(Article, 'findOne', async () => null);
+
+  assert.equal(await getArticle('fallback-btc-1'), null);
+  assert.equal(findOne.mock.callCount(), 0);
+
+  assert.equal(await getArticle(String(id)), null);
+  assert.deepEqual(findOne.mock.calls[0].arguments, [{ _id: String(id), provider: { $ne: 'fallback' } }]);
+});
+
+test('upsertArticles folds a near-duplicate from the same batch into the first article', async (t) => {
+  const docs = stubCollection(t);
+  const publishedAt = new Date('2024-10-14T08:00:00Z');
+
+  const result = await upsertArticles([
+    item('cryptopanic', 'cp-1', 'Bitcoin tops $70,000 as ETF inflows return', publishedAt),
+    item('rss', 'feed-1', 'Bitcoin tops $70,000 as ETF inflows return again', new Date(publishedAt.getTime() + HOUR_MS)),
+    item('rss', 'feed-2', 'Solana validators ship an upgrade', publishedAt),
+  ]);
+
+  const [canonical, duplicate, other] = docs;
+  assert.equal(docs.length, 3);
+  assert.equal(canonical.duplicateOf, null);
+  assert.equal(duplicate.duplicateOf, canonical._id);
+  assert.equal(other.duplicateOf, null);
+  // Callers get the canonical article once, in input order
+  assert.deepEqual(result.map((article) => article.sourceId), ['cp-1', 'feed-2']);
+});
+
+test('upsertArticles folds a new article into a stored one and returns the stored one', async (t) => {
+  const storedId = new mongoose.Types.ObjectId();
+  const docs = stubCollection(t, [
+    {
+      _id: storedId,
+      provider: 'cryptopanic',
+      sourceId: 'cp-1',
+      title: 'Ethereum gas fees hit a yearly low',
+      normalizedTitle: 'ethereum gas fees hit a yearly low',
+      publishedAt: new Date('2024-10-14T06:00:00Z'),
+      duplicateOf: null,
+      contentTypes: ['Market News'],
+    },
+  ]);
+
+  const result = await upsertArticles([
+    item('rss', 'feed-1', 'Ethereum gas fees hit a yearly low', new Date('2024-10-14T09:00:00Z')),
+  ]);
+
+  assert.equal(docs[1].duplicateOf, storedId);
+  assert.deepEqual(result.map((article) => article._id), [storedId]);
+});
+
+test('upsertArticles only folds articles published within the duplicate window', async (t) => {
+  const stored = new Date('2024-10-10T00:00:00Z');
+  const storedId = new mongoose.Types.ObjectId();
+  const docs = stubCollection(t, [
+    {
+      _id: storedId,
+      provider: 'cryptopanic',
+      sourceId: 'cp-1',
+      title: 'Bitcoin halving countdown begins',
+      normalizedTitle: 'bitcoin halving countdown begins',
+      publishedAt: stored,
+      duplicateOf: null,
+      contentTypes: ['Market News'],
+    },
+  ]);
+
+  await upsertArticles([
+    item('rss', 'at-edge', 'Bitcoin halving countdown begins', new Date(stored.getTime() + 48 * HOUR_MS)),
+    item('rss', 'past-edge', 'Bitcoin halving countdown begins', new Date(stored.getTime() - 48 * HOUR_MS - 1)),
+  ]);
+
+  const bySourceId = Object.fromEntries(docs.map((doc) => [doc.sourceId, doc]));
+  assert.equal(bySourceId['at-edge'].duplicateOf, storedId);
+  assert.equal(bySourceId['past-edge'].duplicateOf, null);
+});
+
+test('upsertArticles keeps stored articles and their IDs on later fetches', async (t) => {
+  const docs = stubCollection(t);
+  const input = item('cryptopanic', 'cp-1', 'Bitcoin tops $70,000 as ETF inflows return', new Date('2024-10-14T08:00:00Z'));
+
+  const [first] = await upsertArticles([input]);
+  const [second] = await upsertArticles([{ ...input, votes: { positive: 5, negative: 0 } }]);
+
+  assert.equal(docs.length, 1);
+  assert.equal(String(second._id), String(first._id));
+  assert.equal(second.sentiment.method, 'votes');
+});
+
+test('upsertArticles leaves dissimilar titles apart', async (t) => {
+  const docs = stubCollection(t);
+  const publishedAt = new Date('2024-10-14T08:00:00Z');
+
+  await upsertArticles([
+    item('cryptopanic', 'cp-1', 'Bitcoin tops $70,000 as ETF inflows return', publishedAt),
+    item('rss', 'feed-1', 'Bitcoin ETF outflows drag price below $60,000', publishedAt),
+  ]);
+
+  assert.deepEqual(docs.map((doc) => doc.duplicateOf), [null, null]);
+});
+
+test('getCoinSentiment labels the average score per coin', async (t) => {
+  const aggregate = t.mock.method(Article, 'aggregate', async () => [
+    { _id: 'BTC', score: 0.25, articles: 4, bullish: 2, bearish: 1 },
+    { _id: 'ETH', score: -0.19999, articles: 2, bullish: 0, bearish: 1 },
+  ]);
+
+  const { coins, sinceHours } = await getCoinSentiment(['btc', 'ETH', 'SOL', 'BTC']);
+
+  assert.equal(sinceHours, 48);
+  assert.deepEqual(coins, [
+    { symbol: 'BTC', label: 'bullish', score: 0.25, articles: 4, bullish: 2, bearish: 1, neutral: 1 },
+    { symbol: 'ETH', label: 'bearish', score: -0.2, articles: 2, bullish: 0, bearish: 1, neutral: 1 },
+    { symbol: 'SOL', label: 'neutral', score: 0, articles: 0, bullish: 0, bearish: 0, neutral: 0 },
+  ]);
+  // Canonical, non-fallback articles only
+  const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual($match.provider, { $ne: 'fallback' });
+  assert.equal($match.duplicateOf, null);
+  assert.deepEqual($match.currencies, { $in: ['BTC', 'ETH', 'SOL'] });
+});
+
+test('getCoinSentiment reports an error instead of throwing', async (t) => {
+  t.mock.method(Article, 'aggregate', async () => {
+    throw new Error('connection lost');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  assert.deepEqual(await getCoinSentiment(['BTC']), { coins: [], error: 'News sentiment unavailable' });
+});
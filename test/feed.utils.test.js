@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFeed } = require('../utils/feed.utils');
+const { tagCoins } = require('../utils/news.utils');
+
+const COINS = [
+  { symbol: 'BTC', name: 'Bitcoin' },
+  { symbol: 'ETH', name: 'Ethereum' },
+  { symbol: 'SOL', name: 'Solana' },
+  { symbol: 'LINK', name: 'Chainlink' },
+  { symbol: 'ONE', name: 'Harmony' },
+];
+
+/**
+ * Read a feed fixture
+ * @param {string} name - File name in test/fixtures
+ * @returns {string} Feed XML
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('parseFeed reads RSS 2.0 items', () => {
+  const feed = parseFeed(fixture('news.rss.xml'));
+
+  assert.equal(feed.format, 'rss');
+  assert.equal(feed.title, 'Crypto Wire & Co');
+  assert.equal(feed.items.length, 3);
+  assert.deepEqual(feed.items[0], {
+    id: 'wire-1001',
+    title: 'Bitcoin tops $70,000 as ETF inflows return',
+    link: 'https://news.example.com/bitcoin-70k',
+    publishedAt: new Date('2024-10-14T08:30:00Z'),
+    summary: 'Spot BTC ETFs saw "record" inflows.',
+  });
+});
+
+test('parseFeed falls back to the link, dc:date and content:encoded', () => {
+  const [, item] = parseFeed(fixture('news.rss.xml')).items;
+
+  assert.equal(item.id, 'https://news.example.com/solana-upgrade');
+  assert.equal(item.title, 'Solana’s validators ship an upgrade');
+  assert.deepEqual(item.publishedAt, new Date('2024-10-14T06:00:00Z'));
+  assert.equal(item.summary, 'The upgrade lands on mainnet.');
+});
+
+test('parseFeed returns null for unparseable dates and leaves links as written', () => {
+  const [, , item] = parseFeed(fixture('news.rss.xml')).items;
+
+  assert.equal(item.publishedAt, null);
+  assert.equal(item.summary, null);
+  assert.equal(item.link, 'javascript:alert(1)');
+});
+
+test('parseFeed reads Atom entries and their alternate link', () => {
+  const feed = parseFeed(fixture('news.atom.xml'));
+
+  assert.equal(feed.format, 'atom');
+  assert.equal(feed.title, 'Chain Daily');
+  assert.deepEqual(feed.items[0], {
+    id: 'tag:chain.example.org,2024:eth-gas',
+    title: 'Ethereum gas fees hit a yearly low',
+    link: 'https://chain.example.org/eth-gas?a=1&b=2',
+    publishedAt: new Date('2024-10-14T07:15:00Z'),
+    summary: '$eth holders pay less',
+  });
+
+  // No id, no published date, content instead of summary
+  assert.equal(feed.items[1].id, 'https://chain.example.org/roundup');
+  assert.deepEqual(feed.items[1].publishedAt, new Date('2024-10-13T12:00:00Z'));
+  assert.equal(feed.items[1].summary, 'Markets were quiet.');
+});
+
+test('parseFeed reads RSS 1.0 (RDF) items', () => {
+  const feed = parseFeed(`<?xml version="1.0"?>
+    <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/">
+      <channel><title>RDF News</title></channel>
+      <item><title>One</title><link>https://rdf.example.net/1</link><dc:date>2024-10-01T00:00:00Z</dc:date></item>
+    </rdf:RDF>`);
+
+  assert.equal(feed.format, 'rss');
+  assert.equal(feed.title, 'RDF News');
+  assert.equal(feed.items[0].id, 'https://rdf.example.net/1');
+  assert.deepEqual(feed.items[0].publishedAt, new Date('2024-10-01T00:00:00Z'));
+});
+
+test('parseFeed rejects documents that are not feeds', () => {
+  assert.throws(() => parseFeed('<html><body>Not found</body></html>'), /Not an RSS or Atom feed/);
+});
+
+test('parseFeed leaves out-of-range character references as written', () => {
+  const feed = parseFeed(
+    '<rss><channel><item><title>A &#99999999; B &#x1F680; C &#xFFFFFFFFFF;</title><link>https://x.example/1</link></item></channel></rss>'
+  );
+
+  assert.equal(feed.items[0].title, 'A &#99999999; B 🚀 C &#xFFFFFFFFFF;');
+});
+
+test('parseFeed stops at unclosed elements in linear time', () => {
+  const started = Date.now();
+  const feed = parseFeed(
+    `<rss><channel><title>Broken</title><item><title>Kept</title><link>https://x.example/1</link></item>${'<item>'.repeat(20000)}`
+  );
+
+  assert.deepEqual(feed.items.map((item) => item.title), ['Kept']);
+  assert.ok(Date.now() - started < 200, 'unclosed <item> tags must not take quadratic time');
+
+  const unclosedCdata = parseFeed(`<rss><channel><item><title>${'<![CDATA['.repeat(20000)}</title></item></channel></rss>`);
+  assert.equal(unclosedCdata.items.length, 1);
+});
+
+test('tagCoins matches names case-insensitively as whole words', () => {
+  assert.deepEqual(tagCoins('BITCOIN and ethereum rally', COINS), ['BTC', 'ETH']);
+  assert.deepEqual(tagCoins('Bitcoiners celebrate', COINS), []);
+});
+
+test('tagCoins matches symbols only in upper case or as cashtags', () => {
+  assert.deepEqual(tagCoins('SOL and LINK climb', COINS), ['SOL', 'LINK']);
+  assert.deepEqual(tagCoins('one link to rule them all', COINS), []);
+  assert.deepEqual(tagCoins('$eth holders pay less', COINS), ['ETH']);
+});
+
+test('tagCoins handles empty text', () => {
+  assert.deepEqual(tagCoins(null, COINS), []);
+  assert.deepEqual(tagCoins('', COINS), []);
+});
+
+test('feed ingestion keeps only http(s) article URLs', async () => {
+  const articleService = require('../services/article.service');
+  const coinRegistry = require('../services/coin-registry.service');
+  const stored = [];
+  const original = {
+    upsertArticles: articleService.upsertArticles,
+    listTaggableCoins: coinRegistry.listTaggableCoins,
+  };
+  articleService.upsertArticles = async (items) => stored.push(...items);
+  coinRegistry.listTaggableCoins = async () => COINS;
+
+  // Fresh dates, so nothing is dropped for age
+  const now = new Date().toUTCString();
+  const feedPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'feed-')), 'links.xml');
+  fs.writeFileSync(
+    feedPath,
+    `<rss><channel><title>Links</title>
+      <item><title>Web</title><link>https://news.example.com/a</link><pubDate>${now}</pubDate></item>
+      <item><title>Script</title><link>javascript:alert(1)</link><pubDate>${now}</pubDate></item>
+      <item><title>Data</title><link>data:text/html,hi</link><pubDate>${now}</pubDate></item>
+      <item><title>Relative</title><link>/b</link><pubDate>${now}</pubDate></item>
+    </channel></rss>`
+  );
+  process.env.NEWS_FEEDS = feedPath;
+
+  try {
+    const { ingestFeeds } = require('../services/news-feed.service');
+    const result = await ingestFeeds();
+
+    assert.deepEqual(result, { feeds: 1, items: 4, failed: 0 });
+    assert.deepEqual(
+      stored.map((article) => [article.title, article.url]),
+      [
+        ['Web', 'https://news.example.com/a'],
+        ['Script', null],
+        ['Data', null],
+        ['Relative', null],
+      ]
+    );
+  } finally {
+    articleService.upsertArticles = original.upsertArticles;
+    coinRegistry.listTaggableCoins = original.listTaggableCoins;
+    delete process.env.NEWS_FEEDS;
+    fs.rmSync(path.dirname(feedPath), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyTitle, classifyArticles, rankByContentTypes } = require('../services/news-classifier.service');
+
+/**
+ * Build an article with content types
+ * @param {string} id - Article ID
+ * @param {string[]} contentTypes - Content types
+ * @returns {Object} Article
+ */
+function article(id, contentTypes) {
+  return { id, contentTypes };
+}
+
+test('classifyTitle tags each matching content type in onboarding order', () => {
+  assert.deepEqual(classifyTitle('Bitcoin price breakout: RSI and MACD point to new highs'), [
+    'Market News',
+    'Charts',
+    'Technical Analysis',
+  ]);
+  assert.deepEqual(classifyTitle('Musk tweets a Dogecoin meme'), ['Social', 'Memes']);
+  assert.deepEqual(classifyTitle('Bizarre pizza contest pays out in BTC'), ['Fun']);
+});
+
+test('classifyTitle falls back to Market News', () => {
+  assert.deepEqual(classifyTitle('Quarterly update from the foundation'), ['Market News']);
+  assert.deepEqual(classifyTitle(''), ['Market News']);
+  assert.deepEqual(classifyTitle(undefined), ['Market News']);
+});
+
+test('classifyTitle matches multi-word keywords and ignores case', () => {
+  assert.deepEqual(classifyTitle('ETH forms a HEAD AND SHOULDERS'), ['Charts']);
+  assert.deepEqual(classifyTitle('Golden cross ahead for Solana'), ['Technical Analysis']);
+});
+
+test('classifyTitle matches short keywords only as whole words', () => {
+  // ta, sec, art, game, ama inside other words
+  assert.deepEqual(classifyTitle('Data shows a total of 3 stablecoins started'), ['Market News']);
+  assert.deepEqual(classifyTitle('Second wallet secures seconds-long finality'), ['Market News']);
+  assert.deepEqual(classifyTitle('Smart startup partners with artists'), ['Market News']);
+  assert.deepEqual(classifyTitle('Gamestop-style squeeze hits altcoin'), ['Market News']);
+  assert.deepEqual(classifyTitle('Amazon samples crypto payments'), ['Market News']);
+
+  // ...and as words of their own
+  assert.deepEqual(classifyTitle('BTC TA: weekly outlook'), ['Technical Analysis']);
+  assert.deepEqual(classifyTitle('SEC delays decision'), ['Market News']);
+  assert.deepEqual(classifyTitle('NFT art sells for 100 ETH'), ['Fun']);
+  assert.deepEqual(classifyTitle('Play-to-earn game goes live'), ['Fun']);
+});
+
+test('classifyArticles uses the keyword rules when no model is configured', async () => {
+  const previous = process.env.NEWS_CLASSIFIER_MODEL;
+  delete process.env.NEWS_CLASSIFIER_MODEL;
+
+  try {
+    assert.deepEqual(await classifyArticles([{ title: 'Pepe memecoin surges' }]), [
+      { contentTypes: ['Market News', 'Memes'], classifiedBy: 'rules' },
+    ]);
+  } finally {
+    if (previous !== undefined) process.env.NEWS_CLASSIFIER_MODEL = previous;
+  }
+});
+
+test('rankByContentTypes puts articles with more preferred types first', () => {
+  const articles = [
+    article('news', ['Market News']),
+    article('chart', ['Charts']),
+    article('chart-ta', ['Charts', 'Technical Analysis']),
+    article('meme', ['Memes']),
+  ];
+
+  const ranked = rankByContentTypes(articles, ['Charts', 'Technical Analysis']);
+
+  assert.deepEqual(ranked.map(({ id }) => id), ['chart-ta', 'chart', 'news', 'meme']);
+});
+
+test('rankByContentTypes keeps the provider order for ties', () => {
+  const articles = [
+    article('a', ['Memes']),
+    article('b', ['Market News']),
+    article('c', ['Memes', 'Fun']),
+    article('d', []),
+    article('e', ['Memes']),
+  ];
+
+  const ranked = rankByContentTypes(articles, ['Memes']);
+
+  assert.deepEqual(ranked.map(({ id }) => id), ['a', 'c', 'e', 'b', 'd']);
+});
+
+test('rankByContentTypes leaves the order alone without preferences', () => {
+  const articles = [article('a', ['Memes']), article('b', ['Charts'])];
+
+  assert.deepEqual(rankByContentTypes(articles), articles);
+  assert.deepEqual(rankByContentTypes(articles, []), articles);
+  assert.deepEqual(rankByContentTypes([{ id: 'x' }], ['Memes']), [{ id: 'x' }]);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const PortfolioTransaction = require('../models/PortfolioTransaction');
+const { addTransaction, getPortfolio } = require('../services/portfolio.service');
+
+const USER_ID = new mongoose.Types.ObjectId();
+
+/**
+ * Build a stored BTC transaction
+ * @param {string} type - buy | sell | transfer_in | transfer_out
+ * @param {number} quantity - Quantity
+ * @param {string} executedAt - ISO date
+ * @returns {Object} Transaction
+ */
+function tx(type, quantity, executedAt) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    userId: USER_ID,
+    symbol: 'BTC',
+    coinId: 'bitcoin',
+    type,
+    quantity,
+    price: 100,
+    fee: 0,
+    currency: 'USD',
+    executedAt: new Date(executedAt),
+    createdAt: new Date(executedAt),
+  };
+}
+
+/**
+ * Replace PortfolioTransaction reads and writes with an in-memory ledger
+ * @param {Object} t - Test context
+ * @param {Array<Object>} ledger - Stored transactions (modified in place)
+ * @param {Function} onCreate - Called after each insert, to simulate a concurrent request
+ * @returns {Array<Object>} The ledger
+ */
+function stubLedger(t, ledger, onCreate = () => {}) {
+  t.mock.method(PortfolioTransaction, 'countDocuments', async () => ledger.length);
+  t.mock.method(PortfolioTransaction, 'find', () => ({ lean: async () => ledger.map((stored) => ({ ...stored })) }));
+  t.mock.method(PortfolioTransaction, 'create', async (values) => {
+    const created = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...values };
+    ledger.push(created);
+    onCreate();
+    return created;
+  });
+  t.mock.method(PortfolioTransaction, 'deleteOne', async ({ _id }) => {
+    const index = ledger.findIndex((stored) => String(stored._id) === String(_id));
+    if (index !== -1) ledger.splice(index, 1);
+  });
+  return ledger;
+}
+
+const SELL = {
+  symbol: 'BTC',
+  coinId: 'bitcoin',
+  type: 'sell',
+  quantity: 1,
+  price: 120,
+  fee: 0,
+  executedAt: new Date('2024-02-01T00:00:00Z'),
+};
+
+test('addTransaction records a sell the holding covers', async (t) => {
+  const ledger = stubLedger(t, [tx('buy', 1, '2024-01-01T00:00:00Z')]);
+
+  const { transaction, error } = await addTransaction(USER_ID, SELL, 'USD');
+
+  assert.equal(error, undefined);
+  assert.equal(transaction.type, 'sell');
+  assert.equal(ledger.length, 2);
+});
+
+test('addTransaction removes a sell that a concurrent sell made too large', async (t) => {
+  const ledger = stubLedger(t, [tx('buy', 1, '2024-01-01T00:00:00Z')], () => {
+    // Another request's sell lands between the check and the insert
+    if (ledger.length === 2) ledger.push(tx('sell', 1, '2024-01-15T00:00:00Z'));
+  });
+
+  const result = await addTransaction(USER_ID, SELL, 'USD');
+
+  assert.match(result.error, /exceeds the holding/);
+  assert.deepEqual(ledger.map((stored) => stored.type), ['buy', 'sell']);
+  assert.deepEqual(ledger[1].executedAt, new Date('2024-01-15T00:00:00Z'));
+});
+
+test('getPortfolio reports a ledger that does not replay instead of an empty portfolio', async (t) => {
+  const oversell = tx('sell', 2, '2024-01-02T00:00:00Z');
+  stubLedger(t, [tx('buy', 1, '2024-01-01T00:00:00Z'), oversell]);
+
+  const portfolio = await getPortfolio(USER_ID, 'USD');
+
+  assert.equal(portfolio.currency, 'USD');
+  assert.equal(portfolio.holdings, undefined);
+  assert.equal(portfolio.ledgerError.transactionId, String(oversell._id));
+  assert.match(portfolio.ledgerError.message, /^sell of 2 BTC on 2024-01-02T00:00:00.000Z exceeds the holding at that time \(1\)$/);
+});
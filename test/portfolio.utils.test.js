@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLedger, sortLedger, QUANTITY_EPSILON } = require('../utils/portfolio.utils');
+
+/**
+ * Build a BTC transaction
+ * @param {string} type - buy | sell | transfer_in | transfer_out
+ * @param {number} quantity - Quantity
+ * @param {number} price - Unit price
+ * @param {Object} extra - Other fields (fee, executedAt, createdAt)
+ * @returns {Object} Transaction
+ */
+function tx(type, quantity, price, extra = {}) {
+  return {
+    symbol: 'BTC',
+    coinId: 'bitcoin',
+    type,
+    quantity,
+    price,
+    fee: 0,
+    executedAt: '2024-01-01T00:00:00Z',
+    ...extra,
+  };
+}
+
+test('buys add lots and fees are part of the cost basis', () => {
+  const { positions, error } = buildLedger([
+    tx('buy', 1, 100, { fee: 2 }),
+    tx('buy', 2, 150, { executedAt: '2024-01-02T00:00:00Z' }),
+  ]);
+
+  assert.equal(error, null);
+  assert.equal(positions.bitcoin.quantity, 3);
+  assert.equal(positions.bitcoin.costBasis, 402);
+  assert.equal(positions.bitcoin.realizedPnl, 0);
+});
+
+test('sells consume the oldest lots first (FIFO)', () => {
+  const { positions } = buildLedger([
+    tx('buy', 1, 100, { executedAt: '2024-01-01T00:00:00Z' }),
+    tx('buy', 1, 200, { executedAt: '2024-01-02T00:00:00Z' }),
+    tx('sell', 1.5, 300, { fee: 5, executedAt: '2024-01-03T00:00:00Z' }),
+  ]);
+
+  // Sold the whole 100 lot and half of the 200 lot: cost 200, proceeds 450, fee 5
+  assert.equal(positions.bitcoin.quantity, 0.5);
+  assert.equal(positions.bitcoin.costBasis, 100);
+  assert.equal(positions.bitcoin.realizedPnl, 245);
+});
+
+test('transactions are replayed in executedAt order, whatever the input order', () => {
+  const { positions, error } = buildLedger([
+    tx('sell', 1, 300, { executedAt: '2024-01-03T00:00:00Z' }),
+    tx('buy', 1, 100, { executedAt: '2024-01-01T00:00:00Z' }),
+  ]);
+
+  assert.equal(error, null);
+  assert.equal(positions.bitcoin.realizedPnl, 200);
+});
+
+test('sortLedger breaks executedAt ties by createdAt', () => {
+  const sorted = sortLedger([
+    tx('sell', 1, 1, { createdAt: '2024-01-01T00:00:02Z' }),
+    tx('buy', 1, 1, { createdAt: '2024-01-01T00:00:01Z' }),
+  ]);
+
+  assert.deepEqual(sorted.map((transaction) => transaction.type), ['buy', 'sell']);
+});
+
+test('transfer_out removes lots without realizing P&L, but its fee is a loss', () => {
+  const { positions } = buildLedger([
+    tx('transfer_in', 2, 100),
+    tx('transfer_out', 1, undefined, { fee: 3, executedAt: '2024-01-02T00:00:00Z' }),
+  ]);
+
+  assert.equal(positions.bitcoin.quantity, 1);
+  assert.equal(positions.bitcoin.costBasis, 100);
+  assert.equal(positions.bitcoin.realizedPnl, -3);
+});
+
+test('transfer_in without a price has zero cost', () => {
+  const { positions } = buildLedger([tx('transfer_in', 1, undefined)]);
+
+  assert.equal(positions.bitcoin.costBasis, 0);
+});
+
+test('selling more than the holding returns an error with the available quantity', () => {
+  const sell = tx('sell', 2, 100, { executedAt: '2024-01-02T00:00:00Z' });
+  const { positions, error } = buildLedger([tx('buy', 1, 100), sell]);
+
+  assert.equal(positions, null);
+  assert.equal(error.transaction, sell);
+  assert.equal(error.available, 1);
+});
+
+test('floating point dust within the epsilon is not an oversell and leaves no holding', () => {
+  const { positions, error } = buildLedger([
+    tx('buy', 0.1, 100),
+    tx('buy', 0.2, 100),
+    tx('sell', 0.3, 100, { executedAt: '2024-01-02T00:00:00Z' }),
+  ]);
+
+  assert.equal(error, null);
+  assert.equal(positions.bitcoin.quantity, 0);
+  assert.ok(Math.abs(positions.bitcoin.costBasis) < QUANTITY_EPSILON * 100);
+});
+
+test('selling beyond the epsilon is an oversell', () => {
+  const { error } = buildLedger([
+    tx('buy', 1, 100),
+    tx('sell', 1 + QUANTITY_EPSILON * 10, 100, { executedAt: '2024-01-02T00:00:00Z' }),
+  ]);
+
+  assert.ok(error);
+});
+
+test('coins are tracked separately', () => {
+  const { positions } = buildLedger([
+    tx('buy', 1, 100),
+    { ...tx('buy', 10, 5), symbol: 'ETH', coinId: 'ethereum' },
+  ]);
+
+  assert.deepEqual(Object.keys(positions).sort(), ['bitcoin', 'ethereum']);
+  assert.equal(positions.ethereum.symbol, 'ETH');
+  assert.equal(positions.ethereum.costBasis, 50);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { labelScore, scoreSentiment } = require('../utils/sentiment.utils');
+
+test('labelScore uses the 0.2 thresholds inclusively', () => {
+  assert.equal(labelScore(1), 'bullish');
+  assert.equal(labelScore(0.2), 'bullish');
+  assert.equal(labelScore(0.199), 'neutral');
+  assert.equal(labelScore(0), 'neutral');
+  assert.equal(labelScore(-0.199), 'neutral');
+  assert.equal(labelScore(-0.2), 'bearish');
+  assert.equal(labelScore(-1), 'bearish');
+});
+
+test('scoreSentiment scores positive and negative votes', () => {
+  assert.deepEqual(scoreSentiment({ text: 'Bitcoin crashes', votes: { positive: 3, negative: 1 } }), {
+    label: 'bullish',
+    score: 0.5,
+    method: 'votes',
+  });
+  assert.deepEqual(scoreSentiment({ text: 'Bitcoin surges', votes: { positive: 0, negative: 4 } }), {
+    label: 'bearish',
+    score: -1,
+    method: 'votes',
+  });
+  assert.deepEqual(scoreSentiment({ text: '', votes: { positive: 2, negative: 2 } }), {
+    label: 'neutral',
+    score: 0,
+    method: 'votes',
+  });
+});
+
+test('scoreSentiment ignores vote kinds other than positive and negative', () => {
+  const result = scoreSentiment({
+    text: 'Bitcoin surges',
+    votes: { positive: 1, negative: 0, important: 20, liked: 10, disliked: 5, toxic: 9 },
+  });
+
+  assert.deepEqual(result, { label: 'bullish', score: 1, method: 'lexicon' });
+});
+
+test('scoreSentiment falls back to the lexicon below MIN_VOTES', () => {
+  assert.equal(scoreSentiment({ text: 'Exchange hacked', votes: { positive: 2, negative: 0 } }).method, 'lexicon');
+  assert.equal(scoreSentiment({ text: 'Exchange hacked', votes: { positive: 2, negative: 1 } }).method, 'votes');
+  assert.equal(scoreSentiment({ text: 'Exchange hacked', votes: null }).method, 'lexicon');
+  assert.equal(scoreSentiment({ text: 'Exchange hacked' }).score, -1);
+});
+
+test('scoreSentiment weighs bullish and bearish words', () => {
+  assert.deepEqual(scoreSentiment({ text: 'ETF inflows hit record as price rallies' }), {
+    label: 'bullish',
+    score: 1,
+    method: 'lexicon',
+  });
+  // Two bullish, one bearish: (2 - 1) / 3
+  assert.equal(scoreSentiment({ text: 'Bitcoin rebounds to new highs despite fears' }).score, 0.333);
+  assert.deepEqual(scoreSentiment({ text: 'Foundation publishes quarterly report' }), {
+    label: 'neutral',
+    score: 0,
+    method: 'lexicon',
+  });
+});
+
+test('scoreSentiment flips words right after a negation', () => {
+  assert.equal(scoreSentiment({ text: 'SEC does not approve the ETF' }).label, 'bearish');
+  assert.equal(scoreSentiment({ text: "Price won't crash, analysts say" }).label, 'bullish');
+  assert.equal(scoreSentiment({ text: 'Upgrade fails to boost price' }).score, 0);
+  // Only NEGATION_SPAN (2) words are flipped
+  assert.equal(scoreSentiment({ text: 'Not a big deal: bitcoin surges' }).label, 'bullish');
+});
@@ -0,0 +1,66 @@
+/**
+ * Chart utilities
+ * Turn raw [timestamp, price] samples into chart-ready series and candles
+ */
+
+const INTERVAL_MS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Downsample a series to at most maxPoints, keeping the first and last points
+ * @param {Array} points - Points sorted by time
+ * @param {number} maxPoints - Maximum number of points (>= 2)
+ * @returns {Array} Downsampled points
+ */
+function downsample(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+
+  const step = (points.length - 1) / (maxPoints - 1);
+  const result = [];
+  for (let i = 0; i < maxPoints; i++) {
+    result.push(points[Math.round(i * step)]);
+  }
+  return result;
+}
+
+/**
+ * Group price samples into OHLC candles
+ * Candles are aligned to the interval (UTC) and skip intervals without samples
+ * @param {Array<Array<number>>} samples - [[timestamp (ms), price], ...] sorted by time
+ * @param {string} interval - One of INTERVAL_MS keys
+ * @returns {Array<Object>} [{ time, open, high, low, close }]
+ */
+function buildCandles(samples, interval) {
+  const intervalMs = INTERVAL_MS[interval];
+  const candles = [];
+  let current = null;
+
+  for (const [timestamp, price] of samples) {
+    const bucketStart = Math.floor(timestamp / intervalMs) * intervalMs;
+
+    if (!current || current.time !== bucketStart) {
+      current = { time: bucketStart, open: price, high: price, low: price, close: price };
+      candles.push(current);
+    } else {
+      current.high = Math.max(current.high, price);
+      current.low = Math.min(current.low, price);
+      current.close = price;
+    }
+  }
+
+  return candles.map((candle) => ({ ...candle, time: new Date(candle.time).toISOString() }));
+}
+
+module.exports = {
+  INTERVAL_MS,
+  downsample,
+  buildCandles,
+};
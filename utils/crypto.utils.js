@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * Crypto helpers for opaque tokens
+ * Opaque tokens (refresh tokens, reset links, etc.) are handed to the client
+ * once and only their SHA-256 hash is persisted
+ */
+
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(
+    process.env.ENCRYPTION_KEY ||
+      process.env.JWT_SECRET ||
+      'your-super-secret-jwt-key-change-this-in-production-min-32-chars'
+  )
+  .digest();
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} Random token
+ */
+function generateRandomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash a token for storage
+ * @param {string} token - Plain token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Encrypt a secret that must be readable later (e.g., TOTP secrets)
+ * Uses AES-256-GCM with a key derived from ENCRYPTION_KEY
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} iv:authTag:cipherText (base64url parts)
+ */
+function encryptSecret(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+  return [iv, authTag, encrypted].map((part) => part.toString('base64url')).join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} payload - iv:authTag:cipherText
+ * @returns {string} Decrypted value
+ * @throws {Error} If the payload was tampered with or the key changed
+ */
+function decryptSecret(payload) {
+  const [iv, authTag, encrypted] = payload.split(':').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  if (bufferA.length !== bufferB.length) return false;
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  encryptSecret,
+  decryptSecret,
+  safeEqual,
+};
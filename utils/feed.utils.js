@@ -0,0 +1,212 @@
+/**
+ * Feed utilities
+ * Minimal RSS 2.0 / RSS 1.0 / Atom parser for news feeds (no XML dependency)
+ *
+ * Only reads what news ingestion needs: the feed title and, per item, its ID,
+ * title, link, publish date and summary. Text is returned without markup.
+ *
+ * Feeds are third-party input: elements are found with indexOf scans rather
+ * than lazy regexes, so broken or hostile XML (unclosed tags) parses in linear
+ * time, and malformed entities are left as written instead of failing the feed.
+ */
+
+const MAX_CODE_POINT = 0x10ffff;
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+/**
+ * Decode XML/HTML entities
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code <= MAX_CODE_POINT ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Unwrap CDATA sections; an unclosed section runs to the end of the content
+ * @param {string} content - Element content
+ * @returns {string} Content with CDATA markers removed
+ */
+function unwrapCdata(content) {
+  const parts = [];
+  let position = 0;
+
+  while (position < content.length) {
+    const start = content.indexOf('<![CDATA[', position);
+    if (start === -1) break;
+
+    const end = content.indexOf(']]>', start + 9);
+    parts.push(content.slice(position, start), content.slice(start + 9, end === -1 ? undefined : end));
+    position = end === -1 ? content.length : end + 3;
+  }
+
+  parts.push(content.slice(position));
+  return parts.join('');
+}
+
+/**
+ * Turn element content into plain text: unwrap CDATA, drop markup, decode entities
+ * @param {string} content - Element content
+ * @returns {string} Plain text
+ */
+function toText(content) {
+  const unwrapped = unwrapCdata(content);
+  // Entity-encoded HTML (common in RSS descriptions) is decoded before its tags are removed
+  return decodeEntities(decodeEntities(unwrapped).replace(/<[^<>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the contents of every element with a tag (case-insensitive)
+ * Stops at the first element that isn't closed
+ * @param {string} xml - XML text
+ * @param {string} tag - Tag name
+ * @returns {string[]} Element contents
+ */
+function getElements(xml, tag) {
+  // Indexes must line up with xml: a few characters (e.g. "İ") lower-case to two
+  let lowerXml = xml.toLowerCase();
+  if (lowerXml.length !== xml.length) {
+    lowerXml = xml.replace(/[A-Z]+/g, (letters) => letters.toLowerCase());
+  }
+  const openTag = `<${tag.toLowerCase()}`;
+  const closeTag = `</${tag.toLowerCase()}>`;
+  const contents = [];
+  let position = 0;
+
+  while (position < xml.length) {
+    const start = lowerXml.indexOf(openTag, position);
+    if (start === -1) break;
+
+    // <tag> or <tag attr="...">, not <tagname>
+    const next = lowerXml[start + openTag.length];
+    if (next !== '>' && !/\s/.test(next || '')) {
+      position = start + openTag.length;
+      continue;
+    }
+
+    const startEnd = lowerXml.indexOf('>', start);
+    if (startEnd === -1) break;
+    if (lowerXml[startEnd - 1] === '/') {
+      contents.push(''); // <tag ... />
+      position = startEnd + 1;
+      continue;
+    }
+
+    const end = lowerXml.indexOf(closeTag, startEnd + 1);
+    if (end === -1) break;
+
+    contents.push(xml.slice(startEnd + 1, end));
+    position = end + closeTag.length;
+  }
+
+  return contents;
+}
+
+/**
+ * Get the text of the first element with one of the tags
+ * @param {string} xml - XML text
+ * @param {string[]} tags - Tag names, in order of preference
+ * @returns {string|null} Plain text or null
+ */
+function getText(xml, tags) {
+  for (const tag of tags) {
+    const [content] = getElements(xml, tag);
+    if (content !== undefined) {
+      const text = toText(content);
+      if (text) return text;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get an Atom entry's link (rel="alternate" or no rel)
+ * @param {string} xml - Entry XML
+ * @returns {string|null} URL or null
+ */
+function getAtomLink(xml) {
+  const links = [...xml.matchAll(/<link\b([^<>]*)\/?>/gi)].map((match) => match[1]);
+  const link = links.find((attrs) => !/\brel\s*=/.test(attrs) || /\brel\s*=\s*["']alternate["']/.test(attrs));
+  const href = link && link.match(/\bhref\s*=\s*["']([^"']+)["']/);
+  return href ? decodeEntities(href[1]) : null;
+}
+
+/**
+ * Parse a date, or return null
+ * @param {string|null} value - Date text (RFC 822 or ISO 8601)
+ * @returns {Date|null} Date or null
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse an RSS or Atom feed
+ * @param {string} xml - Feed XML
+ * @returns {Object} { format: 'rss' | 'atom', title, items: [{ id, title, link, publishedAt (Date|null), summary }] }
+ * @throws {Error} If the document isn't an RSS or Atom feed
+ */
+function parseFeed(xml) {
+  const text = String(xml);
+  const isAtom = /<feed\b[^<>]*>/i.test(text) && !/<(rss|rdf:RDF)\b/i.test(text);
+
+  if (isAtom) {
+    const header = text.split(/<entry\b/i)[0];
+    return {
+      format: 'atom',
+      title: getText(header, ['title']),
+      items: getElements(text, 'entry').map((entry) => {
+        const link = getAtomLink(entry);
+        return {
+          id: getText(entry, ['id']) || link,
+          title: getText(entry, ['title']),
+          link,
+          publishedAt: parseDate(getText(entry, ['published', 'updated'])),
+          summary: getText(entry, ['summary', 'content']),
+        };
+      }),
+    };
+  }
+
+  if (!/<(rss|rdf:RDF|channel)\b/i.test(text)) {
+    throw new Error('Not an RSS or Atom feed');
+  }
+
+  const header = text.split(/<item\b/i)[0];
+  return {
+    format: 'rss',
+    title: getText(header, ['title']),
+    items: getElements(text, 'item').map((item) => {
+      const link = getText(item, ['link']);
+      return {
+        id: getText(item, ['guid']) || link,
+        title: getText(item, ['title']),
+        link,
+        publishedAt: parseDate(getText(item, ['pubDate', 'dc:date'])),
+        summary: getText(item, ['description', 'content:encoded']),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  parseFeed,
+};
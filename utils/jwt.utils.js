@@ -1,13 +1,18 @@
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production-min-32-chars';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const CHALLENGE_TOKEN_AUDIENCE = 'login-challenge';
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+const STREAM_TICKET_AUDIENCE = 'price-stream';
+const STREAM_TICKET_EXPIRES_IN = '30s';
 
 /**
- * Generate JWT token for user
+ * Generate JWT access token for user
  * @param {Object} payload - User data to encode in token
  * @param {string} payload.userId - User ID
  * @param {string} payload.email - User email
+ * @param {string} payload.sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
 function generateToken(payload) {
@@ -15,6 +20,7 @@ function generateToken(payload) {
     {
       userId: payload.userId,
       email: payload.email,
+      sid: payload.sessionId,
     },
     JWT_SECRET,
     {
@@ -33,8 +39,77 @@ function verifyToken(token) {
   return jwt.verify(token, JWT_SECRET);
 }
 
+/**
+ * Generate a short-lived login challenge token
+ * Issued after a correct password when a second step (2FA) is required.
+ * It has no session, so verifyTokenMiddleware never accepts it as an access token
+ * @param {Object} payload - Challenge data
+ * @param {string} payload.userId - User ID
+ * @returns {string} JWT challenge token
+ */
+function generateChallengeToken(payload) {
+  return jwt.sign(
+    {
+      userId: payload.userId,
+    },
+    JWT_SECRET,
+    {
+      audience: CHALLENGE_TOKEN_AUDIENCE,
+      expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+    }
+  );
+}
+
+/**
+ * Verify a login challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded payload
+ * @throws {Error} If token is invalid, expired or not a challenge token
+ */
+function verifyChallengeToken(token) {
+  return jwt.verify(token, JWT_SECRET, { audience: CHALLENGE_TOKEN_AUDIENCE });
+}
+
+/**
+ * Generate a short-lived ticket for opening a price stream
+ * EventSource can't send headers, so the ticket goes in the URL instead of the
+ * access token. It has no `sid` claim, so verifyTokenMiddleware never accepts it
+ * @param {Object} payload - Ticket data
+ * @param {string} payload.userId - User ID
+ * @param {string} payload.sessionId - Session the ticket was issued to
+ * @param {string} payload.ticketId - Unique ID (for single use)
+ * @returns {string} JWT stream ticket
+ */
+function generateStreamTicket(payload) {
+  return jwt.sign(
+    {
+      userId: payload.userId,
+      sessionId: payload.sessionId,
+    },
+    JWT_SECRET,
+    {
+      audience: STREAM_TICKET_AUDIENCE,
+      expiresIn: STREAM_TICKET_EXPIRES_IN,
+      jwtid: payload.ticketId,
+    }
+  );
+}
+
+/**
+ * Verify a price stream ticket
+ * @param {string} token - Stream ticket
+ * @returns {Object} Decoded payload
+ * @throws {Error} If the ticket is invalid, expired or not a stream ticket
+ */
+function verifyStreamTicket(token) {
+  return jwt.verify(token, JWT_SECRET, { audience: STREAM_TICKET_AUDIENCE });
+}
+
 module.exports = {
   generateToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateStreamTicket,
+  verifyStreamTicket,
 };
-
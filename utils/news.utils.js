@@ -0,0 +1,101 @@
+/**
+ * News utilities
+ * Title normalization and similarity for near-duplicate detection, and coin tagging
+ */
+
+// Words that don't tell two headlines apart
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'with',
+]);
+
+/**
+ * Normalize a title for comparison: lowercase, no punctuation, single spaces
+ * @param {string} title - Article title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents
+    .replace(/[^a-z0-9$%.\s]/g, ' ')
+    .replace(/\.(?!\d)/g, ' ') // Keep decimal points ("$1.5b"), drop periods
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the meaningful words of a normalized title
+ * @param {string} normalizedTitle - Output of normalizeTitle
+ * @returns {Set<string>} Words without stop words
+ */
+function titleTokens(normalizedTitle) {
+  return new Set(normalizedTitle.split(' ').filter((word) => word && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Similarity of two normalized titles (Jaccard index of their words)
+ * @param {string} a - Normalized title
+ * @param {string} b - Normalized title
+ * @returns {number} 0 (nothing in common) to 1 (same words)
+ */
+function titleSimilarity(a, b) {
+  if (a === b) return 1;
+
+  const tokensA = titleTokens(a);
+  const tokensB = titleTokens(b);
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  tokensA.forEach((token) => {
+    if (tokensB.has(token)) shared++;
+  });
+  return shared / (tokensA.size + tokensB.size - shared);
+}
+
+/**
+ * Find the coins an article mentions
+ * Names match case-insensitively as whole words; symbols only in upper case
+ * (or as $cashtags), so "one" or "link" in a sentence doesn't tag ONE or LINK
+ * @param {string} text - Article title and summary
+ * @param {Array<Object>} coins - Coins ({ symbol, name })
+ * @returns {string[]} Symbols of the mentioned coins
+ */
+function tagCoins(text, coins) {
+  const content = String(text || '');
+  const lowerContent = content.toLowerCase();
+  const isWordAt = (source, index, length) =>
+    !/[a-z0-9]/i.test(source[index - 1] || '') && !/[a-z0-9]/i.test(source[index + length] || '');
+
+  /**
+   * Check whether a term occurs as a whole word
+   * @param {string} source - Text to search
+   * @param {string} term - Term
+   * @returns {boolean} True if found
+   */
+  const containsWord = (source, term) => {
+    for (let index = source.indexOf(term); index !== -1; index = source.indexOf(term, index + 1)) {
+      if (isWordAt(source, index, term.length)) return true;
+    }
+    return false;
+  };
+
+  const symbols = new Set();
+  for (const coin of coins) {
+    const name = coin.name.toLowerCase();
+    const mentioned =
+      (name.length >= 3 && containsWord(lowerContent, name)) ||
+      (coin.symbol.length >= 2 && containsWord(content, coin.symbol)) ||
+      containsWord(lowerContent, `$${coin.symbol.toLowerCase()}`);
+    if (mentioned) symbols.add(coin.symbol);
+  }
+
+  return [...symbols];
+}
+
+module.exports = {
+  normalizeTitle,
+  titleSimilarity,
+  tagCoins,
+};
@@ -0,0 +1,95 @@
+/**
+ * Portfolio utilities
+ * Replays a transaction ledger into holdings with FIFO cost basis
+ */
+
+// Quantities below this are treated as zero (floating point dust)
+const QUANTITY_EPSILON = 1e-10;
+
+/**
+ * Sort transactions in ledger order
+ * @param {Array<Object>} transactions - Transactions
+ * @returns {Array<Object>} Sorted copy (by executedAt, then createdAt)
+ */
+function sortLedger(transactions) {
+  return [...transactions].sort(
+    (a, b) =>
+      new Date(a.executedAt) - new Date(b.executedAt) ||
+      new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+  );
+}
+
+/**
+ * Replay a ledger into positions using FIFO lots
+ * - buy / transfer_in add a lot; the fee is part of its cost
+ * - sell consumes the oldest lots; realized P&L = proceeds - fee - consumed cost
+ * - transfer_out consumes the oldest lots without realizing P&L (its fee is a realized loss)
+ * @param {Array<Object>} transactions - { symbol, coinId, type, quantity, price, fee, executedAt }
+ * @returns {Object} { positions: { [coinId]: { symbol, coinId, quantity, costBasis, realizedPnl } }, error: null }
+ *   or { positions: null, error: { transaction, available } } when a sell/transfer_out exceeds the holding
+ */
+function buildLedger(transactions) {
+  const positions = {};
+
+  for (const transaction of sortLedger(transactions)) {
+    const position = (positions[transaction.coinId] ||= {
+      symbol: transaction.symbol,
+      coinId: transaction.coinId,
+      lots: [],
+      realizedPnl: 0,
+    });
+    const fee = transaction.fee || 0;
+
+    if (transaction.type === 'buy' || transaction.type === 'transfer_in') {
+      const cost = transaction.quantity * (transaction.price || 0) + fee;
+      position.lots.push({
+        quantity: transaction.quantity,
+        unitCost: cost / transaction.quantity,
+      });
+      continue;
+    }
+
+    // sell / transfer_out: consume the oldest lots first
+    const available = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (transaction.quantity > available + QUANTITY_EPSILON) {
+      return { positions: null, error: { transaction, available } };
+    }
+
+    let remaining = transaction.quantity;
+    let consumedCost = 0;
+    while (remaining > QUANTITY_EPSILON && position.lots.length > 0) {
+      const lot = position.lots[0];
+      const used = Math.min(lot.quantity, remaining);
+      consumedCost += used * lot.unitCost;
+      lot.quantity -= used;
+      remaining -= used;
+      if (lot.quantity <= QUANTITY_EPSILON) position.lots.shift();
+    }
+
+    if (transaction.type === 'sell') {
+      position.realizedPnl += transaction.quantity * transaction.price - fee - consumedCost;
+    } else {
+      position.realizedPnl -= fee;
+    }
+  }
+
+  const result = {};
+  for (const [coinId, position] of Object.entries(positions)) {
+    const quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    result[coinId] = {
+      symbol: position.symbol,
+      coinId,
+      quantity: quantity > QUANTITY_EPSILON ? quantity : 0,
+      costBasis: position.lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0),
+      realizedPnl: position.realizedPnl,
+    };
+  }
+
+  return { positions: result, error: null };
+}
+
+module.exports = {
+  QUANTITY_EPSILON,
+  sortLedger,
+  buildLedger,
+};
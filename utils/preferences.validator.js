@@ -1,3 +1,6 @@
+const coinRegistry = require('../services/coin-registry.service');
+const { SUPPORTED_QUOTE_CURRENCIES } = require('../config/currencies');
+
 /**
  * Validation utility for user preferences
  */
@@ -21,11 +24,14 @@ const VALID_CONTENT_TYPES = [
 
 /**
  * Validate user preferences
+ * Asset symbols are checked against the coin registry
  * @param {Object} preferences - Preferences object to validate
- * @returns {Object} { isValid: boolean, errors: string[] }
+ * @returns {Promise<Object>} { isValid: boolean, errors: string[], interestedAssets: string[] (normalized symbols), quoteCurrency?: string }
  */
-function validatePreferences(preferences) {
+async function validatePreferences(preferences) {
   const errors = [];
+  let interestedAssets = [];
+  let quoteCurrency;
 
   // Validate interestedAssets
   if (!preferences.interestedAssets) {
@@ -36,6 +42,24 @@ function validatePreferences(preferences) {
     errors.push('interestedAssets must contain at least 1 item');
   } else if (preferences.interestedAssets.length > 10) {
     errors.push('interestedAssets must contain at most 10 items');
+  } else if (preferences.interestedAssets.some((symbol) => typeof symbol !== 'string' || !symbol.trim())) {
+    errors.push('interestedAssets must contain only symbols');
+  } else {
+    // Each symbol must map to exactly one coin in the registry
+    const { coins, unknown, ambiguous } = await coinRegistry.resolveSymbols(
+      preferences.interestedAssets
+    );
+    if (unknown.length > 0) {
+      errors.push(`Unknown interestedAssets: ${unknown.join(', ')}`);
+    }
+    if (ambiguous.length > 0) {
+      errors.push(
+        `Ambiguous interestedAssets: ${ambiguous
+          .map(({ symbol, candidates }) => `${symbol} (${candidates.map((coin) => coin.name).join(' / ')})`)
+          .join(', ')}`
+      );
+    }
+    interestedAssets = coins.map((coin) => coin.symbol);
   }
 
   // Validate investorType
@@ -70,9 +94,22 @@ function validatePreferences(preferences) {
     }
   }
 
+  // Validate quoteCurrency (optional)
+  if (preferences.quoteCurrency !== undefined) {
+    if (typeof preferences.quoteCurrency !== 'string') {
+      errors.push('quoteCurrency must be a string');
+    } else if (!SUPPORTED_QUOTE_CURRENCIES.includes(preferences.quoteCurrency.toUpperCase())) {
+      errors.push(`quoteCurrency must be one of: ${SUPPORTED_QUOTE_CURRENCIES.join(', ')}`);
+    } else {
+      quoteCurrency = preferences.quoteCurrency.toUpperCase();
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
+    interestedAssets,
+    quoteCurrency,
   };
 }
 
@@ -80,5 +117,6 @@ module.exports = {
   validatePreferences,
   VALID_INVESTOR_TYPES,
   VALID_CONTENT_TYPES,
+  SUPPORTED_QUOTE_CURRENCIES,
 };
 
@@ -0,0 +1,110 @@
+/**
+ * Sentiment utilities
+ * Score news as bullish, bearish or neutral from community votes or a word lexicon
+ *
+ * Scores run from -1 (bearish) to 1 (bullish); labels use SENTIMENT_THRESHOLD.
+ */
+
+const SENTIMENT_LABELS = ['bullish', 'bearish', 'neutral'];
+const SENTIMENT_THRESHOLD = 0.2;
+const MIN_VOTES = 3; // Fewer votes than this say nothing
+
+const BULLISH_WORDS = [
+  'bull', 'bullish', 'surge', 'surges', 'surged', 'soar', 'soars', 'soared', 'rally', 'rallies',
+  'rallied', 'jump', 'jumps', 'jumped', 'rise', 'rises', 'rising', 'climb', 'climbs', 'climbed',
+  'gain', 'gains', 'gained', 'rebound', 'rebounds', 'recover', 'recovers', 'recovery', 'breakout',
+  'high', 'highs', 'record', 'boost', 'boosts', 'approve', 'approves', 'approved', 'approval',
+  'adoption', 'adopt', 'adopts', 'inflow', 'inflows', 'partnership', 'launch', 'launches',
+  'upgrade', 'upgrades', 'growth', 'grows', 'accumulation', 'accumulate', 'buy', 'buying',
+  'support', 'strong', 'strength', 'optimism', 'optimistic', 'win', 'wins', 'milestone',
+];
+
+const BEARISH_WORDS = [
+  'bear', 'bearish', 'plunge', 'plunges', 'plunged', 'crash', 'crashes', 'crashed', 'drop',
+  'drops', 'dropped', 'fall', 'falls', 'fell', 'slump', 'slumps', 'slide', 'slides', 'sink',
+  'sinks', 'tumble', 'tumbles', 'decline', 'declines', 'low', 'lows', 'loss', 'losses', 'hack',
+  'hacked', 'exploit', 'exploited', 'lawsuit', 'sue', 'sues', 'ban', 'bans', 'banned', 'selloff',
+  'sell-off', 'dump', 'dumps', 'outflow', 'outflows', 'liquidation', 'liquidations', 'fraud',
+  'scam', 'delist', 'delists', 'crackdown', 'fear', 'fears', 'warning', 'warns', 'risk', 'weak',
+  'weakness', 'reject', 'rejects', 'rejected', 'bankrupt', 'bankruptcy', 'collapse', 'collapses',
+];
+
+const NEGATIONS = ['not', 'no', 'never', "isn't", "aren't", "won't", "doesn't", "don't", 'without', 'fails'];
+const NEGATION_SPAN = 2; // Words after a negation that are flipped
+
+const BULLISH = new Set(BULLISH_WORDS);
+const BEARISH = new Set(BEARISH_WORDS);
+
+/**
+ * Label a score
+ * @param {number} score - Score from -1 to 1
+ * @returns {string} 'bullish' | 'bearish' | 'neutral'
+ */
+function labelScore(score) {
+  if (score >= SENTIMENT_THRESHOLD) return 'bullish';
+  if (score <= -SENTIMENT_THRESHOLD) return 'bearish';
+  return 'neutral';
+}
+
+/**
+ * Score community votes (CryptoPanic's positive / negative votes)
+ * Other vote kinds (important, liked, toxic...) say nothing about the market's direction
+ * @param {Object} votes - { positive, negative, ... }
+ * @returns {number|null} Score, or null when there are too few votes
+ */
+function scoreVotes(votes = {}) {
+  const up = votes.positive || 0;
+  const down = votes.negative || 0;
+  if (up + down < MIN_VOTES) return null;
+  return (up - down) / (up + down);
+}
+
+/**
+ * Score text with the lexicon
+ * Words shortly after a negation ("not", "fails"...) count the other way
+ * @param {string} text - Title (and summary)
+ * @returns {number} Score (0 when no lexicon word is found)
+ */
+function scoreText(text) {
+  const words = String(text || '').toLowerCase().match(/[a-z]+(?:['-][a-z]+)*/g) || [];
+
+  let bullish = 0;
+  let bearish = 0;
+  let negatedUntil = -1;
+
+  words.forEach((word, index) => {
+    if (NEGATIONS.includes(word)) {
+      negatedUntil = index + NEGATION_SPAN;
+      return;
+    }
+
+    const negated = index <= negatedUntil;
+    if (BULLISH.has(word)) negated ? bearish++ : bullish++;
+    if (BEARISH.has(word)) negated ? bullish++ : bearish++;
+  });
+
+  if (bullish + bearish === 0) return 0;
+  return (bullish - bearish) / (bullish + bearish);
+}
+
+/**
+ * Score an article: votes when there are enough of them, the lexicon otherwise
+ * @param {Object} article - { text, votes (optional) }
+ * @returns {Object} { label, score, method: 'votes' | 'lexicon' }
+ */
+function scoreSentiment({ text, votes }) {
+  const voteScore = votes ? scoreVotes(votes) : null;
+  const score = voteScore ?? scoreText(text);
+
+  return {
+    label: labelScore(score),
+    score: Number(score.toFixed(3)),
+    method: voteScore === null ? 'lexicon' : 'votes',
+  };
+}
+
+module.exports = {
+  SENTIMENT_LABELS,
+  labelScore,
+  scoreSentiment,
+};
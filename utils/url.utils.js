@@ -0,0 +1,37 @@
+/**
+ * URL helpers for links back to the frontend (emails, OAuth redirects)
+ */
+
+/**
+ * Build a link to a frontend page
+ * Uses APP_URL, or the first FRONTEND_URL entry, or the local dev frontend
+ * @param {string} pathname - Page path (e.g., '/reset-password')
+ * @param {Object} params - Query string parameters
+ * @returns {string} Absolute URL
+ */
+function buildFrontendUrl(pathname, params = {}) {
+  const baseUrl =
+    process.env.APP_URL ||
+    (process.env.FRONTEND_URL || '').split(',')[0].trim() ||
+    'http://localhost:5173';
+
+  const url = new URL(pathname, baseUrl);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+/**
+ * Build an absolute URL on this backend
+ * Uses BACKEND_URL, or localhost with the configured port
+ * @param {string} pathname - API path (e.g., '/api/auth/oauth/google/callback')
+ * @returns {string} Absolute URL
+ */
+function buildBackendUrl(pathname) {
+  const baseUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3030}`;
+  return new URL(pathname, baseUrl).toString();
+}
+
+module.exports = {
+  buildFrontendUrl,
+  buildBackendUrl,
+};